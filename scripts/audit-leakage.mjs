@@ -0,0 +1,155 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { resolutionKnownAtDecision } from "./lib/features.mjs";
+import { fileExists, readJsonl } from "./lib/jsonl.mjs";
+import {
+  auditSchema,
+  fieldKnownAt,
+  LEG_FIELD_KNOWN_AT,
+  singleFeatureAuc,
+  SUSPICIOUS_AUC,
+} from "./lib/leakage.mjs";
+import { createLineage, fileRef, manifestInput, readVerifiedManifest } from "./lib/lineage.mjs";
+
+const ARTIFACTS = {
+  baseline: path.resolve("data", "model_baseline_artifacts.json"),
+  robust: path.resolve("data", "model_robust_artifacts.json"),
+  survival: path.resolve("data", "model_survival_artifacts.json"),
+};
+
+const { values: args } = parseArgs({
+  options: {
+    input: { type: "string", default: path.resolve("data", "labeled_training_dataset.jsonl") },
+    output: { type: "string", default: path.resolve("data", "leakage_audit_report.json") },
+  },
+});
+const inputPath = path.resolve(args.input);
+const outputPath = path.resolve(args.output);
+
+// Tags every field of the labeled dataset with when it becomes known relative
+// to `decisionTs`, and checks the feature schema of every trained model
+// artifact against those tags. Single-feature AUCs against
+// `buyNowBeatsWaitWindow` are reported for every numeric or boolean raw field,
+// post-decision ones such as `realizedPnl` included, so a decision-time field
+// that predicts too well stands out.
+
+let labelsManifest;
+try {
+  labelsManifest = await readVerifiedManifest(inputPath, "labels:generate");
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+const fieldCounts = new Map();
+const legFieldCounts = new Map();
+const scalarFields = new Set();
+const projected = [];
+let rowCount = 0;
+let resolutionUnknownAtDecision = 0;
+for await (const row of readJsonl(inputPath)) {
+  rowCount++;
+  if (!resolutionKnownAtDecision(row)) resolutionUnknownAtDecision++;
+  const scalars = {};
+  for (const [key, value] of Object.entries(row)) {
+    fieldCounts.set(key, (fieldCounts.get(key) ?? 0) + 1);
+    if (typeof value === "number" || typeof value === "boolean") {
+      scalarFields.add(key);
+      scalars[key] = value;
+    }
+  }
+  for (const leg of Array.isArray(row.legs) ? row.legs : []) {
+    for (const key of Object.keys(leg)) {
+      legFieldCounts.set(key, (legFieldCounts.get(key) ?? 0) + 1);
+    }
+  }
+  projected.push({
+    ...scalars,
+    labels: {
+      resolutionAnchored: {
+        buyNowBeatsWaitWindow: row.labels?.resolutionAnchored?.buyNowBeatsWaitWindow ?? null,
+      },
+    },
+  });
+}
+
+const fields = [...fieldCounts.entries()]
+  .map(([field, rows]) => ({ ...fieldKnownAt(field), rows }))
+  .sort((a, b) => a.field.localeCompare(b.field));
+const legFields = [...legFieldCounts.entries()]
+  .map(([field, legs]) => ({ field, knownAt: LEG_FIELD_KNOWN_AT[field] ?? "unknown", legs }))
+  .sort((a, b) => a.field.localeCompare(b.field));
+const untagged = [
+  ...fields.filter((f) => f.knownAt === "unknown").map((f) => f.field),
+  ...legFields.filter((f) => f.knownAt === "unknown").map((f) => `legs[].${f.field}`),
+];
+
+const knownAtOf = new Map(fields.map((f) => [f.field, f.knownAt]));
+const rawAuc = singleFeatureAuc(
+  projected,
+  [...scalarFields].map((field) => ({ name: field, field, bucket: null }))
+).map((a) => ({ ...a, knownAt: knownAtOf.get(a.feature) }));
+
+const models = {};
+const inputs = { labels: manifestInput(labelsManifest) };
+const upstream = { labels: labelsManifest };
+for (const [name, artifactPath] of Object.entries(ARTIFACTS)) {
+  if (!(await fileExists(artifactPath))) continue;
+  const artifacts = JSON.parse(await fs.readFile(artifactPath, "utf8"));
+  models[name] = { path: artifactPath, ...auditSchema(artifacts.schema) };
+  inputs[name] = await fileRef(artifactPath);
+  upstream[name] = artifacts.lineage ?? null;
+}
+const violations = Object.entries(models).flatMap(([name, audit]) =>
+  audit.violations.map((v) => ({ model: name, ...v }))
+);
+
+const report = {
+  generatedAt: new Date().toISOString(),
+  lineage: createLineage({
+    stage: "audit:leakage",
+    labelSpecVersion: labelsManifest.labelSpecVersion,
+    inputs,
+    upstream,
+  }),
+  rows: rowCount,
+  resolutionUnknownAtDecision,
+  fields,
+  legFields,
+  untagged,
+  suspiciousAucThreshold: SUSPICIOUS_AUC,
+  rawFieldAuc: rawAuc,
+  suspiciousDecisionFields: rawAuc.filter(
+    (a) => a.knownAt === "decision" && a.separation !== null && a.separation >= SUSPICIOUS_AUC
+  ),
+  models,
+  violations,
+};
+
+await fs.mkdir(path.dirname(outputPath), { recursive: true });
+await fs.writeFile(outputPath, `${JSON.stringify(report, null, 2)}\n`, "utf8");
+console.log(`Wrote leakage audit report: ${outputPath}`);
+console.log(
+  JSON.stringify(
+    {
+      rows: rowCount,
+      untagged,
+      suspiciousDecisionFields: report.suspiciousDecisionFields,
+      models: Object.fromEntries(
+        Object.entries(models).map(([name, audit]) => [name, audit.violations.length])
+      ),
+    },
+    null,
+    2
+  )
+);
+if (untagged.length > 0) {
+  console.error(`Untagged fields (add them to scripts/lib/leakage.mjs): ${untagged.join(", ")}`);
+}
+if (violations.length > 0) {
+  for (const v of violations) {
+    console.error(`${v.model}: ${v.feature} (${v.knownAt}): ${v.reason}`);
+  }
+  process.exit(1);
+}
@@ -1,74 +1,20 @@
 import fs from "node:fs/promises";
 import path from "node:path";
+import { applyCensoring } from "./lib/censoring.mjs";
+import { loadFeaturePipeline, prepareRows } from "./lib/features.mjs";
+import {
+  assertSameInput,
+  createLineage,
+  fileRef,
+  manifestInput,
+  readVerifiedManifest,
+} from "./lib/lineage.mjs";
+import { dot, mean, sigmoid } from "./lib/math.mjs";
 
 const dataPath = path.resolve("data", "labeled_training_dataset.jsonl");
 const artifactsPath = path.resolve("data", "model_baseline_artifacts.json");
 const outputPath = path.resolve("data", "model_backtest_report.json");
 
-function safeNum(v) {
-  if (v === null || v === undefined || v === "") return null;
-  const n = Number(v);
-  return Number.isFinite(n) ? n : null;
-}
-
-function mean(values) {
-  if (values.length === 0) return null;
-  return values.reduce((a, b) => a + b, 0) / values.length;
-}
-
-function sigmoid(z) {
-  if (z >= 0) {
-    const ez = Math.exp(-z);
-    return 1 / (1 + ez);
-  }
-  const ez = Math.exp(z);
-  return ez / (1 + ez);
-}
-
-function dot(a, b) {
-  let s = 0;
-  for (let i = 0; i < a.length; i++) s += a[i] * b[i];
-  return s;
-}
-
-function oneHotValue(value, buckets) {
-  const out = new Array(buckets.length).fill(0);
-  const idx = buckets.indexOf(value);
-  if (idx >= 0) out[idx] = 1;
-  return out;
-}
-
-function prepareRows(rows) {
-  const out = [];
-  for (const row of rows) {
-    const res = row.labels?.resolutionAnchored;
-    const tax = row.labels?.taxonomy;
-    if (!res || !tax) continue;
-    const ts = new Date(row.decisionTs).getTime();
-    if (!Number.isFinite(ts)) continue;
-    const delta = safeNum(res.deltaNetPnlPolicyWindowAtNowSize);
-    const cls =
-      res.buyNowBeatsWaitWindow === null || res.buyNowBeatsWaitWindow === undefined
-        ? null
-        : res.buyNowBeatsWaitWindow
-          ? 1
-          : 0;
-    out.push({
-      ...row,
-      _decisionTsMs: ts,
-      _regTarget: delta,
-      _clsTarget: cls,
-      _censored: Boolean(res.labelCensoredPolicyWindow),
-      _phaseNow: res.phaseNow ?? "unknown",
-      _ttrHours: safeNum(res.timeToResolutionHoursNow),
-      _policyWindowHours: safeNum(res.policyWindowHours),
-      _taxonomyDomain: tax.domain ?? "other",
-    });
-  }
-  out.sort((a, b) => a._decisionTsMs - b._decisionTsMs);
-  return out;
-}
-
 function splitChronological(rows, trainFrac = 0.7, validFrac = 0.15) {
   const n = rows.length;
   const trainEnd = Math.max(1, Math.floor(n * trainFrac));
@@ -80,23 +26,6 @@ function splitChronological(rows, trainFrac = 0.7, validFrac = 0.15) {
   };
 }
 
-function buildVector(row, schema, scaler) {
-  const x = [1];
-  for (const key of schema.numericKeys) {
-    const v = safeNum(row[key]);
-    const s = scaler[key];
-    const z = v === null ? 0 : (v - s.mean) / s.std;
-    x.push(z);
-  }
-  x.push(...oneHotValue(row._phaseNow, schema.phaseBuckets));
-  x.push(...oneHotValue(row._taxonomyDomain, schema.domainBuckets));
-  x.push(...oneHotValue(row.leg1Venue ?? "unknown", schema.leg1VenueBuckets));
-  x.push(...oneHotValue(row.leg2Venue ?? "unknown", schema.leg2VenueBuckets));
-  x.push(...oneHotValue(row.leg1OrderIntent ?? "unknown", schema.leg1IntentBuckets));
-  x.push(...oneHotValue(row.leg2OrderIntent ?? "unknown", schema.leg2IntentBuckets));
-  return x;
-}
-
 function evaluateDecision(rows, probs, threshold) {
   const decisions = rows.map((_, i) => (probs[i] >= threshold ? "buy_now" : "wait"));
   const rewards = rows.map((r, i) => {
@@ -126,23 +55,45 @@ function evaluateDecision(rows, probs, threshold) {
   };
 }
 
+// The model must have been trained on exactly the labels being backtested.
+let labelsManifest;
+let artifacts;
+let features;
+try {
+  labelsManifest = await readVerifiedManifest(dataPath, "labels:generate");
+  artifacts = JSON.parse(await fs.readFile(artifactsPath, "utf8"));
+  assertSameInput(
+    path.basename(artifactsPath),
+    artifacts.lineage?.inputs?.labels,
+    manifestInput(labelsManifest),
+    "re-run train:baseline"
+  );
+  features = loadFeaturePipeline(artifacts, path.basename(artifactsPath));
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
 const raw = await fs.readFile(dataPath, "utf8");
 const rows = raw
   .split("\n")
   .map((line) => line.trim())
   .filter(Boolean)
   .map((line) => JSON.parse(line));
-const prepared = prepareRows(rows);
+const prepared = prepareRows(rows, { targets: true });
 const split = splitChronological(prepared);
 
-const artifacts = JSON.parse(await fs.readFile(artifactsPath, "utf8"));
-const schema = artifacts.schema;
-const scaler = artifacts.scaler;
 const clsW = artifacts.classification.weights;
 
-const testRows = split.test.filter((r) => !r._censored && r._regTarget !== null);
-const testX = testRows.map((r) => buildVector(r, schema, scaler));
-const testProbs = testX.map((x) => sigmoid(dot(clsW, x)));
+// Censored rows are treated the way the model was trained (artifacts without a
+// censoring config predate it and dropped them).
+const censoring = artifacts.censoring ?? { mode: "drop", censoredWait: "no_trade" };
+const usable = (rowsIn, config = censoring) =>
+  applyCensoring(rowsIn, config).filter((r) => r._regTarget !== null);
+const probsFor = (rowsIn) => rowsIn.map((r) => sigmoid(dot(clsW, features.vector(r))));
+
+const testRows = usable(split.test);
+const testProbs = probsFor(testRows);
 
 const thresholds = [0.4, 0.5, 0.6, 0.7];
 const results = thresholds.map((t) => evaluateDecision(testRows, testProbs, t));
@@ -150,8 +101,21 @@ const best = [...results].sort(
   (a, b) => b.meanRelativePnlVsAlwaysBuyNow - a.meanRelativePnlVsAlwaysBuyNow
 )[0];
 
+const evaluationSets = {
+  observedOnly: usable(split.test, { ...censoring, mode: "drop" }),
+  allRowsImputed: usable(split.test, { ...censoring, mode: "impute" }),
+};
+
 const report = {
   generatedAt: new Date().toISOString(),
+  lineage: createLineage({
+    stage: "backtest:baseline",
+    labelSpecVersion: labelsManifest.labelSpecVersion,
+    inputs: { labels: manifestInput(labelsManifest), artifacts: await fileRef(artifactsPath) },
+    params: { censoring },
+    upstream: { labels: labelsManifest },
+  }),
+  censoring,
   splitSizes: {
     allPreparedRows: prepared.length,
     testRows: split.test.length,
@@ -160,11 +124,17 @@ const report = {
   strategy: "classification-gated wait/buy-now decision",
   assumptions: [
     "Reward is measured relative to always-buy-now baseline.",
-    "Waiting reward uses observed policy-window deltaNetPnlPolicyWindowAtNowSize label.",
+    "Waiting reward uses the policy-window deltaNetPnlPolicyWindowAtNowSize label, imputed for censored rows per the model's censoring config.",
     "No transaction-cost drift beyond what is embedded in labels.",
   ],
   thresholdSweep: results,
   bestThresholdByMeanRelativePnl: best,
+  testByCensoringAtBestThreshold: Object.fromEntries(
+    Object.entries(evaluationSets).map(([key, rowsIn]) => [
+      key,
+      evaluateDecision(rowsIn, probsFor(rowsIn), best.threshold),
+    ])
+  ),
 };
 
 await fs.writeFile(outputPath, `${JSON.stringify(report, null, 2)}\n`, "utf8");
@@ -0,0 +1,193 @@
+import { execFileSync } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { createJsonlWriter } from "./lib/jsonl.mjs";
+import { DEFAULT_LABEL_SPEC_PATH } from "./lib/label-spec.mjs";
+import { createLineage, writeManifest } from "./lib/lineage.mjs";
+
+const reportPath = path.resolve("data", "label_benchmark_report.json");
+const labelerPath = path.resolve("scripts", "generate-capacity-labels.mjs");
+
+const { values: args } = parseArgs({
+  options: {
+    sightings: { type: "string", default: "25000,50000,100000" },
+    "interval-seconds": { type: "string", default: "30" },
+    seed: { type: "string", default: "1" },
+    spec: { type: "string", default: DEFAULT_LABEL_SPEC_PATH },
+  },
+});
+
+// Times `labels:generate` on one synthetic (strategy, dedupeKey) series per
+// size: the hot-market case where every sighting's windows overlap thousands of
+// later sightings. Near-linear labeling shows as a flat `msPerSighting` across
+// sizes; the old per-row rescans grew it in proportion to the series length.
+
+const sizes = args.sightings.split(",").map((s) => Number(s.trim()));
+const intervalSeconds = Number(args["interval-seconds"]);
+const seed = Number(args.seed);
+if (sizes.length === 0 || sizes.some((n) => !Number.isInteger(n) || n <= 0)) {
+  console.error(`Invalid --sightings value: ${args.sightings}`);
+  process.exit(1);
+}
+if (!Number.isFinite(intervalSeconds) || intervalSeconds <= 0) {
+  console.error(`Invalid --interval-seconds value: ${args["interval-seconds"]}`);
+  process.exit(1);
+}
+if (!Number.isInteger(seed)) {
+  console.error(`Invalid --seed value: ${args.seed}`);
+  process.exit(1);
+}
+
+// mulberry32: small seeded PRNG so every run labels the same series.
+function createRandom(seedValue) {
+  let state = seedValue >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const round = (v, digits) => Number(v.toFixed(digits));
+
+// One cross-venue series: edge and capacity drift as a random walk on price
+// ticks (so repeated sightings occur, as in real books), resolution two hours
+// after the last sighting so the early part sits beyond the 7-day window and
+// the end walks through every resolution phase. About 1% of sightings were
+// executed, a quarter of those after failed attempts.
+async function writeSyntheticSeries(filePath, n) {
+  const random = createRandom(seed);
+  const startMs = Date.UTC(2026, 0, 1);
+  const intervalMs = intervalSeconds * 1000;
+  const resolvesAt = new Date(startMs + (n - 1) * intervalMs + 2 * 60 * 60 * 1000).toISOString();
+  const writer = createJsonlWriter(filePath);
+  let edge = 0.02;
+  let capacity = 150;
+  let price = 0.5;
+  for (let i = 0; i < n; i++) {
+    if (random() < 0.3) {
+      edge = Math.min(0.08, Math.max(-0.01, edge + (random() - 0.5) * 0.004));
+    }
+    if (random() < 0.2) {
+      capacity = Math.min(500, Math.max(5, capacity + Math.round((random() - 0.5) * 40)));
+    }
+    if (random() < 0.1) {
+      price = Math.min(0.9, Math.max(0.1, price + (random() - 0.5) * 0.02));
+    }
+    const executed = random() < 0.01;
+    const failed = executed && random() < 0.25 ? 1 : 0;
+    const kalshiPrice = round(price, 2);
+    await writer.write({
+      opportunityId: `bench-${i}`,
+      dedupeKey: "bench:1",
+      strategyType: "cross_venue_binary",
+      decisionTs: new Date(startMs + i * intervalMs).toISOString(),
+      expectedEdgeAtDecision: round(edge, 3),
+      targetContractsAtDecision: capacity,
+      minKernelContractsAtDecision: capacity,
+      legCount: 2,
+      legs: [
+        {
+          venue: "KALSHI",
+          marketId: "BENCH-1",
+          side: "YES",
+          orderIntent: i % 2 === 0 ? "MAKER" : "TAKER",
+          feeClass: "kalshi_standard",
+          price: kalshiPrice,
+          expiresAt: resolvesAt,
+          oppExpiresAt: resolvesAt,
+          marketCategory: "Crypto",
+          marketTitle: "Bitcoin above 100k at close?",
+          marketTags: [],
+        },
+        {
+          venue: "POLYMARKET",
+          marketId: "0xbench1",
+          side: "NO",
+          orderIntent: "TAKER",
+          feeClass: "polymarket_standard",
+          price: round(1 - kalshiPrice - round(edge, 3), 3),
+          expiresAt: resolvesAt,
+          oppExpiresAt: resolvesAt,
+          marketCategory: "Crypto",
+          marketTitle: "Bitcoin above 100k at close?",
+          marketTags: ["Crypto"],
+        },
+      ],
+      executionHistory: executed ? Array.from({ length: failed + 1 }, () => ({})) : [],
+      failedExecutionAttempts: failed,
+      attemptsBeforeSuccess: executed ? failed : null,
+      executionFillRatio: executed ? 1 : null,
+    });
+  }
+  await writer.close();
+  return writer.count;
+}
+
+const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "label-bench-"));
+const runs = [];
+try {
+  for (const n of sizes) {
+    const inputPath = path.join(workDir, `series-${n}.jsonl`);
+    const outputPath = path.join(workDir, `labeled-${n}.jsonl`);
+    await writeSyntheticSeries(inputPath, n);
+    await writeManifest(
+      inputPath,
+      createLineage({ stage: "bench:labels", params: { sightings: n, intervalSeconds, seed } }),
+      { rows: n }
+    );
+    const started = process.hrtime.bigint();
+    execFileSync(
+      process.execPath,
+      [
+        labelerPath,
+        "--spec",
+        args.spec,
+        "--input",
+        inputPath,
+        "--output",
+        outputPath,
+        "--summary",
+        path.join(workDir, `summary-${n}.json`),
+        "--orderbook-features",
+        path.join(workDir, "no-orderbook-features.jsonl"),
+      ],
+      { stdio: ["ignore", "ignore", "inherit"] }
+    );
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    runs.push({
+      sightings: n,
+      seconds,
+      sightingsPerSecond: n / seconds,
+      msPerSighting: (seconds * 1000) / n,
+    });
+    console.log(`${n} sightings: ${seconds.toFixed(2)}s`);
+    await fs.rm(outputPath, { force: true });
+  }
+} finally {
+  await fs.rm(workDir, { recursive: true, force: true });
+}
+
+// Fitted exponent of time vs series length between the smallest and largest
+// run: ~1 for linear, 2 for quadratic.
+const first = runs[0];
+const last = runs[runs.length - 1];
+const report = {
+  generatedAt: new Date().toISOString(),
+  spec: path.resolve(args.spec),
+  intervalSeconds,
+  seed,
+  runs,
+  scalingExponent:
+    runs.length < 2 || last.sightings === first.sightings
+      ? null
+      : Math.log(last.seconds / first.seconds) / Math.log(last.sightings / first.sightings),
+};
+await fs.mkdir(path.dirname(reportPath), { recursive: true });
+await fs.writeFile(reportPath, `${JSON.stringify(report, null, 2)}\n`, "utf8");
+console.log(`Wrote label benchmark report: ${reportPath}`);
+console.log(JSON.stringify(report, null, 2));
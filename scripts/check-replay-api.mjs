@@ -1,4 +1,5 @@
 import "dotenv/config";
+import { createReplayLabClient } from "./lib/replay-lab-client.mjs";
 
 const baseUrl = process.env.REPLAY_LAB_API_URL;
 const apiKey = process.env.REPLAY_LAB_API_KEY;
@@ -8,20 +9,15 @@ if (!baseUrl || !apiKey) {
   process.exit(1);
 }
 
-const healthUrl = `${baseUrl.replace(/\/$/, "")}/api/health`;
+const client = createReplayLabClient({ baseUrl, apiKey, maxRetries: 0 });
 
-const response = await fetch(healthUrl, {
-  headers: {
-    "x-api-key": apiKey,
-  },
-});
-
-if (!response.ok) {
-  const body = await response.text();
-  console.error(`Replay Lab API health check failed: ${response.status}`);
-  console.error(body);
+let data;
+try {
+  data = await client.health();
+} catch (err) {
+  console.error(`Replay Lab API health check failed: ${err.status ?? err.message}`);
+  console.error(err.message);
   process.exit(1);
 }
 
-const data = await response.json();
 console.log("Replay Lab API health:", data);
@@ -0,0 +1,245 @@
+import { once } from "node:events";
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { fileWriter, ParquetWriter } from "hyparquet-writer";
+import {
+  EXPORT_COLUMNS,
+  EXPORT_LAYOUT_VERSION,
+  PREDICTION_COLUMNS,
+} from "./lib/export-columns.mjs";
+import { createRowPreparer, loadFeaturePipeline } from "./lib/features.mjs";
+import { readJsonl } from "./lib/jsonl.mjs";
+import {
+  assertSameInput,
+  createLineage,
+  fileRef,
+  manifestInput,
+  readVerifiedManifest,
+  writeManifest,
+} from "./lib/lineage.mjs";
+import { clip, dot, safeNum, sigmoid } from "./lib/math.mjs";
+
+const FORMATS = ["csv", "parquet"];
+
+const { values: args } = parseArgs({
+  options: {
+    input: { type: "string", default: path.join("data", "labeled_training_dataset.jsonl") },
+    "out-dir": { type: "string", default: path.join("data", "export") },
+    format: { type: "string", default: FORMATS.join(",") },
+    "with-predictions": { type: "boolean", default: false },
+    artifacts: { type: "string", default: path.join("data", "model_robust_artifacts.json") },
+    "row-group-size": { type: "string", default: "10000" },
+  },
+});
+
+const formats = args.format
+  .split(",")
+  .map((f) => f.trim())
+  .filter(Boolean);
+if (formats.length === 0 || formats.some((f) => !FORMATS.includes(f))) {
+  console.error(`Invalid --format value: ${args.format} (expected ${FORMATS.join(", ")})`);
+  process.exit(1);
+}
+const rowGroupSize = Number(args["row-group-size"]);
+if (!Number.isInteger(rowGroupSize) || rowGroupSize <= 0) {
+  console.error(`Invalid --row-group-size value: ${args["row-group-size"]}`);
+  process.exit(1);
+}
+
+const inputPath = path.resolve(args.input);
+const outDir = path.resolve(args["out-dir"]);
+const baseName = path.basename(inputPath, ".jsonl");
+
+// Vectors are rebuilt from the artifact's own feature pipeline; throws when
+// its feature contract is incompatible. Every row must be passed in dataset
+// order so the series history features see all earlier sightings; rows the
+// robust training/backtest scripts would not score get null predictions.
+function createPredictor(artifacts) {
+  const features = loadFeaturePipeline(artifacts, path.basename(artifactsPath));
+  const prepare = createRowPreparer();
+  const winsor = artifacts.winsorization;
+  const threshold = artifacts.classification.tunedThreshold;
+  return (row) => {
+    const prepared = prepare(row);
+    if (!prepared) return [null, null, null];
+    const x = features.vector(prepared);
+    const clsSeg = artifacts.classification.segments[prepared._segmentKey];
+    const logit = dot(clsSeg ? clsSeg.weights : artifacts.classification.globalWeights, x);
+    const { a, b } = artifacts.classification.platt;
+    const prob = sigmoid(a * logit + b);
+    const regSeg = artifacts.regression.segments[prepared._segmentKey];
+    const delta = regSeg
+      ? clip(dot(regSeg.weights, x), regSeg.lo, regSeg.hi)
+      : clip(dot(artifacts.regression.globalWeights, x), winsor.low, winsor.high);
+    return [prob, prob >= threshold ? "buy_now" : "wait", delta];
+  };
+}
+
+// Coerces a raw JSON value to the column type; anything that does not fit
+// becomes null rather than a mixed-type column.
+function coerce(value, type) {
+  if (value === null || value === undefined) return null;
+  switch (type) {
+    case "double":
+      return safeNum(value);
+    case "int": {
+      const n = safeNum(value);
+      return n !== null && Number.isInteger(n) ? n : null;
+    }
+    case "bool":
+      return typeof value === "boolean" ? value : null;
+    case "timestamp": {
+      const ts = new Date(value);
+      return Number.isFinite(ts.getTime()) ? ts : null;
+    }
+    default:
+      return typeof value === "string" ? value : JSON.stringify(value);
+  }
+}
+
+function csvCell(value) {
+  if (value === null) return "";
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const PARQUET_TYPES = {
+  string: { type: "BYTE_ARRAY", converted_type: "UTF8" },
+  double: { type: "DOUBLE" },
+  int: { type: "INT32" },
+  bool: { type: "BOOLEAN" },
+  timestamp: { type: "INT64", converted_type: "TIMESTAMP_MILLIS" },
+};
+
+function createCsvSink(filePath, columns) {
+  const out = fs.createWriteStream(filePath, { encoding: "utf8" });
+  const writeLine = async (line) => {
+    if (!out.write(`${line}\n`)) await once(out, "drain");
+  };
+  return {
+    start: () => writeLine(columns.map((c) => c.name).join(",")),
+    writeRows: async (rows) => {
+      for (const values of rows) await writeLine(values.map(csvCell).join(","));
+    },
+    async close() {
+      out.end();
+      await once(out, "finish");
+    },
+  };
+}
+
+// Rows are buffered per row group and handed to the writer column-wise, so
+// memory is bounded by --row-group-size rather than the dataset.
+function createParquetSink(filePath, columns) {
+  const writer = new ParquetWriter({
+    writer: fileWriter(filePath),
+    schema: [
+      { name: "root", num_children: columns.length },
+      ...columns.map((c) => ({
+        name: c.name,
+        repetition_type: "OPTIONAL",
+        ...PARQUET_TYPES[c.type],
+      })),
+    ],
+    kvMetadata: [{ key: "export_layout_version", value: String(EXPORT_LAYOUT_VERSION) }],
+  });
+  return {
+    start: async () => {},
+    writeRows: async (rows) => {
+      await writer.write({
+        columnData: columns.map((c, j) => ({
+          name: c.name,
+          data: rows.map((values) => values[j]),
+        })),
+        rowGroupSize,
+      });
+    },
+    close: async () => writer.finish(),
+  };
+}
+
+// Predictions are only exported from a model trained on these exact labels.
+const artifactsPath = path.resolve(args.artifacts);
+let labelsManifest;
+let artifacts = null;
+let predict = null;
+try {
+  labelsManifest = await readVerifiedManifest(inputPath, "labels:generate");
+  if (args["with-predictions"]) {
+    artifacts = JSON.parse(await fsp.readFile(artifactsPath, "utf8"));
+    assertSameInput(
+      path.basename(artifactsPath),
+      artifacts.lineage?.inputs?.labels,
+      manifestInput(labelsManifest),
+      "re-run train:robust"
+    );
+    predict = createPredictor(artifacts);
+  }
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+const columns = [...EXPORT_COLUMNS, ...(args["with-predictions"] ? PREDICTION_COLUMNS : [])];
+
+await fsp.mkdir(outDir, { recursive: true });
+const outputs = formats.map((format) => path.join(outDir, `${baseName}.${format}`));
+const sinks = formats.map((format, i) =>
+  format === "csv" ? createCsvSink(outputs[i], columns) : createParquetSink(outputs[i], columns)
+);
+for (const sink of sinks) await sink.start();
+
+let rowCount = 0;
+let predictedRows = 0;
+let buffer = [];
+const flush = async () => {
+  if (buffer.length === 0) return;
+  for (const sink of sinks) await sink.writeRows(buffer);
+  buffer = [];
+};
+
+for await (const row of readJsonl(inputPath)) {
+  const values = EXPORT_COLUMNS.map((c) => coerce(c.get(row), c.type));
+  if (predict) {
+    const predictions = predict(row);
+    if (predictions[0] !== null) predictedRows++;
+    values.push(...predictions);
+  }
+  buffer.push(values);
+  rowCount++;
+  if (buffer.length >= rowGroupSize) await flush();
+}
+await flush();
+for (const sink of sinks) await sink.close();
+
+const lineage = createLineage({
+  stage: "export:dataset",
+  labelSpecVersion: labelsManifest.labelSpecVersion,
+  inputs: {
+    labels: manifestInput(labelsManifest),
+    ...(artifacts ? { artifacts: await fileRef(artifactsPath) } : {}),
+  },
+  params: { layoutVersion: EXPORT_LAYOUT_VERSION, withPredictions: args["with-predictions"] },
+  upstream: { labels: labelsManifest },
+});
+for (const output of outputs) await writeManifest(output, lineage, { rows: rowCount });
+
+const layoutPath = path.join(outDir, "columns.json");
+const layout = {
+  layoutVersion: EXPORT_LAYOUT_VERSION,
+  generatedAt: new Date().toISOString(),
+  input: inputPath,
+  rows: rowCount,
+  withPredictions: args["with-predictions"],
+  lineage,
+  columns: columns.map(({ name, type, source }) => ({ name, type, source })),
+};
+await fsp.writeFile(layoutPath, `${JSON.stringify(layout, null, 2)}\n`, "utf8");
+
+console.log(`Rows: ${rowCount}`);
+console.log(`Columns: ${columns.length} (layout v${EXPORT_LAYOUT_VERSION})`);
+if (predict) console.log(`Rows with predictions: ${predictedRows}`);
+for (const output of outputs) console.log(`Output: ${output}`);
+console.log(`Column layout: ${layoutPath}`);
@@ -1,126 +1,85 @@
 import "dotenv/config";
 import fs from "node:fs/promises";
 import path from "node:path";
-import { Client } from "pg";
+import { parseArgs } from "node:util";
+import { compareDatasetRows } from "./lib/dataset-order.mjs";
+import { createFixtureSource, createPostgresSource } from "./lib/extraction-sources.mjs";
+import { createJsonlWriter, fileExists, readJsonl } from "./lib/jsonl.mjs";
+import {
+  createLineage,
+  fileRef,
+  manifestInput,
+  manifestPath,
+  readVerifiedManifest,
+  writeManifest,
+} from "./lib/lineage.mjs";
 
-const databaseUrl = process.env.DATABASE_URL;
+const outputPath = path.resolve("data", "training_dataset.jsonl");
+const watermarkPath = path.resolve("data", "extract_watermark.json");
+
+const DEFAULT_LOOKBACK_DAYS = 30;
+const DEFAULT_STRATEGY_TYPES = ["cross_venue_binary"];
+const EXECUTION_SUCCESS_STATE = "completed";
 
-if (!databaseUrl) {
-  console.error("Missing DATABASE_URL in .env");
+const { values: args } = parseArgs({
+  options: {
+    incremental: { type: "boolean", default: false },
+    since: { type: "string" },
+    days: { type: "string" },
+    strategies: { type: "string" },
+    source: { type: "string", default: "postgres" },
+    fixtures: { type: "string", default: path.join("fixtures", "replay-db") },
+  },
+});
+
+const strategyTypes =
+  args.strategies === undefined
+    ? DEFAULT_STRATEGY_TYPES
+    : args.strategies
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean);
+if (strategyTypes.length === 0) {
+  console.error("--strategies must list at least one strategy type");
   process.exit(1);
 }
 
-const outputPath = path.resolve("data", "training_dataset.jsonl");
+function createSource() {
+  if (args.source === "fixture") {
+    return createFixtureSource({ dir: path.resolve(args.fixtures) });
+  }
+  if (args.source !== "postgres") {
+    console.error(`Unknown --source value: ${args.source} (expected postgres or fixture)`);
+    process.exit(1);
+  }
+  const databaseUrl = process.env.DATABASE_URL;
+  if (!databaseUrl) {
+    console.error("Missing DATABASE_URL in .env");
+    process.exit(1);
+  }
+  return createPostgresSource({ databaseUrl });
+}
 
-const query = `
-with sized_artifacts as (
-  select
-    a.opportunity_id,
-    a.portfolio_id,
-    a.created_at as decision_ts,
-    o.dedupe_key,
-    o.strategy_type,
-    o.status as opportunity_status,
-    o.created_at as opportunity_created_at,
-    a.artifact->'sizing'->>'expectedEdge' as expected_edge_at_decision,
-    a.artifact->'sizing'->>'targetContracts' as target_contracts_at_decision,
-    (
-      select min((kl->>'contracts')::numeric)
-      from jsonb_array_elements(coalesce(a.artifact->'sizing'->'kernelLegs', '[]'::jsonb)) as kl
-      where (kl->>'contracts') is not null
-    ) as min_kernel_contracts_at_decision,
-    (
-      select avg((kl->>'price')::numeric)
-      from jsonb_array_elements(coalesce(a.artifact->'sizing'->'kernelLegs', '[]'::jsonb)) as kl
-      where (kl->>'price') is not null
-    ) as avg_leg_price_at_decision,
-    a.artifact->'sizing'->>'budgetUsd' as budget_usd_at_decision,
-    a.artifact->>'requestUsd' as request_usd,
-    a.artifact->>'availableUsd' as available_usd,
-    a.artifact->'sizing'->'decisionProvenance'->>'capturedAt' as decision_captured_at,
-    a.artifact->'sizing'->'legs'->0->>'venue' as leg1_venue,
-    coalesce(
-      a.artifact->'sizing'->'legs'->0->>'marketId',
-      o.payload->'legs'->0->>'marketId'
-    ) as leg1_market_id,
-    coalesce(
-      a.artifact->'sizing'->'legs'->0->>'symbolId',
-      o.payload->'legs'->0->>'symbolId'
-    ) as leg1_symbol_id,
-    a.artifact->'sizing'->'legs'->0->>'side' as leg1_side,
-    a.artifact->'sizing'->'legs'->0->>'orderIntent' as leg1_order_intent,
-    a.artifact->'sizing'->'legs'->0->>'venueFeeClass' as leg1_fee_class,
-    a.artifact->'sizing'->'legs'->0->>'expiresAt' as leg1_expires_at,
-    o.payload->'legs'->0->>'expiresAt' as opp_leg1_expires_at,
-    a.artifact->'sizing'->'legs'->1->>'venue' as leg2_venue,
-    coalesce(
-      a.artifact->'sizing'->'legs'->1->>'marketId',
-      o.payload->'legs'->1->>'marketId'
-    ) as leg2_market_id,
-    coalesce(
-      a.artifact->'sizing'->'legs'->1->>'symbolId',
-      o.payload->'legs'->1->>'symbolId'
-    ) as leg2_symbol_id,
-    a.artifact->'sizing'->'legs'->1->>'side' as leg2_side,
-    a.artifact->'sizing'->'legs'->1->>'orderIntent' as leg2_order_intent,
-    a.artifact->'sizing'->'legs'->1->>'venueFeeClass' as leg2_fee_class,
-    a.artifact->'sizing'->'legs'->1->>'expiresAt' as leg2_expires_at,
-    o.payload->'legs'->1->>'expiresAt' as opp_leg2_expires_at,
-    jsonb_array_length(coalesce(a.artifact->'sizing'->'legs', '[]'::jsonb)) as leg_count
-  from arb_execution_decision_artifacts a
-  join arb_opportunities o on o.id = a.opportunity_id
-  where a.status = 'sized'
-    and o.strategy_type = 'cross_venue_binary'
-    and a.created_at >= now() - interval '30 days'
-),
-latest_execution as (
-  select distinct on (e.opportunity_id)
-    e.opportunity_id,
-    e.state as execution_state,
-    e.actual_edge,
-    e.expected_edge,
-    e.realized_pnl,
-    e.target_contracts as execution_target_contracts,
-    e.completed_at
-  from arb_executions e
-  where e.created_at >= now() - interval '30 days'
-  order by e.opportunity_id, e.created_at desc
-),
-enriched_markets as (
-  select
-    s.*,
-    coalesce(k1.category, p1.category) as leg1_market_category,
-    coalesce(k1.title, p1.question) as leg1_market_title,
-    coalesce(k1.series_ticker, p1.event_slug) as leg1_market_subcategory,
-    coalesce(k1.event_ticker, p1.event_title) as leg1_event_title,
-    p1.tags as leg1_market_tags,
-    coalesce(k2.category, p2.category) as leg2_market_category,
-    coalesce(k2.title, p2.question) as leg2_market_title,
-    coalesce(k2.series_ticker, p2.event_slug) as leg2_market_subcategory,
-    coalesce(k2.event_ticker, p2.event_title) as leg2_event_title,
-    p2.tags as leg2_market_tags
-  from sized_artifacts s
-  left join kalshi_markets k1
-    on s.leg1_venue = 'KALSHI' and k1.ticker = s.leg1_market_id
-  left join polymarket_markets p1
-    on s.leg1_venue = 'POLYMARKET' and p1.condition_id = s.leg1_market_id
-  left join kalshi_markets k2
-    on s.leg2_venue = 'KALSHI' and k2.ticker = s.leg2_market_id
-  left join polymarket_markets p2
-    on s.leg2_venue = 'POLYMARKET' and p2.condition_id = s.leg2_market_id
-)
-select
-  s.*,
-  e.execution_state,
-  e.actual_edge,
-  e.expected_edge as execution_expected_edge,
-  e.realized_pnl,
-  e.execution_target_contracts,
-  e.completed_at
-from enriched_markets s
-left join latest_execution e on e.opportunity_id = s.opportunity_id
-order by s.decision_ts asc;
-`;
+// Which source the rows come from, recorded in the lineage params so an
+// incremental run only merges into rows read from the same place.
+const sourceParams = {
+  source: args.source,
+  fixtures:
+    args.source === "fixture" ? path.relative(process.cwd(), path.resolve(args.fixtures)) : null,
+};
+
+// What the rows were read from: the fixture tables' hashes, or the database
+// (whose contents cannot be hashed; the query window is in the params).
+async function sourceInputs() {
+  if (args.source !== "fixture") {
+    return { database: { source: args.source } };
+  }
+  const dir = path.resolve(args.fixtures);
+  const files = (await fs.readdir(dir)).filter((f) => /\.(json|csv)$/.test(f)).sort();
+  return Object.fromEntries(
+    await Promise.all(files.map(async (f) => [`fixture:${f}`, await fileRef(path.join(dir, f))]))
+  );
+}
 
 function safeNumber(value) {
   if (value === null || value === undefined || value === "") {
@@ -130,6 +89,59 @@ function safeNumber(value) {
   return Number.isFinite(n) ? n : null;
 }
 
+function toIso(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const ts = value instanceof Date ? value : new Date(value);
+  return Number.isFinite(ts.getTime()) ? ts.toISOString() : null;
+}
+
+// Venue results ("yes"/"no" on Kalshi, "Yes"/"No" on Polymarket) as YES/NO.
+// Unresolved, voided or otherwise non-binary results stay null.
+function normalizeOutcome(value) {
+  const text = typeof value === "string" ? value.trim().toUpperCase() : "";
+  return text === "YES" || text === "NO" ? text : null;
+}
+
+function parseExecutionHistory(value) {
+  return (Array.isArray(value) ? value : []).map((e) => ({
+    executionId: e.executionId ?? null,
+    state: e.state ?? null,
+    actualEdge: safeNumber(e.actualEdge),
+    expectedEdge: safeNumber(e.expectedEdge),
+    realizedPnl: safeNumber(e.realizedPnl),
+    targetContracts: safeNumber(e.targetContracts),
+    filledContracts: safeNumber(e.filledContracts),
+    createdAt: toIso(e.createdAt),
+    completedAt: toIso(e.completedAt),
+  }));
+}
+
+// Attempts are "failed" once they finished without reaching the success state;
+// in-flight attempts count towards neither. Without a recorded fill count a
+// completed attempt is taken as fully filled and a failed one as unfilled.
+function summarizeExecutionHistory(history, targetContracts) {
+  const finished = history.filter((e) => e.completedAt !== null);
+  const firstSuccess = history.findIndex((e) => e.state === EXECUTION_SUCCESS_STATE);
+  const filled = finished.map(
+    (e) => e.filledContracts ?? (e.state === EXECUTION_SUCCESS_STATE ? e.targetContracts : 0)
+  );
+  const knownFilled = filled.filter((x) => x !== null);
+  const pnl = history.map((e) => e.realizedPnl).filter((x) => x !== null);
+  return {
+    executionAttemptCount: history.length,
+    failedExecutionAttempts: finished.filter((e) => e.state !== EXECUTION_SUCCESS_STATE).length,
+    attemptsBeforeSuccess: firstSuccess === -1 ? null : firstSuccess,
+    filledContracts: knownFilled.length ? knownFilled.reduce((a, b) => a + b, 0) : null,
+    executionFillRatio:
+      knownFilled.length && targetContracts !== null && targetContracts > 0
+        ? knownFilled.reduce((a, b) => a + b, 0) / targetContracts
+        : null,
+    totalRealizedPnl: pnl.length ? pnl.reduce((a, b) => a + b, 0) : null,
+  };
+}
+
 function parseFeatures(row) {
   const parseTags = (value) => {
     if (value === null || value === undefined) {
@@ -141,6 +153,31 @@ function parseFeatures(row) {
     return [];
   };
 
+  const parseLeg = (leg) => ({
+    venue: leg.venue ?? null,
+    marketId: leg.marketId ?? null,
+    symbolId: leg.symbolId ?? null,
+    side: leg.side ?? null,
+    orderIntent: leg.orderIntent ?? null,
+    feeClass: leg.feeClass ?? null,
+    price: safeNumber(leg.price),
+    contracts: safeNumber(leg.contracts),
+    expiresAt: leg.expiresAt ?? null,
+    oppExpiresAt: leg.oppExpiresAt ?? null,
+    marketCategory: leg.marketCategory ?? null,
+    marketSubcategory: leg.marketSubcategory ?? null,
+    marketTitle: leg.marketTitle ?? null,
+    eventTitle: leg.eventTitle ?? null,
+    marketTags: parseTags(leg.marketTags),
+    resolutionResult: leg.resolutionResult || null,
+    resolutionOutcome: normalizeOutcome(leg.resolutionResult),
+    resolvedAt: toIso(leg.resolvedAt),
+    marketCloseAt: toIso(leg.marketCloseAt),
+  });
+
+  const executionHistory = parseExecutionHistory(row.execution_history);
+  const targetContractsAtDecision = safeNumber(row.target_contracts_at_decision);
+
   return {
     opportunityId: row.opportunity_id,
     dedupeKey: row.dedupe_key ?? null,
@@ -152,63 +189,234 @@ function parseFeatures(row) {
     opportunityCreatedAt:
       row.opportunity_created_at?.toISOString?.() ?? row.opportunity_created_at,
     expectedEdgeAtDecision: safeNumber(row.expected_edge_at_decision),
-    targetContractsAtDecision: safeNumber(row.target_contracts_at_decision),
+    targetContractsAtDecision,
     minKernelContractsAtDecision: safeNumber(row.min_kernel_contracts_at_decision),
     avgLegPriceAtDecision: safeNumber(row.avg_leg_price_at_decision),
     budgetUsdAtDecision: safeNumber(row.budget_usd_at_decision),
     requestUsd: safeNumber(row.request_usd),
     availableUsd: safeNumber(row.available_usd),
     legCount: safeNumber(row.leg_count),
-    leg1Venue: row.leg1_venue ?? null,
-    leg1MarketId: row.leg1_market_id ?? null,
-    leg1SymbolId: row.leg1_symbol_id ?? null,
-    leg1Side: row.leg1_side ?? null,
-    leg1OrderIntent: row.leg1_order_intent ?? null,
-    leg1FeeClass: row.leg1_fee_class ?? null,
-    leg1ExpiresAt: row.leg1_expires_at ?? null,
-    oppLeg1ExpiresAt: row.opp_leg1_expires_at ?? null,
-    leg1MarketCategory: row.leg1_market_category ?? null,
-    leg1MarketSubcategory: row.leg1_market_subcategory ?? null,
-    leg1MarketTitle: row.leg1_market_title ?? null,
-    leg1EventTitle: row.leg1_event_title ?? null,
-    leg1MarketTags: parseTags(row.leg1_market_tags),
-    leg2Venue: row.leg2_venue ?? null,
-    leg2MarketId: row.leg2_market_id ?? null,
-    leg2SymbolId: row.leg2_symbol_id ?? null,
-    leg2Side: row.leg2_side ?? null,
-    leg2OrderIntent: row.leg2_order_intent ?? null,
-    leg2FeeClass: row.leg2_fee_class ?? null,
-    leg2ExpiresAt: row.leg2_expires_at ?? null,
-    oppLeg2ExpiresAt: row.opp_leg2_expires_at ?? null,
-    leg2MarketCategory: row.leg2_market_category ?? null,
-    leg2MarketSubcategory: row.leg2_market_subcategory ?? null,
-    leg2MarketTitle: row.leg2_market_title ?? null,
-    leg2EventTitle: row.leg2_event_title ?? null,
-    leg2MarketTags: parseTags(row.leg2_market_tags),
+    legs: (Array.isArray(row.legs) ? row.legs : []).map(parseLeg),
     executionState: row.execution_state ?? null,
     actualEdgeAtExecution: safeNumber(row.actual_edge),
     expectedEdgeAtExecution: safeNumber(row.execution_expected_edge),
     realizedPnl: safeNumber(row.realized_pnl),
     executionTargetContracts: safeNumber(row.execution_target_contracts),
     executionCompletedAt: row.completed_at?.toISOString?.() ?? row.completed_at ?? null,
+    executionHistory,
+    ...summarizeExecutionHistory(executionHistory, targetContractsAtDecision),
   };
 }
 
-const client = new Client({ connectionString: databaseUrl });
-await client.connect();
+function resolveLookbackStart(referenceTime) {
+  if (args.since !== undefined) {
+    const ts = new Date(args.since);
+    if (!Number.isFinite(ts.getTime())) {
+      console.error(`Invalid --since value: ${args.since}`);
+      process.exit(1);
+    }
+    return ts;
+  }
+  const days = args.days === undefined ? DEFAULT_LOOKBACK_DAYS : Number(args.days);
+  if (!Number.isFinite(days) || days <= 0) {
+    console.error(`Invalid --days value: ${args.days}`);
+    process.exit(1);
+  }
+  return new Date(referenceTime.getTime() - days * 24 * 60 * 60 * 1000);
+}
 
+async function readJsonIfExists(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      return null;
+    }
+    throw err;
+  }
+}
+
+// Yields rows of an existing dataset, checking they are in dataset order so
+// the merge below stays a single streaming pass.
+async function* readSortedDataset(filePath, label) {
+  let previous = null;
+  for await (const row of readJsonl(filePath)) {
+    if (previous !== null && compareDatasetRows(previous, row) > 0) {
+      throw new Error(
+        `${label} ${filePath} is not sorted by strategy, dedupe key and decision time; ` +
+          "re-run the extraction without --incremental"
+      );
+    }
+    previous = row;
+    yield row;
+  }
+}
+
+// Sorted merge of two datasets. Rows of `fresh` win: an existing row is
+// dropped when its opportunityId was re-fetched (new artifact or refreshed
+// executions), wherever it sorted before.
+async function* mergeSorted(existing, fresh, freshIds, stats) {
+  const a = existing[Symbol.asyncIterator]();
+  const b = fresh[Symbol.asyncIterator]();
+  let x = await a.next();
+  let y = await b.next();
+  while (!x.done || !y.done) {
+    if (!x.done && freshIds.has(x.value.opportunityId)) {
+      stats.replaced++;
+      x = await a.next();
+    } else if (y.done || (!x.done && compareDatasetRows(x.value, y.value) <= 0)) {
+      yield x.value;
+      x = await a.next();
+    } else {
+      yield y.value;
+      y = await b.next();
+    }
+  }
+}
+
+// The manifest of the dataset an incremental run merges into, or null when
+// there is none yet. Throws unless the file is unchanged since the extraction
+// that wrote it and came from the same source and strategies as this run.
+async function readMergeBase() {
+  if (!args.incremental || !(await fileExists(outputPath))) return null;
+  const fix = "re-run the extraction without --incremental";
+  const manifest = await readVerifiedManifest(outputPath, "extract:dataset without --incremental");
+  if (manifest.stage !== "extract:dataset") {
+    throw new Error(`${outputPath} was written by ${manifest.stage}, not extract:dataset; ${fix}`);
+  }
+  const recorded = manifest.params ?? {};
+  if (recorded.source !== sourceParams.source || recorded.fixtures !== sourceParams.fixtures) {
+    const describe = (p) => (p.fixtures ? `${p.source} (${p.fixtures})` : String(p.source));
+    throw new Error(
+      `${outputPath} was extracted from ${describe(recorded)}, not ${describe(sourceParams)}; ${fix}`
+    );
+  }
+  const strategies = [...(recorded.strategies ?? [])].sort();
+  if (strategies.join(",") !== [...strategyTypes].sort().join(",")) {
+    throw new Error(
+      `${outputPath} holds strategies ${strategies.join(", ")}, ` +
+        `not ${strategyTypes.join(", ")}; ${fix}`
+    );
+  }
+  return manifest;
+}
+
+function maxIso(values) {
+  let best = null;
+  for (const v of values) {
+    if (!v) continue;
+    const ts = new Date(v).getTime();
+    if (Number.isFinite(ts) && (best === null || ts > best)) {
+      best = ts;
+    }
+  }
+  return best === null ? null : new Date(best).toISOString();
+}
+
+let mergeBase;
 try {
-  const result = await client.query(query);
-  const rows = result.rows.map(parseFeatures);
+  mergeBase = await readMergeBase();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
 
-  const lines = rows.map((r) => JSON.stringify(r)).join("\n");
-  await fs.writeFile(outputPath, `${lines}\n`, "utf8");
+const source = createSource();
+const previousWatermark = args.incremental ? await readJsonIfExists(watermarkPath) : null;
+const explicitLookback = args.since !== undefined || args.days !== undefined;
+
+let decisionSince;
+let executionSince;
+if (previousWatermark && !explicitLookback) {
+  decisionSince = new Date(previousWatermark.decisionTs);
+  executionSince = new Date(previousWatermark.completedAt ?? previousWatermark.decisionTs);
+} else {
+  decisionSince = resolveLookbackStart(await source.referenceTime());
+  executionSince = decisionSince;
+}
+
+const fetchedPath = `${outputPath}.fetched`;
+try {
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
 
-  const withExecution = rows.filter((r) => r.executionState !== null).length;
+  // Fetched rows stream straight to disk; only their ids and watermark
+  // candidates are kept in memory.
+  const fetchedWriter = createJsonlWriter(fetchedPath);
+  const fetchedIds = new Set();
+  let maxDecisionTs = previousWatermark?.decisionTs ?? null;
+  let maxCompletedAt = previousWatermark?.completedAt ?? null;
+  for await (const raw of source.streamRows({ decisionSince, executionSince, strategyTypes })) {
+    const row = parseFeatures(raw);
+    fetchedIds.add(row.opportunityId);
+    maxDecisionTs = maxIso([maxDecisionTs, row.decisionTs]);
+    maxCompletedAt = maxIso([maxCompletedAt, row.executionCompletedAt]);
+    await fetchedWriter.write(row);
+  }
+  await fetchedWriter.close();
+
+  const inputs = await sourceInputs();
+  if (mergeBase !== null) inputs.previousDataset = manifestInput(mergeBase);
+  const mergeStats = { replaced: 0 };
+  const rows =
+    mergeBase !== null
+      ? mergeSorted(
+          readSortedDataset(outputPath, "Existing dataset"),
+          readSortedDataset(fetchedPath, "Fetched rows"),
+          fetchedIds,
+          mergeStats
+        )
+      : readJsonl(fetchedPath);
+
+  const writer = createJsonlWriter(outputPath);
+  let withExecution = 0;
+  let withRetries = 0;
+  const byStrategy = {};
+  try {
+    for await (const row of rows) {
+      await writer.write(row);
+      if (row.executionState !== null) withExecution++;
+      if ((row.executionAttemptCount ?? 0) > 1) withRetries++;
+      byStrategy[row.strategyType] = (byStrategy[row.strategyType] ?? 0) + 1;
+    }
+  } catch (err) {
+    await writer.abort();
+    throw err;
+  }
+  await writer.close();
+  const lineage = createLineage({
+    stage: "extract:dataset",
+    inputs,
+    params: {
+      ...sourceParams,
+      incremental: args.incremental,
+      strategies: strategyTypes,
+      decisionSince: decisionSince.toISOString(),
+      executionSince: executionSince.toISOString(),
+    },
+  });
+  await writeManifest(outputPath, lineage, { rows: writer.count });
+
+  const watermark = {
+    updatedAt: new Date().toISOString(),
+    decisionTs: maxDecisionTs ?? decisionSince.toISOString(),
+    completedAt: maxCompletedAt ?? executionSince.toISOString(),
+  };
+  await fs.writeFile(watermarkPath, `${JSON.stringify(watermark, null, 2)}\n`, "utf8");
 
-  console.log(`Wrote dataset rows: ${rows.length}`);
+  console.log(`Source: ${source.name}`);
+  console.log(`Mode: ${args.incremental ? "incremental" : "full"}`);
+  console.log(`Strategies: ${strategyTypes.join(", ")}`);
+  console.log(`Decisions since: ${decisionSince.toISOString()}`);
+  console.log(`Executions since: ${executionSince.toISOString()}`);
+  console.log(`Fetched rows: ${fetchedIds.size} (${mergeStats.replaced} replaced existing rows)`);
+  console.log(`Wrote dataset rows: ${writer.count}`);
   console.log(`Rows with execution labels: ${withExecution}`);
+  console.log(`Rows with more than one execution attempt: ${withRetries}`);
+  console.log(`Rows by strategy: ${JSON.stringify(byStrategy)}`);
   console.log(`Output: ${outputPath}`);
+  console.log(`Manifest: ${manifestPath(outputPath)}`);
+  console.log(`Watermark: ${watermarkPath}`);
 } finally {
-  await client.end();
+  await fs.rm(fetchedPath, { force: true });
+  await source.close();
 }
@@ -1,180 +1,92 @@
 import fs from "node:fs/promises";
 import path from "node:path";
+import { parseArgs } from "node:util";
+import { compareSortKeys, datasetSortKey, seriesKey } from "./lib/dataset-order.mjs";
+import { createCostModel } from "./lib/cost-model.mjs";
+import { createJsonlWriter, fileExists, readJsonl, readJsonlLines } from "./lib/jsonl.mjs";
+import { DEFAULT_LABEL_SPEC_PATH, labelSpecInfo, loadLabelSpec } from "./lib/label-spec.mjs";
+import { rowLegs } from "./lib/legs.mjs";
+import { safeNum } from "./lib/math.mjs";
+import { createRangeMaxIndex, firstIndexWhere, lastIndexAtOrBefore } from "./lib/range-max.mjs";
+import { createResolutionResolver, RESOLUTION_SOURCES } from "./lib/resolution-time.mjs";
+import {
+  createLineage,
+  fileRef,
+  manifestInput,
+  manifestPath,
+  readVerifiedManifest,
+  writeManifest,
+} from "./lib/lineage.mjs";
+import {
+  classifyTaxonomy,
+  createTaxonomyPredictor,
+  DEFAULT_TAXONOMY_MODEL_PATH,
+  DEFAULT_TAXONOMY_RULES_PATH,
+  loadTaxonomyModel,
+  loadTaxonomyRules,
+  TAXONOMY_METHODS,
+} from "./lib/taxonomy.mjs";
 
-const inputPath = path.resolve("data", "training_dataset.jsonl");
-const outputPath = path.resolve("data", "labeled_training_dataset.jsonl");
-const summaryPath = path.resolve("data", "label_summary.json");
-
-const HORIZONS = [
-  { key: "15m", ms: 15 * 60 * 1000 },
-  { key: "1h", ms: 60 * 60 * 1000 },
-  { key: "3h", ms: 3 * 60 * 60 * 1000 },
-];
-const MAX_MODEL_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
-const LATE_WINDOW_HOURS = 24;
-const NEAR_RESOLUTION_HOURS = 6;
-const RESOLUTION_PHASES = [
-  { key: "T_7d_3d", minHours: 72, maxHours: 168 },
-  { key: "T_3d_1d", minHours: 24, maxHours: 72 },
-  { key: "T_24h_6h", minHours: 6, maxHours: 24 },
-  { key: "T_6h_1h", minHours: 1, maxHours: 6 },
-  { key: "T_1h_close", minHours: 0, maxHours: 1 },
-];
-const POLICY_WINDOW_HOURS_BY_PHASE = {
-  T_7d_3d: 24,
-  T_3d_1d: 12,
-  T_24h_6h: 6,
-  T_6h_1h: 1,
-  T_1h_close: 0.5,
-};
-
-function safeNum(v) {
-  if (v === null || v === undefined || v === "") {
-    return null;
-  }
-  const n = Number(v);
-  return Number.isFinite(n) ? n : null;
-}
+const { values: args } = parseArgs({
+  options: {
+    spec: { type: "string", default: DEFAULT_LABEL_SPEC_PATH },
+    "taxonomy-rules": { type: "string", default: DEFAULT_TAXONOMY_RULES_PATH },
+    "taxonomy-model": { type: "string", default: DEFAULT_TAXONOMY_MODEL_PATH },
+    input: { type: "string", default: path.join("data", "training_dataset.validated.jsonl") },
+    output: { type: "string", default: path.join("data", "labeled_training_dataset.jsonl") },
+    summary: { type: "string", default: path.join("data", "label_summary.json") },
+    "orderbook-features": {
+      type: "string",
+      default: path.join("data", "orderbook_features.jsonl"),
+    },
+  },
+});
 
-function mean(values) {
-  if (values.length === 0) {
-    return null;
-  }
-  return values.reduce((a, b) => a + b, 0) / values.length;
-}
-
-function lowerText(v) {
-  return typeof v === "string" ? v.toLowerCase() : "";
-}
-
-function classifyTaxonomy(row) {
-  const primaryCategories = [
-    row.leg1MarketCategory,
-    row.leg2MarketCategory,
-  ]
-    .filter(Boolean)
-    .map((x) => lowerText(x));
-  const subcategories = [row.leg1MarketSubcategory, row.leg2MarketSubcategory]
-    .filter(Boolean)
-    .map((x) => lowerText(x));
-  const tags = [...(row.leg1MarketTags ?? []), ...(row.leg2MarketTags ?? [])]
-    .filter(Boolean)
-    .map((x) => lowerText(x));
-  const corpus = lowerText(
-    [
-      row.leg1MarketTitle,
-      row.leg2MarketTitle,
-      row.leg1EventTitle,
-      row.leg2EventTitle,
-      ...primaryCategories,
-      ...subcategories,
-      ...tags,
-    ].join(" ")
-  );
+const inputPath = path.resolve(args.input);
+const outputPath = path.resolve(args.output);
+const summaryPath = path.resolve(args.summary);
+const orderBookFeaturesPath = path.resolve(args["orderbook-features"]);
 
-  const hasAny = (terms) => terms.some((term) => corpus.includes(term));
-  const hasCategory = (terms) =>
-    primaryCategories.some((c) => terms.some((term) => c.includes(term)));
-  const hasTag = (terms) => tags.some((t) => terms.some((term) => t.includes(term)));
-
-  const cryptoTerms = ["crypto", "bitcoin", "btc", "ethereum", "eth", "solana", "sol"];
-  const politicsTerms = ["politic", "election", "president", "senate", "house", "governor"];
-  const sportsTerms = ["sports", "nba", "nfl", "mlb", "nhl", "soccer", "fifa", "tennis"];
-  const macroTerms = ["cpi", "inflation", "fed", "fomc", "interest rate", "gdp", "unemployment"];
-  const commoditiesTerms = ["gold", "silver", "oil", "crude", "natural gas"];
-  const normalizedDomainFromCategory = () => {
-    const joined = primaryCategories.join(" ");
-    if (joined.includes("politic")) return "politics";
-    if (joined.includes("sport")) return "sports";
-    if (
-      joined.includes("finance") ||
-      joined.includes("econom") ||
-      joined.includes("crypto") ||
-      joined.includes("business")
-    ) {
-      return "finance";
-    }
-    if (
-      joined.includes("culture") ||
-      joined.includes("entertainment") ||
-      joined.includes("awards")
-    ) {
-      return "culture";
-    }
-    if (
-      joined.includes("technology") ||
-      joined.includes("tech") ||
-      joined.includes("ai") ||
-      joined.includes("science")
-    ) {
-      return "technology";
-    }
-    return null;
-  };
+// Windows, phases and policy windows come from the versioned label spec
+// (config/label-spec.json by default); see scripts/lib/label-spec.mjs.
+let labelSpec;
+let taxonomyRules;
+try {
+  labelSpec = await loadLabelSpec(args.spec);
+  taxonomyRules = await loadTaxonomyRules(args["taxonomy-rules"]);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+const HORIZONS = labelSpec.horizons;
+const MAX_MODEL_WINDOW_MS = labelSpec.maxModelWindowMs;
+const LATE_WINDOW_HOURS = labelSpec.lateWindowHours;
+const NEAR_RESOLUTION_HOURS = labelSpec.nearResolutionHours;
+const RESOLUTION_PHASES = labelSpec.resolutionPhases;
+const POLICY_WINDOW_HOURS_BY_PHASE = labelSpec.policyWindowHoursByPhase;
+const FALLBACK_POLICY_WINDOW = labelSpec.fallbackPolicyWindow;
+const costModel = createCostModel(labelSpec.costModel);
+const resolutionResolver = createResolutionResolver(labelSpec.resolutionTime);
+const CAPITAL_COST = labelSpec.capitalCost;
+const HOURS_PER_YEAR = 365 * 24;
+const SURVIVAL_GAP_TOLERANCE_MS = labelSpec.survivalGapToleranceMs;
 
-  let domain = "other";
-  let subdomain = "other";
-  let topic = "unknown";
-  let source = "heuristic";
-
-  if (hasAny(cryptoTerms) || hasCategory(["crypto"]) || hasTag(["crypto"])) {
-    domain = "finance";
-    subdomain = "crypto";
-    source = "market_metadata";
-    if (hasAny(["bitcoin", "btc"])) {
-      topic = "btc";
-    } else if (hasAny(["ethereum", "eth"])) {
-      topic = "eth";
-    } else if (hasAny(["solana", "sol"])) {
-      topic = "sol";
-    } else {
-      topic = "crypto_other";
-    }
-  } else if (hasAny(commoditiesTerms)) {
-    domain = "finance";
-    subdomain = "commodities";
-    source = "market_metadata";
-    if (hasAny(["gold"])) {
-      topic = "gold";
-    } else if (hasAny(["silver"])) {
-      topic = "silver";
-    } else if (hasAny(["oil", "crude"])) {
-      topic = "oil";
-    } else {
-      topic = "commodities_other";
-    }
-  } else if (hasAny(macroTerms) || hasCategory(["econom", "finance"])) {
-    domain = "finance";
-    subdomain = "macro";
-    source = "market_metadata";
-    topic = hasAny(["cpi", "inflation"]) ? "inflation" : "macro_other";
-  } else if (hasAny(politicsTerms) || hasCategory(["politic"])) {
-    domain = "politics";
-    subdomain = "elections";
-    source = "market_metadata";
-    topic = hasAny(["president"]) ? "presidential" : "politics_other";
-  } else if (hasAny(sportsTerms) || hasCategory(["sports"])) {
-    domain = "sports";
-    subdomain = "general";
-    source = "market_metadata";
-    if (hasAny(["nba"])) {
-      topic = "nba";
-    } else if (hasAny(["nfl"])) {
-      topic = "nfl";
-    } else if (hasAny(["mlb"])) {
-      topic = "mlb";
-    } else {
-      topic = "sports_other";
-    }
-  } else if (primaryCategories.length > 0 || tags.length > 0 || subcategories.length > 0) {
-    domain = normalizedDomainFromCategory() ?? "other";
-    subdomain = subcategories[0] ?? tags[0] ?? "other";
-    topic = "metadata_other";
-    source = "market_metadata";
+// The text classifier (`taxonomy:train`) is optional: without a model, rows the
+// keyword rules miss fall through to the category fallback.
+let taxonomyModel = null;
+try {
+  taxonomyModel = await loadTaxonomyModel(args["taxonomy-model"]);
+} catch (err) {
+  if (err.code !== "ENOENT") {
+    console.error(err.message);
+    process.exit(1);
   }
-
-  return { domain, subdomain, topic, source };
+  console.log(`No taxonomy model at ${args["taxonomy-model"]}; using keyword rules only`);
 }
+const taxonomyOptions = {
+  rules: taxonomyRules,
+  predict: taxonomyModel ? createTaxonomyPredictor(taxonomyModel) : null,
+};
 
 function resolveCapacity(row) {
   const candidates = [
@@ -188,20 +100,31 @@ function resolveCapacity(row) {
   return Math.min(...candidates);
 }
 
-function parseResolutionTs(row) {
-  const candidates = [
-    row.leg1ExpiresAt,
-    row.leg2ExpiresAt,
-    row.oppLeg1ExpiresAt,
-    row.oppLeg2ExpiresAt,
-  ]
-    .filter(Boolean)
-    .map((value) => new Date(value).getTime())
-    .filter((ts) => Number.isFinite(ts));
-  if (candidates.length === 0) {
-    return null;
-  }
-  return Math.min(...candidates);
+// PnL of buying `contracts` sets at the row's decision edge, after venue fees
+// and slippage (see scripts/lib/cost-model.mjs). Uplifts compare these, so
+// buy-now and wait are both charged the costs of their own sighting.
+function netPnlAt(row, contracts) {
+  return costModel.rowCosts(row, contracts).netPnl;
+}
+
+// Hours the capital for an entry counts as committed: from entry to
+// resolution, plus the share of the time spent waiting for that entry that the
+// spec charges (`idleCapitalChargeFraction`), floored at `minLockupHours` so
+// entries just before resolution do not annualize to absurd returns.
+function lockupHours(ttrHoursAtEntry, idleHours) {
+  return Math.max(
+    CAPITAL_COST.minLockupHours,
+    ttrHoursAtEntry + CAPITAL_COST.idleCapitalChargeFraction * idleHours
+  );
+}
+
+// Net PnL less the hurdle return the committed capital would have earned.
+function timeAdjustedPnl(costs, hours) {
+  return costs.netPnl - (CAPITAL_COST.hurdleRateAnnual * costs.capitalUsd * hours) / HOURS_PER_YEAR;
+}
+
+function annualizedRoi(costs, hours) {
+  return costs.capitalUsd > 0 ? (costs.netPnl / costs.capitalUsd) * (HOURS_PER_YEAR / hours) : null;
 }
 
 function resolvePhaseKey(ttrHours) {
@@ -218,47 +141,244 @@ function resolvePolicyWindowHours(phaseKey, ttrHoursNow) {
   if (phaseKey && POLICY_WINDOW_HOURS_BY_PHASE[phaseKey] !== undefined) {
     return POLICY_WINDOW_HOURS_BY_PHASE[phaseKey];
   }
+  const { unknownResolutionHours, fractionOfTimeToResolution, minHours, maxHours } =
+    FALLBACK_POLICY_WINDOW;
   if (ttrHoursNow === null) {
-    return 24;
+    return unknownResolutionHours;
   }
-  return Math.max(0.5, Math.min(24, ttrHoursNow / 4));
+  return Math.max(minHours, Math.min(maxHours, ttrHoursNow * fractionOfTimeToResolution));
 }
 
-function futureRowsWithinHorizon(seq, idx, horizonMs, resolutionTs) {
-  const t0 = new Date(seq[idx].decisionTs).getTime();
-  const absoluteMaxTs =
-    resolutionTs === null
-      ? t0 + Math.min(horizonMs, MAX_MODEL_WINDOW_MS)
-      : Math.min(t0 + horizonMs, t0 + MAX_MODEL_WINDOW_MS, resolutionTs);
-  const out = [];
-  for (let j = idx + 1; j < seq.length; j++) {
-    const tj = new Date(seq[j].decisionTs).getTime();
-    if (tj > absoluteMaxTs) {
-      break;
-    }
-    out.push(seq[j]);
+// Window bounds are compared with exact scores, so they keep a margin for
+// float noise (USD amounts, far below a cent).
+const BOUND_SLACK = 1e-6;
+
+function hasExecutionHistory(row) {
+  return Array.isArray(row.executionHistory) && row.executionHistory.length > 0;
+}
+
+function executedCleanly(row) {
+  return (
+    hasExecutionHistory(row) &&
+    row.attemptsBeforeSuccess === 0 &&
+    (safeNum(row.failedExecutionAttempts) ?? 0) === 0
+  );
+}
+
+// Payout per contract set at settlement: each leg pays 1 when its side matches
+// the market outcome. Null until every leg has a binary outcome.
+function settlementPayoutPerSet(row) {
+  const legs = rowLegs(row);
+  if (legs.length === 0 || legs.some((leg) => !leg.resolutionOutcome || !leg.side)) {
+    return null;
   }
-  return out;
+  return legs.filter((leg) => leg.side.toUpperCase() === leg.resolutionOutcome).length;
 }
 
-function buildResolutionAnchoredLabels(seq, idx, resolutionTs) {
-  const now = seq[idx];
+// Everything the label windows read from a series, computed once: parsed
+// timestamps, per-sighting capacity and per-contract costs, running counts and
+// a range-max index over them (scripts/lib/range-max.mjs). Each window is then
+// located by binary search and its best sighting found through the index, so
+// a series labels in near-linear time instead of rescanning every window from
+// every sighting.
+function prepareSeries(seq) {
+  const n = seq.length;
+  const ts = new Float64Array(n);
+  const edge = new Float64Array(n);
+  // Only set for sightings with an edge: every window skips the others.
+  const capacity = new Float64Array(n);
+  const netPerContract = new Float64Array(n);
+  const capitalPerContract = new Float64Array(n);
+  const netPaidPerContract = new Float64Array(n);
+  const netUnpaidPerContract = new Float64Array(n);
+  const key = new Float64Array(n);
+  const payout = new Array(n);
+  const sizedBefore = new Int32Array(n + 1);
+  const executedBefore = new Int32Array(n + 1);
+  const keys = new Map();
+  const legSlots = new Map();
+  const rowLegSlots = new Array(n);
+  for (let i = 0; i < n; i++) {
+    const row = seq[i];
+    rowLegSlots[i] = rowLegs(row).map((leg, legIndex) => {
+      const slotKey = JSON.stringify([legIndex, leg.venue, leg.marketId, leg.side]);
+      if (!legSlots.has(slotKey)) {
+        legSlots.set(slotKey, { price: new Float64Array(n).fill(NaN), index: null });
+      }
+      const slot = legSlots.get(slotKey);
+      slot.price[i] = safeNum(leg.price) ?? NaN;
+      return slot;
+    });
+    const e = safeNum(row.expectedEdgeAtDecision);
+    const cap = e === null ? null : resolveCapacity(row);
+    const unit = costModel.unitCosts(row);
+    ts[i] = new Date(row.decisionTs).getTime();
+    edge[i] = e ?? NaN;
+    capacity[i] = cap ?? NaN;
+    payout[i] = settlementPayoutPerSet(row);
+    netPerContract[i] = unit.netPerContract ?? NaN;
+    capitalPerContract[i] = unit.capitalPerContract ?? NaN;
+    netPaidPerContract[i] = payout[i] === null ? NaN : netPerContract[i] + payout[i] - 1;
+    netUnpaidPerContract[i] = payout[i] === null ? netPerContract[i] : NaN;
+    // Sightings that size, cost and settle alike share a key, so runs of
+    // repeated sightings are scored once.
+    const signature = JSON.stringify([
+      e,
+      cap,
+      payout[i],
+      unit.slippagePerContract,
+      unit.slippageCurve,
+      rowLegs(row).map((leg) => [leg.venue, leg.feeClass, leg.orderIntent, leg.price]),
+    ]);
+    if (!keys.has(signature)) keys.set(signature, keys.size);
+    key[i] = keys.get(signature);
+    sizedBefore[i + 1] = sizedBefore[i] + (cap === null ? 0 : 1);
+    executedBefore[i + 1] = executedBefore[i] + (hasExecutionHistory(row) ? 1 : 0);
+  }
+  const nextCleanExecution = new Int32Array(n + 1).fill(n);
+  for (let i = n - 1; i >= 0; i--) {
+    nextCleanExecution[i] = executedCleanly(seq[i]) ? i : nextCleanExecution[i + 1];
+  }
+  // One price index per leg slot (leg position, venue, market and side), so a
+  // leg is only compared with the same leg in later sightings.
+  for (const slot of legSlots.values()) {
+    slot.index = createRangeMaxIndex({ price: slot.price });
+  }
+  return {
+    rows: seq,
+    ts,
+    edge,
+    capacity,
+    payout,
+    sizedBefore,
+    executedBefore,
+    nextCleanExecution,
+    rowLegSlots,
+    index: createRangeMaxIndex({
+      ts,
+      edge,
+      capacity,
+      netPerContract,
+      capitalPerContract,
+      netPaidPerContract,
+      netUnpaidPerContract,
+      key,
+    }),
+  };
+}
+
+// Upper bound of `min(size, capacity) * perContract` over index node `k`.
+function fillBound(index, k, size, perContract) {
+  if (index.max.capacity[k] === -Infinity) {
+    return -Infinity;
+  }
+  const low = Math.min(size, index.min.capacity[k]);
+  const high = Math.min(size, index.max.capacity[k]);
+  return Math.max(low * perContract, high * perContract);
+}
+
+// Highest edge among sightings lo..hi, earliest first: `{ index, value }`.
+function bestEdgeIn(series, lo, hi) {
+  const { index, edge } = series;
+  return index.argmax(lo, hi, {
+    score: (j) => (Number.isNaN(edge[j]) ? null : edge[j]),
+    bound: (k) => index.max.edge[k],
+    uniformKey: "key",
+  });
+}
+
+function bestCapacityIn(series, lo, hi) {
+  const { index, capacity } = series;
+  const best = index.argmax(lo, hi, {
+    score: (j) => (Number.isNaN(capacity[j]) ? null : capacity[j]),
+    bound: (k) => index.max.capacity[k],
+    uniformKey: "key",
+  });
+  return best?.value ?? null;
+}
+
+// Lowest price of one leg slot among sightings lo..hi, i.e. the cheapest
+// point to buy that side: `{ index, value }`, earliest first.
+function bestLegPriceIn(slot, lo, hi) {
+  const { index, price } = slot;
+  const best = index.argmax(lo, hi, {
+    score: (j) => (Number.isNaN(price[j]) ? null : -price[j]),
+    bound: (k) => -index.min.price[k],
+    uniformKey: "price",
+  });
+  return best === null ? null : { index: best.index, value: -best.value };
+}
+
+// Best capacity-adjusted uplift among sightings lo..hi: each fills
+// min(size, its capacity) at its own costs and is compared with
+// `baseNetPnl`. `{ index, value }`, earliest first.
+function bestUpliftIn(series, lo, hi, size, baseNetPnl) {
+  const { index, capacity, rows } = series;
+  return index.argmax(lo, hi, {
+    score: (j) =>
+      Number.isNaN(capacity[j])
+        ? null
+        : netPnlAt(rows[j], Math.min(size, capacity[j])) - baseNetPnl,
+    bound: (k) => fillBound(index, k, size, index.max.netPerContract[k]) - baseNetPnl + BOUND_SLACK,
+    uniformKey: "key",
+  });
+}
+
+// Best time-adjusted PnL of waiting for one of sightings lo..hi at `size`.
+// The lock-up depends on the sighting's time, so repeated sightings are not
+// collapsed here.
+function bestTimeAdjustedWaitIn(series, lo, hi, size, nowTsMs, resolutionTs) {
+  const { index, capacity, rows, ts } = series;
+  const waitLockupHours = (cTsMs) =>
+    lockupHours((resolutionTs - cTsMs) / (60 * 60 * 1000), (cTsMs - nowTsMs) / (60 * 60 * 1000));
+  const waitAt = (j) => {
+    const costs = costModel.rowCosts(rows[j], Math.min(size, capacity[j]));
+    return { costs, hours: waitLockupHours(ts[j]) };
+  };
+  const hurdlePerHour = CAPITAL_COST.hurdleRateAnnual / HOURS_PER_YEAR;
+  const best = index.argmax(lo, hi, {
+    score: (j) => {
+      if (Number.isNaN(capacity[j])) return null;
+      const { costs, hours } = waitAt(j);
+      return timeAdjustedPnl(costs, hours);
+    },
+    // Capital per contract and lock-up hours each lie between their values at
+    // the node's extremes, so their product is smallest at one of the corners.
+    bound: (k) => {
+      const earliest = waitLockupHours(index.min.ts[k]);
+      const latest = waitLockupHours(index.max.ts[k]);
+      const lowCapital = index.min.capitalPerContract[k];
+      const highCapital = index.max.capitalPerContract[k];
+      const minCharge = Math.min(
+        lowCapital * earliest,
+        lowCapital * latest,
+        highCapital * earliest,
+        highCapital * latest
+      );
+      const perContract = index.max.netPerContract[k] - hurdlePerHour * minCharge;
+      return fillBound(index, k, size, perContract) + BOUND_SLACK;
+    },
+  });
+  if (best === null) {
+    return null;
+  }
+  const { costs, hours } = waitAt(best.index);
+  return { ...best, annualizedRoi: annualizedRoi(costs, hours) };
+}
+
+function buildResolutionAnchoredLabels(series, idx, resolutionTs) {
+  const now = series.rows[idx];
   const nowEdge = safeNum(now.expectedEdgeAtDecision);
   const nowCapacity = resolveCapacity(now);
-  const nowTsMs = new Date(now.decisionTs).getTime();
+  const nowTsMs = series.ts[idx];
   const windowEndTs =
     resolutionTs === null
       ? nowTsMs + MAX_MODEL_WINDOW_MS
       : Math.min(resolutionTs, nowTsMs + MAX_MODEL_WINDOW_MS);
-  const candidates = [];
-  for (let j = idx + 1; j < seq.length; j++) {
-    const tj = new Date(seq[j].decisionTs).getTime();
-    if (tj > windowEndTs) {
-      break;
-    }
-    candidates.push(seq[j]);
-  }
-  if (candidates.length === 0 || nowEdge === null) {
+  const last = lastIndexAtOrBefore(series.ts, idx + 1, windowEndTs);
+  // A sighting that never recurs still gets labels: its policy window is
+  // censored (no wait candidate), which training handles explicitly.
+  if (nowEdge === null) {
     return null;
   }
 
@@ -267,196 +387,414 @@ function buildResolutionAnchoredLabels(seq, idx, resolutionTs) {
   const phaseNow = resolvePhaseKey(ttrHoursNow);
   const policyWindowHours = resolvePolicyWindowHours(phaseNow, ttrHoursNow);
   const policyWindowEndTs = Math.min(windowEndTs, nowTsMs + policyWindowHours * 60 * 60 * 1000);
+  const policyLast = lastIndexAtOrBefore(series.ts, idx + 1, policyWindowEndTs);
+  const nowCosts = nowCapacity === null ? null : costModel.rowCosts(now, nowCapacity);
+  // Time-adjusted labels need a resolution time to know how long capital is locked.
+  const nowLockupHours = ttrHoursNow === null ? null : lockupHours(ttrHoursNow, 0);
+  const nowTimeAdjusted =
+    nowCosts === null || nowLockupHours === null ? null : timeAdjustedPnl(nowCosts, nowLockupHours);
 
-  let bestEdge7d = null;
-  let bestEdgeTs = null;
-  let bestCapAdj7d = null;
-  let bestCapAdjTs = null;
-  let bestFillRatio7d = null;
-  let bestFutureCapacity7d = null;
-
-  let bestLateCapAdj = null;
-  let bestLateFillRatio = null;
-  let bestNearResCapAdj = null;
-  let bestPolicyWindowCapAdj = null;
-  let bestPolicyWindowFillRatio = null;
-  let bestPolicyWindowTs = null;
-
-  for (const c of candidates) {
-    const cEdge = safeNum(c.expectedEdgeAtDecision);
-    const cCap = resolveCapacity(c);
-    const cTsMs = new Date(c.decisionTs).getTime();
-    const cTtrHours =
-      resolutionTs === null ? null : (resolutionTs - cTsMs) / (60 * 60 * 1000);
-
-    if (cEdge === null) {
-      continue;
-    }
-    if (bestEdge7d === null || cEdge > bestEdge7d) {
-      bestEdge7d = cEdge;
-      bestEdgeTs = c.decisionTs;
-    }
-    if (cCap !== null) {
-      if (bestFutureCapacity7d === null || cCap > bestFutureCapacity7d) {
-        bestFutureCapacity7d = cCap;
-      }
-    }
-
-    if (nowCapacity !== null && nowCapacity > 0 && cCap !== null) {
-      const fillable = Math.min(nowCapacity, cCap);
-      const fillRatio = fillable / nowCapacity;
-      const currentProfit = nowEdge * nowCapacity;
-      const futureProfit = cEdge * fillable;
-      const uplift = futureProfit - currentProfit;
-
-      if (bestCapAdj7d === null || uplift > bestCapAdj7d) {
-        bestCapAdj7d = uplift;
-        bestCapAdjTs = c.decisionTs;
-        bestFillRatio7d = fillRatio;
-      }
-
-      if (cTtrHours !== null && cTtrHours <= LATE_WINDOW_HOURS) {
-        if (bestLateCapAdj === null || uplift > bestLateCapAdj) {
-          bestLateCapAdj = uplift;
-          bestLateFillRatio = fillRatio;
-        }
-      }
-
-      if (cTtrHours !== null && cTtrHours <= NEAR_RESOLUTION_HOURS) {
-        if (bestNearResCapAdj === null || uplift > bestNearResCapAdj) {
-          bestNearResCapAdj = uplift;
-        }
-      }
-
-      if (cTsMs <= policyWindowEndTs) {
-        if (bestPolicyWindowCapAdj === null || uplift > bestPolicyWindowCapAdj) {
-          bestPolicyWindowCapAdj = uplift;
-          bestPolicyWindowFillRatio = fillRatio;
-          bestPolicyWindowTs = c.decisionTs;
-        }
-      }
-    }
-  }
+  // The late and near-resolution windows are the sightings at most that many
+  // hours before resolution.
+  const firstWithin = (hours) =>
+    resolutionTs === null
+      ? last + 1
+      : firstIndexWhere(
+          idx + 1,
+          last,
+          (j) => (resolutionTs - series.ts[j]) / (60 * 60 * 1000) <= hours
+        );
+  const sized = nowCapacity !== null && nowCapacity > 0;
+  const upliftIn = (lo, hi) =>
+    sized ? bestUpliftIn(series, lo, hi, nowCapacity, nowCosts.netPnl) : null;
+  const fillRatioAt = (best) =>
+    best === null ? null : Math.min(nowCapacity, series.capacity[best.index]) / nowCapacity;
+  const minutesTo = (best) =>
+    best === null ? null : (series.ts[best.index] - nowTsMs) / (60 * 1000);
 
-  if (bestEdge7d === null) {
-    return null;
-  }
+  const bestEdge7d = bestEdgeIn(series, idx + 1, last);
+  const bestFutureCapacity7d = bestCapacityIn(series, idx + 1, last);
+  const bestCapAdj7d = upliftIn(idx + 1, last);
+  const bestLate = upliftIn(firstWithin(LATE_WINDOW_HOURS), last);
+  const bestNearRes = upliftIn(firstWithin(NEAR_RESOLUTION_HOURS), last);
+  const bestPolicyWindow = upliftIn(idx + 1, policyLast);
+  const bestWait =
+    sized && nowTimeAdjusted !== null
+      ? bestTimeAdjustedWaitIn(series, idx + 1, policyLast, nowCapacity, nowTsMs, resolutionTs)
+      : null;
 
-  const edgeUplift7d = bestEdge7d - nowEdge;
-  const minutesToBestEdge7d =
-    bestEdgeTs === null ? null : (new Date(bestEdgeTs).getTime() - nowTsMs) / (60 * 1000);
-  const minutesToBestCapAdj7d =
-    bestCapAdjTs === null
-      ? null
-      : (new Date(bestCapAdjTs).getTime() - nowTsMs) / (60 * 1000);
+  const bestPolicyWindowCapAdj = bestPolicyWindow?.value ?? null;
+  const bestWaitTimeAdjusted = bestWait?.value ?? null;
+  const edgeUplift7d = bestEdge7d === null ? null : bestEdge7d.value - nowEdge;
   const capacityChange7d =
     nowCapacity !== null && bestFutureCapacity7d !== null
       ? bestFutureCapacity7d - nowCapacity
       : null;
-  const minutesToBestPolicyWindowCapAdj =
-    bestPolicyWindowTs === null
-      ? null
-      : (new Date(bestPolicyWindowTs).getTime() - nowTsMs) / (60 * 1000);
+  const deltaTimeAdjusted =
+    bestWaitTimeAdjusted === null ? null : bestWaitTimeAdjusted - nowTimeAdjusted;
+  const nowAnnualizedRoi =
+    nowTimeAdjusted === null ? null : annualizedRoi(nowCosts, nowLockupHours);
 
   return {
     timeToResolutionHoursNow: ttrHoursNow,
     phaseNow,
     edgeUplift7d,
-    improvesEdge7d: edgeUplift7d > 0,
-    bestFutureEdge7d: bestEdge7d,
-    minutesToBestEdge7d,
+    improvesEdge7d: edgeUplift7d === null ? null : edgeUplift7d > 0,
+    bestFutureEdge7d: bestEdge7d?.value ?? null,
+    minutesToBestEdge7d: minutesTo(bestEdge7d),
     nowCapacityContracts: nowCapacity,
     bestFutureCapacityContracts7d: bestFutureCapacity7d,
     capacityChangeContracts7d: capacityChange7d,
-    capacityAdjustedUplift7d: bestCapAdj7d,
-    improvesCapacityAdjusted7d: bestCapAdj7d !== null ? bestCapAdj7d > 0 : null,
-    minutesToBestCapacityAdjusted7d: minutesToBestCapAdj7d,
-    bestFillRatioAtNowSize7d: bestFillRatio7d,
-    bestLateWindowCapacityAdjustedUplift: bestLateCapAdj,
-    bestLateWindowFillRatioAtNowSize: bestLateFillRatio,
-    enterEarlyBetterThanLate:
-      bestLateCapAdj === null ? null : bestLateCapAdj <= 0,
-    nearResolutionCapacityAdjustedUplift: bestNearResCapAdj,
+    capacityAdjustedUplift7d: bestCapAdj7d?.value ?? null,
+    improvesCapacityAdjusted7d: bestCapAdj7d !== null ? bestCapAdj7d.value > 0 : null,
+    minutesToBestCapacityAdjusted7d: minutesTo(bestCapAdj7d),
+    bestFillRatioAtNowSize7d: fillRatioAt(bestCapAdj7d),
+    bestLateWindowCapacityAdjustedUplift: bestLate?.value ?? null,
+    bestLateWindowFillRatioAtNowSize: fillRatioAt(bestLate),
+    enterEarlyBetterThanLate: bestLate === null ? null : bestLate.value <= 0,
+    nearResolutionCapacityAdjustedUplift: bestNearRes?.value ?? null,
     policyWindowHours,
     deltaNetPnlPolicyWindowAtNowSize: bestPolicyWindowCapAdj,
-    buyNowBeatsWaitWindow:
-      bestPolicyWindowCapAdj === null ? null : bestPolicyWindowCapAdj <= 0,
-    bestWaitFillRatioPolicyWindowAtNowSize: bestPolicyWindowFillRatio,
-    minutesToBestPolicyWindow: minutesToBestPolicyWindowCapAdj,
+    buyNowBeatsWaitWindow: bestPolicyWindowCapAdj === null ? null : bestPolicyWindowCapAdj <= 0,
+    bestWaitFillRatioPolicyWindowAtNowSize: fillRatioAt(bestPolicyWindow),
+    minutesToBestPolicyWindow: minutesTo(bestPolicyWindow),
     labelCensoredPolicyWindow: bestPolicyWindowCapAdj === null,
+    netPnlBuyNowAtNowSize: nowCosts?.netPnl ?? null,
+    feesBuyNowAtNowSizeUsd: nowCosts?.feesUsd ?? null,
+    slippageBuyNowAtNowSizeUsd: nowCosts?.slippageUsd ?? null,
+    costsComplete: nowCosts?.complete ?? null,
+    capitalBuyNowUsd: nowCosts?.capitalUsd ?? null,
+    lockupHoursBuyNow: nowLockupHours,
+    annualizedRoiBuyNow: nowAnnualizedRoi,
+    beatsHurdleBuyNow:
+      nowAnnualizedRoi === null ? null : nowAnnualizedRoi >= CAPITAL_COST.hurdleRateAnnual,
+    timeAdjustedPnlBuyNowAtNowSize: nowTimeAdjusted,
+    bestWaitTimeAdjustedPnlPolicyWindowAtNowSize: bestWaitTimeAdjusted,
+    bestWaitAnnualizedRoiPolicyWindow: bestWait?.annualizedRoi ?? null,
+    deltaTimeAdjustedPnlPolicyWindowAtNowSize: deltaTimeAdjusted,
+    minutesToBestTimeAdjustedWait: minutesTo(bestWait),
+    // The same decision on time-adjusted PnL; null without a resolution time.
+    buyNowBeatsWaitTimeAdjusted: deltaTimeAdjusted === null ? null : deltaTimeAdjusted <= 0,
+  };
+}
+
+// End of the policy window shared by the settlement and scale-in labels.
+function policyWindowEnd(nowTsMs, resolutionTs) {
+  const ttrHoursNow =
+    resolutionTs === null ? null : (resolutionTs - nowTsMs) / (60 * 60 * 1000);
+  const policyWindowHours = resolvePolicyWindowHours(resolvePhaseKey(ttrHoursNow), ttrHoursNow);
+  return {
+    policyWindowHours,
+    policyWindowEndTs: Math.min(
+      resolutionTs ?? Infinity,
+      nowTsMs + MAX_MODEL_WINDOW_MS,
+      nowTsMs + policyWindowHours * 60 * 60 * 1000
+    ),
   };
 }
 
-function buildLabelsForRow(seq, idx) {
-  const now = seq[idx];
-  const taxonomy = classifyTaxonomy(now);
-  const resolutionTs = parseResolutionTs(now);
+// Hold-to-resolution labels from how the markets actually settled. A set
+// bought at edge `e` costs `1 - e`, so holding it to settlement earns
+// `contracts * (e + payout - 1)` less entry fees and slippage. A hedged set pays exactly
+// 1; any other payout means the venues resolved inconsistently. The wait side
+// takes the best later sighting inside the policy window at the current size.
+function buildSettlementLabels(series, idx, resolutionTs) {
+  const now = series.rows[idx];
+  const payout = series.payout[idx];
   const nowEdge = safeNum(now.expectedEdgeAtDecision);
   const nowCapacity = resolveCapacity(now);
-  const nowTsMs = new Date(now.decisionTs).getTime();
-  const labels = {};
+  if (payout === null || nowEdge === null || nowCapacity === null) {
+    return null;
+  }
+  const nowTsMs = series.ts[idx];
+  const { policyWindowEndTs } = policyWindowEnd(nowTsMs, resolutionTs);
+  const last = lastIndexAtOrBefore(series.ts, idx + 1, policyWindowEndTs);
 
-  for (const horizon of HORIZONS) {
-    const candidates = futureRowsWithinHorizon(seq, idx, horizon.ms, resolutionTs);
-    if (candidates.length === 0 || nowEdge === null) {
-      labels[horizon.key] = null;
-      continue;
+  const holdPnlBuyNow = netPnlAt(now, nowCapacity) + nowCapacity * (payout - 1);
+  const { index, capacity, rows } = series;
+  // Sightings of markets that have not settled yet are valued at this row's payout.
+  const bestWait = index.argmax(idx + 1, last, {
+    score: (j) => {
+      if (Number.isNaN(capacity[j])) return null;
+      const fillable = Math.min(nowCapacity, capacity[j]);
+      return netPnlAt(rows[j], fillable) + fillable * ((series.payout[j] ?? payout) - 1);
+    },
+    bound: (k) => {
+      const perContract = Math.max(
+        index.max.netPaidPerContract[k],
+        index.max.netUnpaidPerContract[k] + payout - 1
+      );
+      return fillBound(index, k, nowCapacity, perContract) + BOUND_SLACK;
+    },
+    uniformKey: "key",
+  });
+  const bestWaitHoldPnl = bestWait?.value ?? null;
+  const delta = bestWaitHoldPnl === null ? null : bestWaitHoldPnl - holdPnlBuyNow;
+  const resolvedAt = rowLegs(now)
+    .map((leg) => new Date(leg.resolvedAt).getTime())
+    .filter((ts) => Number.isFinite(ts));
+
+  return {
+    payoutPerSet: payout,
+    resolutionMismatch: payout !== 1,
+    settledAt: resolvedAt.length ? new Date(Math.max(...resolvedAt)).toISOString() : null,
+    holdPnlBuyNowAtNowSize: holdPnlBuyNow,
+    bestWaitHoldPnlPolicyWindowAtNowSize: bestWaitHoldPnl,
+    deltaSettledPnlPolicyWindowAtNowSize: delta,
+    buyNowBeatsWaitSettled: delta === null ? null : delta <= 0,
+    minutesToBestSettledWait:
+      bestWait === null ? null : (series.ts[bestWait.index] - nowTsMs) / (60 * 1000),
+    realizedPnl: safeNum(now.totalRealizedPnl ?? now.realizedPnl),
+  };
+}
+
+// Best two-part entry for the sizing target `T` (targetContractsAtDecision,
+// at least the capacity now): `x` contracts now and `y` at one later sighting
+// in the policy window, with x <= capacity now, y <= that sighting's capacity
+// and x + y <= T. Net PnL is linear in contracts per sighting (up to fee
+// rounding), so the optimum is one of the corner splits: fill the better
+// sighting first and top up at the other, or use either one alone.
+function splitCandidates(nowCapacity, cCapacity, target) {
+  const nowMax = Math.min(nowCapacity, target);
+  const laterMax = Math.min(cCapacity, target);
+  const splits = [
+    [nowMax, Math.min(laterMax, target - nowMax)],
+    [Math.min(nowMax, target - laterMax), laterMax],
+    [0, laterMax],
+  ];
+  return splits.filter(([x, y]) => x + y > 0);
+}
+
+function buildScaleInLabels(series, idx, resolutionTs) {
+  const now = series.rows[idx];
+  const nowEdge = safeNum(now.expectedEdgeAtDecision);
+  const nowCapacity = resolveCapacity(now);
+  if (nowEdge === null || nowCapacity === null) {
+    return null;
+  }
+  const target = Math.max(nowCapacity, safeNum(now.targetContractsAtDecision) ?? 0);
+  const nowTsMs = series.ts[idx];
+  const { policyWindowHours, policyWindowEndTs } = policyWindowEnd(nowTsMs, resolutionTs);
+  const last = lastIndexAtOrBefore(series.ts, idx + 1, policyWindowEndTs);
+
+  const nowPnl = (x) => (x > 0 ? netPnlAt(now, x) : 0);
+  const nowPerContract = costModel.unitCosts(now).netPerContract;
+  const allNowPnl = nowPnl(nowCapacity);
+  const { index, capacity, rows } = series;
+  // The first of equally good splits with sighting `j`, as a scan would keep.
+  const bestSplitAt = (j) => {
+    let best = null;
+    for (const [x, y] of splitCandidates(nowCapacity, capacity[j], target)) {
+      const pnl = nowPnl(x) + (y > 0 ? netPnlAt(rows[j], y) : 0);
+      if (best === null || pnl > best.pnl) best = { contractsNow: x, contractsLater: y, pnl };
     }
+    return best;
+  };
+  const bestLater = index.argmax(idx + 1, last, {
+    score: (j) => (Number.isNaN(capacity[j]) ? null : bestSplitAt(j).pnl),
+    // Splits lie in 0 <= x <= capacity now, 0 <= y <= the node's largest
+    // capacity, x + y <= T; the linear bound peaks at one of the corners.
+    bound: (k) => {
+      if (index.max.capacity[k] === -Infinity) return -Infinity;
+      const laterMax = Math.min(index.max.capacity[k], target);
+      const perContract = index.max.netPerContract[k];
+      const at = (x, y) => x * nowPerContract + y * perContract;
+      return (
+        Math.max(
+          0,
+          at(nowCapacity, 0),
+          at(0, laterMax),
+          at(nowCapacity, Math.min(laterMax, target - nowCapacity)),
+          at(Math.min(nowCapacity, target - laterMax), laterMax)
+        ) + BOUND_SLACK
+      );
+    },
+    uniformKey: "key",
+  });
+  // All-later entries fill min(capacity, T) at the later sighting alone.
+  const bestSingleLater = bestUpliftIn(series, idx + 1, last, target, 0);
+  const bestSingleLaterPnl = bestSingleLater?.value ?? null;
+  let best = { contractsNow: nowCapacity, contractsLater: 0, pnl: allNowPnl, ts: null };
+  if (bestLater !== null && bestLater.value > allNowPnl) {
+    best = { ...bestSplitAt(bestLater.index), ts: series.ts[bestLater.index] };
+  }
+  const candidates = series.sizedBefore[last + 1] - series.sizedBefore[idx + 1];
 
-    let bestEdge = null;
-    let bestEdgeTs = null;
-    let bestCapacityAdjustedUplift = null;
-    let bestCapacityAdjustedTs = null;
-    let bestFillRatio = null;
-    let bestFutureCapacity = null;
-
-    for (const c of candidates) {
-      const cEdge = safeNum(c.expectedEdgeAtDecision);
-      const cCapacity = resolveCapacity(c);
-      if (cEdge === null) {
-        continue;
-      }
+  const total = best.contractsNow + best.contractsLater;
+  let decision = "scale_in";
+  if (best.contractsLater === 0) decision = "all_now";
+  else if (best.contractsNow === 0) decision = "all_later";
+  return {
+    targetContracts: target,
+    nowCapacityContracts: nowCapacity,
+    policyWindowHours,
+    laterSightingsInPolicyWindow: candidates,
+    contractsNow: best.contractsNow,
+    contractsLater: best.contractsLater,
+    fractionNow: best.contractsNow / total,
+    minutesToLaterEntry: best.ts === null ? null : (best.ts - nowTsMs) / (60 * 1000),
+    netPnlAllNow: allNowPnl,
+    netPnlBestSingleLaterEntry: bestSingleLaterPnl,
+    netPnlScaleIn: best.pnl,
+    upliftOverAllNow: best.pnl - allNowPnl,
+    // What splitting adds beyond the timing choice (all now vs all later).
+    upliftOverAllOrNothing: best.pnl - Math.max(allNowPnl, bestSingleLaterPnl ?? -Infinity),
+    decision,
+    // No later sighting to split with: all-now by construction, not by merit.
+    censored: candidates === 0,
+  };
+}
 
-      if (bestEdge === null || cEdge > bestEdge) {
-        bestEdge = cEdge;
-        bestEdgeTs = c.decisionTs;
-      }
+// Execution-risk labels for a sighting that was executed: how many attempts
+// failed, and whether a later sighting inside the policy window executed
+// cleanly (first attempt succeeded), i.e. waiting would have avoided the
+// failures. Null for sightings without execution history.
+function buildExecutionRiskLabels(series, idx, resolutionTs) {
+  const now = series.rows[idx];
+  if (!hasExecutionHistory(now)) {
+    return null;
+  }
+  const nowTsMs = series.ts[idx];
+  const { policyWindowHours, policyWindowEndTs } = policyWindowEnd(nowTsMs, resolutionTs);
+  const last = lastIndexAtOrBefore(series.ts, idx + 1, policyWindowEndTs);
 
-      if (cCapacity !== null) {
-        if (bestFutureCapacity === null || cCapacity > bestFutureCapacity) {
-          bestFutureCapacity = cCapacity;
-        }
-      }
+  const laterExecuted = series.executedBefore[last + 1] - series.executedBefore[idx + 1];
+  const failedAttempts = safeNum(now.failedExecutionAttempts) ?? 0;
+  const cleanIdx = series.nextCleanExecution[idx + 1];
+  const cleanLater = cleanIdx <= last;
 
-      if (nowCapacity !== null && nowCapacity > 0 && cCapacity !== null) {
-        const fillable = Math.min(nowCapacity, cCapacity);
-        const fillRatio = fillable / nowCapacity;
-        const currentProfitAtNowSize = nowEdge * nowCapacity;
-        const futureProfitAtNowSize = cEdge * fillable;
-        const uplift = futureProfitAtNowSize - currentProfitAtNowSize;
-
-        if (
-          bestCapacityAdjustedUplift === null ||
-          uplift > bestCapacityAdjustedUplift
-        ) {
-          bestCapacityAdjustedUplift = uplift;
-          bestCapacityAdjustedTs = c.decisionTs;
-          bestFillRatio = fillRatio;
-        }
-      }
+  return {
+    attemptCount: now.executionHistory.length,
+    failedAttempts,
+    attemptsBeforeSuccess: now.attemptsBeforeSuccess ?? null,
+    succeeded: now.attemptsBeforeSuccess !== null && now.attemptsBeforeSuccess !== undefined,
+    fillRatio: safeNum(now.executionFillRatio),
+    policyWindowHours,
+    laterExecutedSightingsInPolicyWindow: laterExecuted,
+    waitAvoidsFailedAttempts: failedAttempts === 0 || laterExecuted === 0 ? null : cleanLater,
+    minutesToCleanExecution: cleanLater ? (series.ts[cleanIdx] - nowTsMs) / (60 * 1000) : null,
+  };
+}
+
+// Survival labels: how long the opportunity stays available after this
+// sighting, measured to the series' last sighting. Sightings are discrete, so
+// the disappearance only counts as observed when the data runs on for
+// `gapToleranceMinutes` after that sighting without the end of the extracted
+// data or resolution intervening; otherwise the row is right-censored at the
+// earlier of the two.
+// `vanishedWithin` asks whether it disappeared before each horizon (capped at
+// resolution) and null when censoring hides the answer.
+function buildSurvivalLabels(series, idx, resolutionTs, observationEndTs) {
+  const nowTsMs = series.ts[idx];
+  const lastSeenMs = series.ts[series.ts.length - 1];
+  const censorTs = Math.min(observationEndTs, resolutionTs ?? Infinity);
+  const disappeared = lastSeenMs + SURVIVAL_GAP_TOLERANCE_MS <= censorTs;
+  const survivalMs = disappeared ? lastSeenMs - nowTsMs : Math.max(censorTs, lastSeenMs) - nowTsMs;
+
+  const ttrHoursNow =
+    resolutionTs === null ? null : (resolutionTs - nowTsMs) / (60 * 60 * 1000);
+  const policyWindowHours = resolvePolicyWindowHours(resolvePhaseKey(ttrHoursNow), ttrHoursNow);
+  const censoredBy = disappeared
+    ? null
+    : resolutionTs !== null && resolutionTs <= observationEndTs
+      ? "resolution"
+      : "observation_end";
+  // Still listed when the market resolved: the window, capped at resolution,
+  // was fully observed without the opportunity vanishing.
+  const vanishedBy = (horizonMs) => {
+    const cappedMs =
+      resolutionTs === null ? horizonMs : Math.min(horizonMs, resolutionTs - nowTsMs);
+    if (survivalMs > cappedMs) return false;
+    if (censoredBy === "resolution" && survivalMs >= cappedMs) return false;
+    return disappeared ? true : null;
+  };
+
+  return {
+    minutesUntilLastSeen: (lastSeenMs - nowTsMs) / (60 * 1000),
+    survivalMinutes: survivalMs / (60 * 1000),
+    disappeared,
+    censoredBy,
+    policyWindowHours,
+    vanishedWithin: {
+      ...Object.fromEntries(HORIZONS.map((h) => [h.key, vanishedBy(h.ms)])),
+      policyWindow: vanishedBy(Math.min(policyWindowHours * 60 * 60 * 1000, MAX_MODEL_WINDOW_MS)),
+    },
+  };
+}
+
+// Per-leg price movement over one horizon window (sightings idx+1..last). Each
+// leg of the row now gets its lowest later price in the window and how it had
+// moved at the best-edge sighting. The edge driver is the leg whose price move
+// at that sighting contributed most in the direction the edge moved (a price
+// drop raises the edge): the leg an execution desk would have wanted to wait on.
+function buildLegMovementLabels(series, idx, last, bestEdgeIndex, edgeUplift) {
+  const nowTsMs = series.ts[idx];
+  const priceAt = (slot, j) => (Number.isNaN(slot.price[j]) ? null : slot.price[j]);
+  const legs = rowLegs(series.rows[idx]).map((leg, legIndex) => {
+    const slot = series.rowLegSlots[idx][legIndex];
+    const nowPrice = priceAt(slot, idx);
+    const best = bestLegPriceIn(slot, idx + 1, last);
+    const atBestEdge = priceAt(slot, bestEdgeIndex);
+    const priceImprovement = nowPrice === null || best === null ? null : nowPrice - best.value;
+    return {
+      legIndex,
+      venue: leg.venue ?? null,
+      side: leg.side ?? null,
+      nowPrice,
+      bestFuturePrice: best?.value ?? null,
+      priceImprovement,
+      improvesPrice: priceImprovement === null ? null : priceImprovement > 0,
+      minutesToBestPrice: best === null ? null : (series.ts[best.index] - nowTsMs) / (60 * 1000),
+      priceChangeAtBestEdge:
+        nowPrice === null || atBestEdge === null ? null : atBestEdge - nowPrice,
+    };
+  });
+
+  let driver = null;
+  const direction = Math.sign(edgeUplift);
+  for (const leg of legs) {
+    if (direction === 0 || leg.priceChangeAtBestEdge === null) continue;
+    const contribution = -direction * leg.priceChangeAtBestEdge;
+    if (contribution > 0 && (driver === null || contribution > driver.contribution)) {
+      driver = { leg, contribution };
     }
+  }
+  return {
+    legs,
+    edgeDriverLegIndex: driver?.leg.legIndex ?? null,
+    edgeDriverVenue: driver?.leg.venue ?? null,
+    edgeDriverPriceChange: driver?.leg.priceChangeAtBestEdge ?? null,
+  };
+}
+
+function buildLabelsForRow(series, idx, observationEndTs) {
+  const now = series.rows[idx];
+  const taxonomy = classifyTaxonomy(now, taxonomyOptions);
+  const { ts: resolutionTs, ...resolutionTime } = resolutionResolver.resolve(now);
+  const nowEdge = safeNum(now.expectedEdgeAtDecision);
+  const nowCapacity = resolveCapacity(now);
+  const nowTsMs = series.ts[idx];
+  const nowNetPnl = nowCapacity === null ? null : netPnlAt(now, nowCapacity);
+  const labels = {};
 
+  for (const horizon of HORIZONS) {
+    const absoluteMaxTs =
+      resolutionTs === null
+        ? nowTsMs + Math.min(horizon.ms, MAX_MODEL_WINDOW_MS)
+        : Math.min(nowTsMs + horizon.ms, nowTsMs + MAX_MODEL_WINDOW_MS, resolutionTs);
+    const last = lastIndexAtOrBefore(series.ts, idx + 1, absoluteMaxTs);
+    const bestEdge = nowEdge === null ? null : bestEdgeIn(series, idx + 1, last);
     if (bestEdge === null) {
       labels[horizon.key] = null;
       continue;
     }
 
-    const edgeUplift = bestEdge - nowEdge;
-    const minutesToBestEdge =
-      bestEdgeTs === null
-        ? null
-        : (new Date(bestEdgeTs).getTime() - nowTsMs) / (60 * 1000);
-
+    const bestFutureCapacity = bestCapacityIn(series, idx + 1, last);
+    const bestUplift =
+      nowCapacity !== null && nowCapacity > 0
+        ? bestUpliftIn(series, idx + 1, last, nowCapacity, nowNetPnl)
+        : null;
+    const edgeUplift = bestEdge.value - nowEdge;
     const capacityChange =
       nowCapacity !== null && bestFutureCapacity !== null
         ? bestFutureCapacity - nowCapacity
@@ -465,156 +803,643 @@ function buildLabelsForRow(seq, idx) {
     labels[horizon.key] = {
       edgeUplift,
       improvesEdge: edgeUplift > 0,
-      bestFutureEdge: bestEdge,
-      minutesToBestEdge,
+      bestFutureEdge: bestEdge.value,
+      minutesToBestEdge: (series.ts[bestEdge.index] - nowTsMs) / (60 * 1000),
       nowCapacityContracts: nowCapacity,
       bestFutureCapacityContracts: bestFutureCapacity,
       capacityChangeContracts: capacityChange,
-      capacityAdjustedUplift: bestCapacityAdjustedUplift,
-      improvesCapacityAdjusted:
-        bestCapacityAdjustedUplift !== null ? bestCapacityAdjustedUplift > 0 : null,
-      bestFillRatioAtNowSize: bestFillRatio,
-      minutesToBestCapacityAdjusted:
-        bestCapacityAdjustedTs === null
+      capacityAdjustedUplift: bestUplift?.value ?? null,
+      improvesCapacityAdjusted: bestUplift !== null ? bestUplift.value > 0 : null,
+      bestFillRatioAtNowSize:
+        bestUplift === null
           ? null
-          : (new Date(bestCapacityAdjustedTs).getTime() - nowTsMs) / (60 * 1000),
+          : Math.min(nowCapacity, series.capacity[bestUplift.index]) / nowCapacity,
+      minutesToBestCapacityAdjusted:
+        bestUplift === null ? null : (series.ts[bestUplift.index] - nowTsMs) / (60 * 1000),
+      ...buildLegMovementLabels(series, idx, last, bestEdge.index, edgeUplift),
     };
   }
 
-  labels.resolutionAnchored = buildResolutionAnchoredLabels(seq, idx, resolutionTs);
+  labels.resolutionAnchored = buildResolutionAnchoredLabels(series, idx, resolutionTs);
+  labels.executionRisk = buildExecutionRiskLabels(series, idx, resolutionTs);
+  labels.settlement = buildSettlementLabels(series, idx, resolutionTs);
+  labels.scaleIn = buildScaleInLabels(series, idx, resolutionTs);
+  labels.survival = buildSurvivalLabels(series, idx, resolutionTs, observationEndTs);
   labels.taxonomy = taxonomy;
+  labels.resolutionTime = resolutionTime;
   return labels;
 }
 
-const raw = await fs.readFile(inputPath, "utf8");
-const rows = raw
-  .split("\n")
-  .map((line) => line.trim())
-  .filter(Boolean)
-  .map((line) => JSON.parse(line));
+// Incremental summary statistics: rows are folded in one series at a time so
+// the summary never needs the full labeled dataset in memory.
+function createMeanAccumulator() {
+  let sum = 0;
+  let count = 0;
+  return {
+    add(x) {
+      if (x === null || x === undefined || !Number.isFinite(x)) return;
+      sum += x;
+      count++;
+    },
+    get count() {
+      return count;
+    },
+    get value() {
+      return count === 0 ? null : sum / count;
+    },
+  };
+}
 
-const grouped = new Map();
-for (const row of rows) {
-  if (!row.dedupeKey || !row.decisionTs || row.expectedEdgeAtDecision === null) {
-    continue;
-  }
-  if (!grouped.has(row.dedupeKey)) {
-    grouped.set(row.dedupeKey, []);
-  }
-  grouped.get(row.dedupeKey).push(row);
+function boolToNum(b) {
+  return b === null || b === undefined ? null : b ? 1 : 0;
 }
 
-for (const seq of grouped.values()) {
-  seq.sort((a, b) => new Date(a.decisionTs) - new Date(b.decisionTs));
+function createPolicyGroupStats() {
+  return {
+    rowCount: 0,
+    resolutionLabelCount: 0,
+    deltaPolicy: createMeanAccumulator(),
+    buyNowBeats: createMeanAccumulator(),
+  };
 }
 
-const labeledRows = [];
-for (const seq of grouped.values()) {
-  for (let i = 0; i < seq.length; i++) {
-    labeledRows.push({
-      ...seq[i],
-      labels: buildLabelsForRow(seq, i),
-    });
-  }
+function addPolicyGroupRow(stats, res) {
+  stats.rowCount++;
+  if (res === null || res === undefined) return;
+  stats.resolutionLabelCount++;
+  stats.deltaPolicy.add(res.deltaNetPnlPolicyWindowAtNowSize);
+  stats.buyNowBeats.add(boolToNum(res.buyNowBeatsWaitWindow));
 }
 
-const lines = labeledRows.map((r) => JSON.stringify(r)).join("\n");
-await fs.writeFile(outputPath, `${lines}\n`, "utf8");
+function policyGroupSummary(stats) {
+  return {
+    rowCount: stats.rowCount,
+    resolutionLabelCount: stats.resolutionLabelCount,
+    meanDeltaNetPnlPolicyWindowAtNowSize: stats.deltaPolicy.value,
+    probBuyNowBeatsWaitWindow: stats.buyNowBeats.value,
+  };
+}
 
-const summary = {
-  generatedAt: new Date().toISOString(),
-  totalInputRows: rows.length,
-  totalGroupedRows: labeledRows.length,
-  dedupeSeries: grouped.size,
-  horizons: {},
-  phases: {},
-  taxonomy: {},
-};
+function createSummaryAccumulator() {
+  const horizons = Object.fromEntries(
+    HORIZONS.map((h) => [
+      h.key,
+      {
+        labelCount: 0,
+        edgeUplift: createMeanAccumulator(),
+        capAdjUplift: createMeanAccumulator(),
+        edgeImprove: createMeanAccumulator(),
+        capAdjImprove: createMeanAccumulator(),
+        fillRatio: createMeanAccumulator(),
+        rowsWithEdgeDriver: 0,
+        legsByVenue: new Map(),
+      },
+    ])
+  );
+  const venueLegStats = (h, venue) => {
+    if (!h.legsByVenue.has(venue)) {
+      h.legsByVenue.set(venue, {
+        legLabelCount: 0,
+        edgeDriverCount: 0,
+        priceImprovement: createMeanAccumulator(),
+        improvesPrice: createMeanAccumulator(),
+        minutesToBestPrice: createMeanAccumulator(),
+      });
+    }
+    return h.legsByVenue.get(venue);
+  };
+  const phases = Object.fromEntries(
+    RESOLUTION_PHASES.map((p) => [
+      p.key,
+      {
+        rowCount: 0,
+        policyWindowLabels: 0,
+        capAdj7d: createMeanAccumulator(),
+        earlyBetter: createMeanAccumulator(),
+      },
+    ])
+  );
+  const taxonomy = new Map();
+  const strategies = new Map();
+  const execution = {
+    executedRows: 0,
+    rowsWithFailedAttempts: 0,
+    attemptCount: createMeanAccumulator(),
+    fillRatio: createMeanAccumulator(),
+    succeeded: createMeanAccumulator(),
+    waitAvoids: createMeanAccumulator(),
+  };
+  const settlement = {
+    settledRows: 0,
+    mismatchRows: 0,
+    holdPnlBuyNow: createMeanAccumulator(),
+    deltaSettled: createMeanAccumulator(),
+    buyNowBeats: createMeanAccumulator(),
+    realizedMinusHold: createMeanAccumulator(),
+  };
+  const costs = {
+    pricedRows: 0,
+    incompleteRows: 0,
+    rowsNetNegativeAtNowSize: 0,
+    feesPerContract: createMeanAccumulator(),
+    slippagePerContract: createMeanAccumulator(),
+  };
+  const capital = {
+    timeAdjustedRows: 0,
+    basisDisagreements: 0,
+    annualizedRoiBuyNow: createMeanAccumulator(),
+    beatsHurdle: createMeanAccumulator(),
+    deltaTimeAdjusted: createMeanAccumulator(),
+    buyNowBeatsTimeAdjusted: createMeanAccumulator(),
+  };
+  const survivalKeys = [...HORIZONS.map((h) => h.key), "policyWindow"];
+  const createSurvivalStats = () => ({
+    rowCount: 0,
+    disappearances: 0,
+    exposureHours: 0,
+    vanished: Object.fromEntries(survivalKeys.map((k) => [k, createMeanAccumulator()])),
+  });
+  const scaleIn = {
+    labeledRows: 0,
+    censoredRows: 0,
+    decisions: { all_now: 0, scale_in: 0, all_later: 0 },
+    upliftOverAllNow: createMeanAccumulator(),
+    upliftOverAllOrNothing: createMeanAccumulator(),
+    beatsAllNow: createMeanAccumulator(),
+    fractionNowWhenScalingIn: createMeanAccumulator(),
+  };
+  const taxonomyMethods = Object.fromEntries(TAXONOMY_METHODS.map((m) => [m, 0]));
+  const resolutionTime = {
+    bySource: Object.fromEntries([...RESOLUTION_SOURCES, "none"].map((s) => [s, 0])),
+    byConfidence: {},
+    legDisagreements: 0,
+    incompleteLegs: 0,
+    notKnownAtDecision: 0,
+  };
+  const survival = {
+    overall: createSurvivalStats(),
+    censoredBy: {},
+    byPhase: new Map(),
+    byDomain: new Map(),
+  };
+  const groupStats = (groups, key) => {
+    if (!groups.has(key)) groups.set(key, createSurvivalStats());
+    return groups.get(key);
+  };
+  const addSurvival = (stats, s) => {
+    stats.rowCount++;
+    if (s.disappeared) stats.disappearances++;
+    stats.exposureHours += Math.max(0, s.survivalMinutes) / 60;
+    for (const k of survivalKeys) stats.vanished[k].add(boolToNum(s.vanishedWithin[k]));
+  };
+  const survivalSummary = (stats) => ({
+    rowCount: stats.rowCount,
+    disappearances: stats.disappearances,
+    exposureHours: stats.exposureHours,
+    hazardPerHour: stats.exposureHours > 0 ? stats.disappearances / stats.exposureHours : null,
+    probVanishedWithin: Object.fromEntries(survivalKeys.map((k) => [k, stats.vanished[k].value])),
+    vanishedWithinLabelCount: Object.fromEntries(
+      survivalKeys.map((k) => [k, stats.vanished[k].count])
+    ),
+  });
+  let totalGroupedRows = 0;
+  let rowsWithOrderBook = 0;
+
+  return {
+    add(row) {
+      totalGroupedRows++;
+      if (row.orderBook?.complete) rowsWithOrderBook++;
+      const labels = row.labels;
+
+      for (const horizon of HORIZONS) {
+        const l = labels[horizon.key];
+        if (l === null) continue;
+        const h = horizons[horizon.key];
+        h.labelCount++;
+        h.edgeUplift.add(l.edgeUplift);
+        h.capAdjUplift.add(l.capacityAdjustedUplift);
+        h.edgeImprove.add(l.improvesEdge ? 1 : 0);
+        h.capAdjImprove.add(boolToNum(l.improvesCapacityAdjusted));
+        h.fillRatio.add(l.bestFillRatioAtNowSize);
+        for (const leg of l.legs) {
+          const v = venueLegStats(h, leg.venue ?? "unknown");
+          v.legLabelCount++;
+          v.priceImprovement.add(leg.priceImprovement);
+          v.improvesPrice.add(boolToNum(leg.improvesPrice));
+          v.minutesToBestPrice.add(leg.minutesToBestPrice);
+        }
+        if (l.edgeDriverLegIndex !== null) {
+          h.rowsWithEdgeDriver++;
+          venueLegStats(h, l.edgeDriverVenue ?? "unknown").edgeDriverCount++;
+        }
+      }
 
-for (const horizon of HORIZONS) {
-  const key = horizon.key;
-  const horizonLabels = labeledRows
-    .map((r) => r.labels?.[key])
-    .filter((l) => l !== null);
-  const edgeUplifts = horizonLabels
-    .map((l) => l.edgeUplift)
-    .filter((x) => x !== null && Number.isFinite(x));
-  const capAdjUplifts = horizonLabels
-    .map((l) => l.capacityAdjustedUplift)
-    .filter((x) => x !== null && Number.isFinite(x));
-  const edgeImprove = horizonLabels
-    .map((l) => (l.improvesEdge ? 1 : 0));
-  const capAdjImprove = horizonLabels
-    .map((l) =>
-      l.improvesCapacityAdjusted === null ? null : l.improvesCapacityAdjusted ? 1 : 0
-    )
-    .filter((x) => x !== null);
-  const fillRatios = horizonLabels
-    .map((l) => l.bestFillRatioAtNowSize)
-    .filter((x) => x !== null && Number.isFinite(x));
-
-  summary.horizons[key] = {
-    labelCount: horizonLabels.length,
-    meanEdgeUplift: mean(edgeUplifts),
-    meanCapacityAdjustedUplift: mean(capAdjUplifts),
-    probImprovesEdge: mean(edgeImprove),
-    probImprovesCapacityAdjusted: mean(capAdjImprove),
-    meanBestFillRatioAtNowSize: mean(fillRatios),
+      const res = labels.resolutionAnchored;
+      const phase = res === null ? undefined : phases[res.phaseNow];
+      if (phase) {
+        phase.rowCount++;
+        if (res.deltaNetPnlPolicyWindowAtNowSize !== null) phase.policyWindowLabels++;
+        phase.capAdj7d.add(res.capacityAdjustedUplift7d);
+        phase.earlyBetter.add(boolToNum(res.enterEarlyBetterThanLate));
+      }
+
+      if (res && res.netPnlBuyNowAtNowSize !== null) {
+        costs.pricedRows++;
+        if (!res.costsComplete) costs.incompleteRows++;
+        if (res.netPnlBuyNowAtNowSize <= 0) costs.rowsNetNegativeAtNowSize++;
+        costs.feesPerContract.add(res.feesBuyNowAtNowSizeUsd / res.nowCapacityContracts);
+        costs.slippagePerContract.add(res.slippageBuyNowAtNowSizeUsd / res.nowCapacityContracts);
+      }
+
+      if (res && res.timeAdjustedPnlBuyNowAtNowSize !== null) {
+        capital.annualizedRoiBuyNow.add(res.annualizedRoiBuyNow);
+        capital.beatsHurdle.add(boolToNum(res.beatsHurdleBuyNow));
+        if (res.deltaTimeAdjustedPnlPolicyWindowAtNowSize !== null) {
+          capital.timeAdjustedRows++;
+          const beats = res.buyNowBeatsWaitTimeAdjusted;
+          capital.deltaTimeAdjusted.add(res.deltaTimeAdjustedPnlPolicyWindowAtNowSize);
+          capital.buyNowBeatsTimeAdjusted.add(beats ? 1 : 0);
+          if (res.buyNowBeatsWaitWindow !== null && beats !== res.buyNowBeatsWaitWindow) {
+            capital.basisDisagreements++;
+          }
+        }
+      }
+
+      const surv = labels.survival;
+      if (surv) {
+        addSurvival(survival.overall, surv);
+        addSurvival(groupStats(survival.byPhase, res?.phaseNow ?? "unknown"), surv);
+        addSurvival(groupStats(survival.byDomain, labels.taxonomy?.domain ?? "other"), surv);
+        if (surv.censoredBy) {
+          survival.censoredBy[surv.censoredBy] = (survival.censoredBy[surv.censoredBy] ?? 0) + 1;
+        }
+      }
+
+      const split = labels.scaleIn;
+      if (split) {
+        scaleIn.labeledRows++;
+        if (split.censored) {
+          scaleIn.censoredRows++;
+        } else {
+          scaleIn.decisions[split.decision]++;
+          scaleIn.upliftOverAllNow.add(split.upliftOverAllNow);
+          scaleIn.upliftOverAllOrNothing.add(split.upliftOverAllOrNothing);
+          scaleIn.beatsAllNow.add(split.upliftOverAllNow > 0 ? 1 : 0);
+          if (split.decision === "scale_in") {
+            scaleIn.fractionNowWhenScalingIn.add(split.fractionNow);
+          }
+        }
+      }
+
+      const rt = labels.resolutionTime;
+      resolutionTime.bySource[rt.source ?? "none"]++;
+      if (rt.confidence !== null) {
+        resolutionTime.byConfidence[rt.confidence] =
+          (resolutionTime.byConfidence[rt.confidence] ?? 0) + 1;
+        if (!rt.legsAgree) resolutionTime.legDisagreements++;
+        if (rt.resolvedLegs < rt.legCount) resolutionTime.incompleteLegs++;
+        if (!rt.knownAtDecision) resolutionTime.notKnownAtDecision++;
+      }
+
+      if (labels.taxonomy) taxonomyMethods[labels.taxonomy.method]++;
+      const domain = labels.taxonomy?.domain;
+      if (domain) {
+        if (!taxonomy.has(domain)) taxonomy.set(domain, createPolicyGroupStats());
+        addPolicyGroupRow(taxonomy.get(domain), res);
+      }
+
+      const strategy = row.strategyType ?? "unknown";
+      if (!strategies.has(strategy)) strategies.set(strategy, createPolicyGroupStats());
+      addPolicyGroupRow(strategies.get(strategy), res);
+
+      const risk = labels.executionRisk;
+      if (risk) {
+        execution.executedRows++;
+        execution.attemptCount.add(risk.attemptCount);
+        execution.fillRatio.add(risk.fillRatio);
+        execution.succeeded.add(risk.succeeded ? 1 : 0);
+        if (risk.failedAttempts > 0) {
+          execution.rowsWithFailedAttempts++;
+          execution.waitAvoids.add(boolToNum(risk.waitAvoidsFailedAttempts));
+        }
+      }
+
+      const settled = labels.settlement;
+      if (settled) {
+        settlement.settledRows++;
+        if (settled.resolutionMismatch) settlement.mismatchRows++;
+        settlement.holdPnlBuyNow.add(settled.holdPnlBuyNowAtNowSize);
+        settlement.deltaSettled.add(settled.deltaSettledPnlPolicyWindowAtNowSize);
+        settlement.buyNowBeats.add(boolToNum(settled.buyNowBeatsWaitSettled));
+        if (settled.realizedPnl !== null) {
+          settlement.realizedMinusHold.add(settled.realizedPnl - settled.holdPnlBuyNowAtNowSize);
+        }
+      }
+    },
+    finish({ totalInputRows, dedupeSeries }) {
+      return {
+        generatedAt: new Date().toISOString(),
+        labelSpec: labelSpecInfo(labelSpec),
+        totalInputRows,
+        totalGroupedRows,
+        dedupeSeries,
+        rowsWithOrderBook,
+        horizons: Object.fromEntries(
+          Object.entries(horizons).map(([key, h]) => [
+            key,
+            {
+              labelCount: h.labelCount,
+              meanEdgeUplift: h.edgeUplift.value,
+              meanCapacityAdjustedUplift: h.capAdjUplift.value,
+              probImprovesEdge: h.edgeImprove.value,
+              probImprovesCapacityAdjusted: h.capAdjImprove.value,
+              meanBestFillRatioAtNowSize: h.fillRatio.value,
+            },
+          ])
+        ),
+        legMovement: Object.fromEntries(
+          Object.entries(horizons).map(([key, h]) => [
+            key,
+            {
+              rowsWithEdgeDriver: h.rowsWithEdgeDriver,
+              byVenue: Object.fromEntries(
+                [...h.legsByVenue].map(([venue, v]) => [
+                  venue,
+                  {
+                    legLabelCount: v.legLabelCount,
+                    meanPriceImprovement: v.priceImprovement.value,
+                    probImprovesPrice: v.improvesPrice.value,
+                    meanMinutesToBestPrice: v.minutesToBestPrice.value,
+                    edgeDriverCount: v.edgeDriverCount,
+                    edgeDriverShare:
+                      h.rowsWithEdgeDriver > 0 ? v.edgeDriverCount / h.rowsWithEdgeDriver : null,
+                  },
+                ])
+              ),
+            },
+          ])
+        ),
+        resolutionTime,
+        phases: Object.fromEntries(
+          Object.entries(phases).map(([key, p]) => [
+            key,
+            {
+              rowCount: p.rowCount,
+              meanCapacityAdjustedUplift7d: p.capAdj7d.value,
+              probEnterEarlyBetterThanLate: p.earlyBetter.value,
+              policyWindowLabelCoverage: p.rowCount > 0 ? p.policyWindowLabels / p.rowCount : null,
+            },
+          ])
+        ),
+        taxonomy: Object.fromEntries(
+          [...taxonomy].map(([domain, stats]) => [domain, policyGroupSummary(stats)])
+        ),
+        scaleIn: {
+          labeledRows: scaleIn.labeledRows,
+          rowsWithoutLaterSighting: scaleIn.censoredRows,
+          decisions: scaleIn.decisions,
+          meanUpliftOverAllNow: scaleIn.upliftOverAllNow.value,
+          meanUpliftOverAllOrNothing: scaleIn.upliftOverAllOrNothing.value,
+          probBeatsAllNow: scaleIn.beatsAllNow.value,
+          meanFractionNowWhenScalingIn: scaleIn.fractionNowWhenScalingIn.value,
+        },
+        taxonomyClassification: {
+          rules: { path: taxonomyRules.path, version: taxonomyRules.version },
+          model: taxonomyModel
+            ? { path: path.resolve(args["taxonomy-model"]), trainedAt: taxonomyModel.trainedAt }
+            : null,
+          minConfidence: taxonomyRules.minConfidence,
+          rowsByMethod: taxonomyMethods,
+        },
+        strategies: Object.fromEntries(
+          [...strategies].map(([strategy, stats]) => [strategy, policyGroupSummary(stats)])
+        ),
+        costs: {
+          pricedRows: costs.pricedRows,
+          rowsWithIncompleteCosts: costs.incompleteRows,
+          rowsNetNegativeAtNowSize: costs.rowsNetNegativeAtNowSize,
+          meanFeesPerContract: costs.feesPerContract.value,
+          meanSlippagePerContract: costs.slippagePerContract.value,
+        },
+        capitalCost: {
+          hurdleRateAnnual: CAPITAL_COST.hurdleRateAnnual,
+          meanAnnualizedRoiBuyNow: capital.annualizedRoiBuyNow.value,
+          probBuyNowBeatsHurdle: capital.beatsHurdle.value,
+          timeAdjustedPolicyWindowLabelCount: capital.timeAdjustedRows,
+          meanDeltaTimeAdjustedPnlPolicyWindowAtNowSize: capital.deltaTimeAdjusted.value,
+          probBuyNowBeatsWaitTimeAdjusted: capital.buyNowBeatsTimeAdjusted.value,
+          rowsWhereBasisChangesDecision: capital.basisDisagreements,
+        },
+        survival: {
+          gapToleranceMinutes: SURVIVAL_GAP_TOLERANCE_MS / (60 * 1000),
+          observationEnd: Number.isFinite(observationEndTs)
+            ? new Date(observationEndTs).toISOString()
+            : null,
+          ...survivalSummary(survival.overall),
+          censoredBy: survival.censoredBy,
+          byPhase: Object.fromEntries(
+            [...survival.byPhase].map(([key, stats]) => [key, survivalSummary(stats)])
+          ),
+          byDomain: Object.fromEntries(
+            [...survival.byDomain].map(([key, stats]) => [key, survivalSummary(stats)])
+          ),
+        },
+        executionRisk: {
+          executedRows: execution.executedRows,
+          rowsWithFailedAttempts: execution.rowsWithFailedAttempts,
+          meanAttemptCount: execution.attemptCount.value,
+          meanFillRatio: execution.fillRatio.value,
+          successRate: execution.succeeded.value,
+          waitAvoidsFailedAttemptsLabelCount: execution.waitAvoids.count,
+          probWaitAvoidsFailedAttempts: execution.waitAvoids.value,
+        },
+        settlement: {
+          settledRows: settlement.settledRows,
+          resolutionMismatchRows: settlement.mismatchRows,
+          resolutionMismatchRate:
+            settlement.settledRows > 0 ? settlement.mismatchRows / settlement.settledRows : null,
+          meanHoldPnlBuyNowAtNowSize: settlement.holdPnlBuyNow.value,
+          settledPolicyWindowLabelCount: settlement.deltaSettled.count,
+          meanDeltaSettledPnlPolicyWindowAtNowSize: settlement.deltaSettled.value,
+          probBuyNowBeatsWaitSettled: settlement.buyNowBeats.value,
+          meanRealizedMinusHoldPnl: settlement.realizedMinusHold.value,
+        },
+      };
+    },
   };
 }
 
-const phaseLabels = labeledRows
-  .map((r) => r.labels?.resolutionAnchored)
-  .filter((l) => l !== null);
-
-for (const phase of RESOLUTION_PHASES) {
-  const rowsInPhase = phaseLabels.filter((l) => l.phaseNow === phase.key);
-  const capAdj7d = rowsInPhase
-    .map((l) => l.capacityAdjustedUplift7d)
-    .filter((x) => x !== null && Number.isFinite(x));
-  const earlyBetter = rowsInPhase
-    .map((l) =>
-      l.enterEarlyBetterThanLate === null ? null : l.enterEarlyBetterThanLate ? 1 : 0
-    )
-    .filter((x) => x !== null);
-
-  summary.phases[phase.key] = {
-    rowCount: rowsInPhase.length,
-    meanCapacityAdjustedUplift7d: mean(capAdj7d),
-    probEnterEarlyBetterThanLate: mean(earlyBetter),
-    policyWindowLabelCoverage:
-      rowsInPhase.length > 0
-        ? rowsInPhase.filter((l) => l.deltaNetPnlPolicyWindowAtNowSize !== null).length /
-          rowsInPhase.length
-        : null,
-  };
+// Only rows that passed `validate:dataset` are labeled; the label benchmark's
+// synthetic series are valid by construction.
+const LABEL_INPUT_STAGES = ["validate:dataset", "bench:labels"];
+
+let datasetManifest;
+let orderBookManifest = null;
+try {
+  datasetManifest = await readVerifiedManifest(inputPath, "validate:dataset");
+  if (!LABEL_INPUT_STAGES.includes(datasetManifest.stage)) {
+    throw new Error(
+      `${inputPath} was written by ${datasetManifest.stage}, not validate:dataset; ` +
+        "label the output of validate:dataset"
+    );
+  }
+  if (await fileExists(orderBookFeaturesPath)) {
+    orderBookManifest = await readVerifiedManifest(orderBookFeaturesPath, "ingest:orderbooks");
+  }
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
 }
+// Features are joined on the dataset sort key, so features ingested for an
+// earlier version of the dataset still apply to the rows they cover; flag it
+// rather than refuse.
+const orderBookFeaturesStale =
+  orderBookManifest !== null &&
+  orderBookManifest.inputs?.dataset?.sha256 !== datasetManifest.output.sha256;
+if (orderBookFeaturesStale) {
+  console.warn(
+    `${orderBookFeaturesPath} was ingested for a different version of ${inputPath}; ` +
+      "re-run ingest:orderbooks to cover every row"
+  );
+}
+
+// Order book features from `ingest:orderbooks` are optional; when present they
+// are attached to each row as `orderBook`. The features file is in dataset
+// order too, so it is merged with the dataset in one pass on the sort key
+// instead of being held in memory. `get` must be called in dataset order.
+function createOrderBookJoin(filePath) {
+  if (orderBookManifest === null) return { get: async () => null, close: async () => {} };
+  const lines = readJsonlLines(filePath);
+  let lastKey = null;
+  let next;
+
+  async function read() {
+    const { value, done } = await lines.next();
+    if (done) return null;
+    const { strategyType, dedupeKey, opportunityId, decisionTs, ...features } = value.row;
+    const key = datasetSortKey(value.row);
+    if (dedupeKey === undefined || (lastKey !== null && compareSortKeys(lastKey, key) > 0)) {
+      throw new Error(
+        `${filePath}:${value.lineNumber}: order book features are not in dataset order; ` +
+          "re-run ingest:orderbooks"
+      );
+    }
+    lastKey = key;
+    return { key, features };
+  }
 
-const taxonomyLabels = labeledRows
-  .map((r) => r.labels?.taxonomy)
-  .filter((t) => t && t.domain);
-
-for (const domain of [...new Set(taxonomyLabels.map((t) => t.domain))]) {
-  const inDomain = labeledRows.filter((r) => r.labels?.taxonomy?.domain === domain);
-  const res = inDomain
-    .map((r) => r.labels?.resolutionAnchored)
-    .filter((l) => l !== null);
-  const deltaPolicy = res
-    .map((l) => l.deltaNetPnlPolicyWindowAtNowSize)
-    .filter((x) => x !== null && Number.isFinite(x));
-  const buyNowBeats = res
-    .map((l) => (l.buyNowBeatsWaitWindow === null ? null : l.buyNowBeatsWaitWindow ? 1 : 0))
-    .filter((x) => x !== null);
-
-  summary.taxonomy[domain] = {
-    rowCount: inDomain.length,
-    resolutionLabelCount: res.length,
-    meanDeltaNetPnlPolicyWindowAtNowSize: mean(deltaPolicy),
-    probBuyNowBeatsWaitWindow: mean(buyNowBeats),
+  return {
+    async get(row) {
+      const key = datasetSortKey(row);
+      if (next === undefined) next = await read();
+      while (next !== null && compareSortKeys(next.key, key) < 0) next = await read();
+      if (next === null || compareSortKeys(next.key, key) !== 0) return null;
+      const { features } = next;
+      next = await read();
+      return features;
+    },
+    async close() {
+      await lines.return();
+    },
   };
 }
+const orderBooks = createOrderBookJoin(orderBookFeaturesPath);
+
+// Survival labels are censored at the latest sighting in the dataset, which a
+// streaming pass only knows at the end, so read it in a cheap first pass.
+let observationEndTs = -Infinity;
+for await (const row of readJsonl(inputPath)) {
+  const ts = new Date(row.decisionTs).getTime();
+  if (Number.isFinite(ts) && ts > observationEndTs) observationEndTs = ts;
+}
+
+// The dataset is ordered so each series is contiguous (see dataset-order.mjs):
+// rows are buffered for the current series only, labeled, written and dropped.
+const writer = createJsonlWriter(outputPath);
+const summaryAcc = createSummaryAccumulator();
+const finishedSeries = new Set();
+let totalInputRows = 0;
+let currentKey = null;
+let currentSeq = [];
+
+async function flushSeries() {
+  if (currentSeq.length === 0) return;
+  const series = prepareSeries(
+    currentSeq
+      .map((row) => ({ row, ts: new Date(row.decisionTs).getTime() }))
+      .sort((a, b) => a.ts - b.ts)
+      .map(({ row }) => row)
+  );
+  for (let i = 0; i < series.rows.length; i++) {
+    const labeled = {
+      ...series.rows[i],
+      labels: buildLabelsForRow(series, i, observationEndTs),
+    };
+    summaryAcc.add(labeled);
+    await writer.write(labeled);
+  }
+  finishedSeries.add(currentKey);
+  currentSeq = [];
+}
+
+try {
+  for await (const row of readJsonl(inputPath)) {
+    totalInputRows++;
+    if (!row.dedupeKey || !row.decisionTs || row.expectedEdgeAtDecision === null) {
+      continue;
+    }
+    const key = seriesKey(row);
+    if (key !== currentKey) {
+      await flushSeries();
+      if (finishedSeries.has(key)) {
+        throw new Error(
+          `Series ${key} is not contiguous in ${inputPath}; re-run extract:dataset so rows ` +
+            "are ordered by strategy, dedupe key and decision time"
+        );
+      }
+      currentKey = key;
+    }
+    // Order book features are attached before labeling: slippage costs read them.
+    currentSeq.push({ ...row, orderBook: await orderBooks.get(row) });
+  }
+  await flushSeries();
+} catch (err) {
+  await writer.abort();
+  throw err;
+} finally {
+  await orderBooks.close();
+}
+await writer.close();
+
+const inputs = {
+  dataset: manifestInput(datasetManifest),
+  labelSpec: await fileRef(labelSpec.path),
+  taxonomyRules: await fileRef(taxonomyRules.path, { version: taxonomyRules.version }),
+};
+if (orderBookManifest) inputs.orderBookFeatures = manifestInput(orderBookManifest);
+if (taxonomyModel) inputs.taxonomyModel = await fileRef(path.resolve(args["taxonomy-model"]));
+const labelsManifest = await writeManifest(
+  outputPath,
+  createLineage({
+    stage: "labels:generate",
+    labelSpecVersion: labelSpec.version,
+    inputs,
+    params: { orderBookFeaturesStale },
+    upstream: {
+      dataset: datasetManifest,
+      ...(orderBookManifest ? { orderBookFeatures: orderBookManifest } : {}),
+    },
+  }),
+  { rows: writer.count }
+);
+
+const summary = {
+  ...summaryAcc.finish({ totalInputRows, dedupeSeries: finishedSeries.size }),
+  lineage: labelsManifest,
+};
 
 await fs.writeFile(summaryPath, `${JSON.stringify(summary, null, 2)}\n`, "utf8");
 console.log(`Wrote labeled dataset: ${outputPath}`);
+console.log(`Wrote lineage manifest: ${manifestPath(outputPath)}`);
 console.log(`Wrote label summary: ${summaryPath}`);
 console.log(JSON.stringify(summary, null, 2));
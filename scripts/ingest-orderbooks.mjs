@@ -0,0 +1,283 @@
+import "dotenv/config";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { createJsonlWriter, readJsonl } from "./lib/jsonl.mjs";
+import { rowLegs } from "./lib/legs.mjs";
+import {
+  createLineage,
+  manifestInput,
+  manifestPath,
+  readVerifiedManifest,
+  writeManifest,
+} from "./lib/lineage.mjs";
+import { safeNum } from "./lib/math.mjs";
+import { createReplayLabClient } from "./lib/replay-lab-client.mjs";
+
+const inputPath = path.resolve("data", "training_dataset.validated.jsonl");
+const outputPath = path.resolve("data", "orderbook_features.jsonl");
+const snapshotsDir = path.resolve("data", "orderbooks");
+
+const BUCKET_MS = 60 * 60 * 1000;
+// A bucket is only cached once its hour ended this long ago, so snapshots the
+// API records late still make it in.
+const BUCKET_SETTLE_MS = 10 * 60 * 1000;
+
+const { values: args } = parseArgs({
+  options: {
+    levels: { type: "string", default: "5" },
+    "window-minutes": { type: "string", default: "5" },
+    refresh: { type: "boolean", default: false },
+  },
+});
+
+const topLevels = Number(args.levels);
+const windowMs = Number(args["window-minutes"]) * 60 * 1000;
+if (!Number.isInteger(topLevels) || topLevels <= 0 || !Number.isFinite(windowMs) || windowMs <= 0) {
+  console.error("--levels must be a positive integer and --window-minutes a positive number");
+  process.exit(1);
+}
+
+const baseUrl = process.env.REPLAY_LAB_API_URL;
+const apiKey = process.env.REPLAY_LAB_API_KEY;
+
+if (!baseUrl || !apiKey) {
+  console.error("Missing REPLAY_LAB_API_URL or REPLAY_LAB_API_KEY in .env");
+  process.exit(1);
+}
+
+const client = createReplayLabClient({ baseUrl, apiKey });
+
+function bucketKey(ms) {
+  return new Date(ms - (ms % BUCKET_MS)).toISOString().slice(0, 13);
+}
+
+function bucketPath(venue, bookId, bucket) {
+  return path.join(snapshotsDir, venue, encodeURIComponent(bookId), `${bucket}.json`);
+}
+
+// Snapshots are fetched and stored in whole-hour buckets per outcome book so
+// rows that share a market reuse one request, and reruns read from disk. A
+// bucket whose hour has not settled yet is not written to disk, where it would
+// stay a partial hour on later runs; it is kept in memory for this run only.
+const unsettledBuckets = new Map();
+async function loadBucket(leg, bucket) {
+  const bookId = leg.symbolId ?? leg.marketId;
+  const filePath = bucketPath(leg.venue, bookId, bucket);
+  if (unsettledBuckets.has(filePath)) {
+    return { snapshots: unsettledBuckets.get(filePath), fetched: false };
+  }
+  if (!args.refresh) {
+    try {
+      return {
+        snapshots: JSON.parse(await fs.readFile(filePath, "utf8")).snapshots,
+        fetched: false,
+      };
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+  }
+  const start = new Date(`${bucket}:00:00.000Z`);
+  const end = new Date(start.getTime() + BUCKET_MS);
+  const snapshots = await client.orderBookSnapshots({
+    venue: leg.venue,
+    marketId: leg.marketId,
+    symbolId: leg.symbolId,
+    start,
+    end,
+  });
+  if (end.getTime() > Date.now() - BUCKET_SETTLE_MS) {
+    unsettledBuckets.set(filePath, snapshots);
+    return { snapshots, fetched: true };
+  }
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, `${JSON.stringify({ snapshots })}\n`, "utf8");
+  return { snapshots, fetched: true };
+}
+
+function normalizeLevels(levels) {
+  return (Array.isArray(levels) ? levels : [])
+    .map((level) =>
+      Array.isArray(level)
+        ? { price: safeNum(level[0]), size: safeNum(level[1]) }
+        : { price: safeNum(level?.price), size: safeNum(level?.size) }
+    )
+    .filter((l) => l.price !== null && l.size !== null && l.size > 0);
+}
+
+// Walks the asks for `contracts`: VWAP minus best ask, and whether the book
+// could fill the whole size. A book too thin to fill it has no slippage at that
+// size: averaging over the contracts it does hold would understate the cost,
+// so consumers fall back to their own estimate instead.
+function walkAsks(asks, contracts) {
+  const bestAsk = asks[0]?.price ?? null;
+  if (bestAsk === null || contracts === null || contracts <= 0) {
+    return { slippage: null, fillable: null };
+  }
+  let remaining = contracts;
+  let cost = 0;
+  for (const level of asks) {
+    const take = Math.min(remaining, level.size);
+    cost += take * level.price;
+    remaining -= take;
+    if (remaining <= 0) break;
+  }
+  if (remaining > 0) return { slippage: null, fillable: false };
+  return { slippage: cost / contracts - bestAsk, fillable: true };
+}
+
+function bookMetrics(snapshot, targetContracts) {
+  const bids = normalizeLevels(snapshot.bids);
+  const asks = normalizeLevels(snapshot.asks);
+  const bestBid = bids[0]?.price ?? null;
+  const bestAsk = asks[0]?.price ?? null;
+  const sumSize = (levels) => levels.slice(0, topLevels).reduce((acc, l) => acc + l.size, 0);
+  const atTarget = walkAsks(asks, targetContracts);
+  const atHalfTarget = walkAsks(asks, targetContracts === null ? null : targetContracts / 2);
+
+  return {
+    bestBid,
+    bestAsk,
+    spread: bestBid !== null && bestAsk !== null ? bestAsk - bestBid : null,
+    askDepthTopN: sumSize(asks),
+    bidDepthTopN: sumSize(bids),
+    slippageAtTargetSize: atTarget.slippage,
+    slippageAtHalfTargetSize: atHalfTarget.slippage,
+    fillableAtTargetSize: atTarget.fillable,
+  };
+}
+
+// Latest snapshot at or before the decision (within the window). Snapshots
+// after decisionTs are never used so the features stay decision-time safe.
+function snapshotAtDecision(snapshots, decisionTsMs) {
+  let best = null;
+  let bestTs = null;
+  for (const snap of snapshots) {
+    const ts = new Date(snap.ts).getTime();
+    if (!Number.isFinite(ts) || ts > decisionTsMs || ts < decisionTsMs - windowMs) continue;
+    if (bestTs === null || ts > bestTs) {
+      best = snap;
+      bestTs = ts;
+    }
+  }
+  return best === null ? null : { snapshot: best, ts: bestTs };
+}
+
+async function legFeatures(leg, decisionTsMs, targetContracts) {
+  const base = {
+    venue: leg.venue ?? null,
+    marketId: leg.marketId ?? null,
+    symbolId: leg.symbolId ?? null,
+  };
+  if (!leg.venue || !(leg.symbolId ?? leg.marketId)) {
+    return { ...base, snapshotTs: null, fetchedBuckets: 0 };
+  }
+  const buckets = [...new Set([bucketKey(decisionTsMs - windowMs), bucketKey(decisionTsMs)])];
+  const snapshots = [];
+  let fetchedBuckets = 0;
+  for (const bucket of buckets) {
+    const loaded = await loadBucket(leg, bucket);
+    snapshots.push(...loaded.snapshots);
+    if (loaded.fetched) fetchedBuckets++;
+  }
+  const found = snapshotAtDecision(snapshots, decisionTsMs);
+  if (!found) {
+    return { ...base, snapshotTs: null, fetchedBuckets };
+  }
+  return {
+    ...base,
+    snapshotTs: new Date(found.ts).toISOString(),
+    snapshotLagMs: decisionTsMs - found.ts,
+    ...bookMetrics(found.snapshot, targetContracts),
+    fetchedBuckets,
+  };
+}
+
+function aggregateLegs(legs) {
+  const values = (key) => legs.map((l) => l[key]).filter((v) => v !== null && v !== undefined);
+  const complete = legs.length > 0 && legs.every((l) => l.snapshotTs !== null);
+  const spreads = values("spread");
+  const depths = values("askDepthTopN");
+  const total = (key) => {
+    const slippages = values(key);
+    return complete && slippages.length === legs.length
+      ? slippages.reduce((a, b) => a + b, 0)
+      : null;
+  };
+  return {
+    complete,
+    maxSpread: spreads.length ? Math.max(...spreads) : null,
+    minAskDepthTopN: depths.length ? Math.min(...depths) : null,
+    totalSlippageAtTargetSize: total("slippageAtTargetSize"),
+    totalSlippageAtHalfTargetSize: total("slippageAtHalfTargetSize"),
+    allLegsFillableAtTargetSize: complete
+      ? legs.every((l) => l.fillableAtTargetSize === true)
+      : null,
+  };
+}
+
+let datasetManifest;
+try {
+  datasetManifest = await readVerifiedManifest(inputPath, "validate:dataset");
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+// Rows are written in dataset order with its sort key (see dataset-order.mjs),
+// so labels:generate can join them to the dataset in one streaming pass.
+const writer = createJsonlWriter(outputPath);
+let fetchedBuckets = 0;
+let completeRows = 0;
+try {
+  for await (const row of readJsonl(inputPath)) {
+    const decisionTsMs = new Date(row.decisionTs).getTime();
+    if (!Number.isFinite(decisionTsMs)) continue;
+    const targetContracts = safeNum(row.targetContractsAtDecision);
+    const legs = [];
+    for (const leg of rowLegs(row)) {
+      const { fetchedBuckets: fetched, ...features } = await legFeatures(
+        leg,
+        decisionTsMs,
+        targetContracts
+      );
+      fetchedBuckets += fetched;
+      legs.push(features);
+    }
+    const summary = aggregateLegs(legs);
+    if (summary.complete) completeRows++;
+    await writer.write({
+      strategyType: row.strategyType ?? null,
+      dedupeKey: row.dedupeKey ?? null,
+      opportunityId: row.opportunityId,
+      decisionTs: row.decisionTs,
+      topLevels,
+      windowMinutes: windowMs / 60000,
+      ...summary,
+      legs,
+    });
+  }
+} catch (err) {
+  await writer.abort();
+  throw err;
+}
+await writer.close();
+// Snapshots come from the API (or its on-disk cache), not from hashed files;
+// the dataset they were matched against is what ties features to rows.
+await writeManifest(
+  outputPath,
+  createLineage({
+    stage: "ingest:orderbooks",
+    inputs: { dataset: manifestInput(datasetManifest), replayLab: { baseUrl } },
+    params: { levels: topLevels, windowMinutes: windowMs / 60000, refresh: args.refresh },
+    upstream: { dataset: datasetManifest },
+  }),
+  { rows: writer.count }
+);
+
+console.log(`Rows: ${writer.count}`);
+console.log(`Rows with a snapshot for every leg: ${completeRows}`);
+console.log(`Snapshot buckets fetched from API: ${fetchedBuckets}`);
+console.log(`Snapshots: ${snapshotsDir}`);
+console.log(`Output: ${outputPath}`);
+console.log(`Manifest: ${manifestPath(outputPath)}`);
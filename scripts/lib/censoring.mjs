@@ -0,0 +1,127 @@
+// Policy-window labels are "censored" when no later sighting fell inside the
+// window (`labelCensoredPolicyWindow`). Most of those are not unknowns: the
+// survival labels show the window was fully observed and the opportunity
+// simply did not come back, so waiting would have found no entry. Only windows
+// that run past the end of the extracted data are truly unknown.
+//
+// Modes, shared by the training and backtest scripts (`--censoring`):
+//   - drop: keep rows with an observed wait candidate only (the old behavior)
+//   - impute: give every censored row the `--censored-wait` outcome
+//   - ipcw: impute rows whose window was fully observed, drop the truly unknown
+//     ones and weight the kept rows by 1 / P(window observed), estimated per
+//     phase on the training split
+// `--censored-wait` decides what waiting is worth when no entry was observed:
+//   - no_trade: nothing, so the uplift is -netPnlBuyNowAtNowSize and buy-now
+//     wins when its net PnL is not negative
+//   - zero_uplift: as good as buying now (uplift 0, buy-now wins the tie)
+
+import { safeNum } from "./math.mjs";
+
+export const CENSORING_MODES = ["drop", "impute", "ipcw"];
+export const CENSORED_WAIT_VALUES = ["no_trade", "zero_uplift"];
+
+export const CENSORING_ARG_OPTIONS = {
+  censoring: { type: "string", default: "ipcw" },
+  "censored-wait": { type: "string", default: "no_trade" },
+};
+
+// IPCW weights are clipped so a sparsely observed phase cannot dominate a fit.
+const MAX_IPCW_WEIGHT = 10;
+
+export function resolveCensoringArgs(args) {
+  if (!CENSORING_MODES.includes(args.censoring)) {
+    throw new Error(
+      `Invalid --censoring value: ${args.censoring} (expected ${CENSORING_MODES.join(", ")})`
+    );
+  }
+  if (!CENSORED_WAIT_VALUES.includes(args["censored-wait"])) {
+    throw new Error(
+      `Invalid --censored-wait value: ${args["censored-wait"]} ` +
+        `(expected ${CENSORED_WAIT_VALUES.join(", ")})`
+    );
+  }
+  return { mode: args.censoring, censoredWait: args["censored-wait"] };
+}
+
+// "observed" | "no_entry" (window fully observed, nothing came back) |
+// "censored" (window runs past the data, or no survival labels to tell).
+export function censoringStatus(labels) {
+  const res = labels?.resolutionAnchored;
+  if (!res?.labelCensoredPolicyWindow) return "observed";
+  return typeof labels?.survival?.vanishedWithin?.policyWindow === "boolean"
+    ? "no_entry"
+    : "censored";
+}
+
+// Regression / classification targets for a censored row under the chosen
+// imputation; null when buy-now PnL is unknown too.
+export function imputedTargets(res, censoredWait) {
+  if (censoredWait === "zero_uplift") return { regTarget: 0, clsTarget: 1 };
+  const netPnl = safeNum(res?.netPnlBuyNowAtNowSize);
+  if (netPnl === null) return { regTarget: null, clsTarget: null };
+  return { regTarget: -netPnl, clsTarget: netPnl >= 0 ? 1 : 0 };
+}
+
+// Applies the censoring mode to prepared rows carrying `_regTarget`,
+// `_clsTarget`, `_censoringStatus` and the row's resolution labels. Returns the
+// rows to use with `_weight` set (1 unless ipcw) and targets imputed where the
+// mode calls for it. Rows are copied, never mutated.
+export function applyCensoring(rowsIn, { mode, censoredWait }, ipcwModel = null) {
+  const out = [];
+  for (const row of rowsIn) {
+    const status = row._censoringStatus;
+    if (status === "observed") {
+      out.push({ ...row, _imputed: false, _weight: ipcwModel ? ipcwWeight(ipcwModel, row) : 1 });
+      continue;
+    }
+    if (mode === "drop" || (mode === "ipcw" && status === "censored")) continue;
+    const targets = imputedTargets(row.labels?.resolutionAnchored, censoredWait);
+    if (targets.regTarget === null) continue;
+    out.push({
+      ...row,
+      _regTarget: targets.regTarget,
+      _clsTarget: targets.clsTarget,
+      _imputed: true,
+      _weight: ipcwModel ? ipcwWeight(ipcwModel, row) : 1,
+    });
+  }
+  return out;
+}
+
+// Censoring model for ipcw: share of rows per phase whose policy-window
+// outcome is known, fitted on training rows. The phase is the decision-time
+// `_phaseNow` the models see, so rows whose resolution time is hindsight
+// (market close or settlement, see resolution-time.mjs) all fall in one
+// "unknown" stratum whatever their actual phase: their weight only uses what
+// was known at the decision, as their features do.
+export function fitIpcwModel(trainRows) {
+  const byPhase = {};
+  let known = 0;
+  for (const row of trainRows) {
+    const phase = row._phaseNow ?? "unknown";
+    byPhase[phase] ??= { rows: 0, known: 0 };
+    byPhase[phase].rows++;
+    if (row._censoringStatus !== "censored") {
+      byPhase[phase].known++;
+      known++;
+    }
+  }
+  const overall = trainRows.length === 0 ? 1 : known / trainRows.length;
+  return {
+    overall,
+    byPhase: Object.fromEntries(
+      Object.entries(byPhase).map(([phase, s]) => [phase, { ...s, observedRate: s.known / s.rows }])
+    ),
+  };
+}
+
+function ipcwWeight(model, row) {
+  const rate = model.byPhase[row._phaseNow ?? "unknown"]?.observedRate ?? model.overall;
+  return rate > 0 ? Math.min(MAX_IPCW_WEIGHT, 1 / rate) : MAX_IPCW_WEIGHT;
+}
+
+export function censoringCounts(rowsIn) {
+  const counts = { observed: 0, no_entry: 0, censored: 0 };
+  for (const row of rowsIn) counts[row._censoringStatus]++;
+  return counts;
+}
@@ -0,0 +1,179 @@
+import { rowLegs } from "./legs.mjs";
+import { safeNum } from "./math.mjs";
+
+// Trading costs for a contract set, from the label spec's `costModel`.
+//
+// Fees are per leg and looked up by the leg's fee class (`venueFeeClass` on the
+// sizing artifact), falling back to the venue's default schedule:
+//   - `price_variance`: rate * contracts * P * (1 - P) (Kalshi)
+//   - `min_price`: rate * contracts * min(P, 1 - P) (Polymarket fee markets)
+//   - `none`: no fee
+// Makers pay `makerRate`, everything else `takerRate`. With `roundUpToCent`
+// the fee for the order is rounded up to the next cent, as Kalshi does.
+//
+// Slippage is per contract and depends on the size bought. With `useOrderBook`
+// and complete book features, the book's summed slippage at half and at full
+// target size (`targetContractsAtDecision`) give a curve: linear from zero at no
+// contracts to the half-size figure, then along the slope between half and full
+// size, which also extends past the target. Otherwise every leg is charged
+// `fixedPerLegPerContract` at any size.
+
+export const FEE_FORMULAS = ["none", "price_variance", "min_price"];
+
+// Legs without a known price are charged at P = 0.5, where both formulas peak.
+const UNKNOWN_PRICE = 0.5;
+
+function isNonNegative(v) {
+  return typeof v === "number" && Number.isFinite(v) && v >= 0;
+}
+
+export function validateCostModel(costModel) {
+  const errors = [];
+  if (costModel === null || typeof costModel !== "object" || Array.isArray(costModel)) {
+    return ["costModel must be an object"];
+  }
+  const schedules = costModel.feeSchedules;
+  if (schedules === null || typeof schedules !== "object" || Array.isArray(schedules)) {
+    errors.push("costModel.feeSchedules must be an object");
+  } else {
+    for (const [feeClass, schedule] of Object.entries(schedules)) {
+      const where = `costModel.feeSchedules.${feeClass}`;
+      if (!FEE_FORMULAS.includes(schedule?.formula)) {
+        errors.push(`${where}.formula must be one of ${FEE_FORMULAS.join(", ")}`);
+        continue;
+      }
+      if (schedule.formula === "none") continue;
+      for (const field of ["takerRate", "makerRate"]) {
+        if (!isNonNegative(schedule[field])) errors.push(`${where}.${field} must be >= 0`);
+      }
+    }
+  }
+  const defaults = costModel.defaultFeeClassByVenue ?? {};
+  for (const [venue, feeClass] of Object.entries(defaults)) {
+    if (!schedules?.[feeClass]) {
+      errors.push(
+        `costModel.defaultFeeClassByVenue.${venue} names unknown fee class "${feeClass}"`
+      );
+    }
+  }
+  const slippage = costModel.slippage;
+  if (slippage === null || typeof slippage !== "object") {
+    errors.push("costModel.slippage must be an object");
+  } else {
+    if (typeof slippage.useOrderBook !== "boolean") {
+      errors.push("costModel.slippage.useOrderBook must be a boolean");
+    }
+    if (!isNonNegative(slippage.fixedPerLegPerContract)) {
+      errors.push("costModel.slippage.fixedPerLegPerContract must be >= 0");
+    }
+  }
+  return errors;
+}
+
+export function createCostModel(costModel) {
+  const schedules = costModel.feeSchedules;
+  const defaults = costModel.defaultFeeClassByVenue ?? {};
+  const { useOrderBook, fixedPerLegPerContract } = costModel.slippage;
+
+  function scheduleFor(leg) {
+    return schedules[leg.feeClass] ?? schedules[defaults[leg.venue]] ?? null;
+  }
+
+  // Fee in USD for `contracts` of one leg, and whether it was fully priced.
+  function legFee(leg, contracts) {
+    const schedule = scheduleFor(leg);
+    const price = safeNum(leg.price);
+    const complete = schedule !== null && (schedule.formula === "none" || price !== null);
+    if (schedule === null || schedule.formula === "none") {
+      return { feeUsd: 0, complete };
+    }
+    const p = price ?? UNKNOWN_PRICE;
+    const rate = leg.orderIntent === "MAKER" ? schedule.makerRate : schedule.takerRate;
+    const perContract = schedule.formula === "price_variance" ? p * (1 - p) : Math.min(p, 1 - p);
+    const raw = rate * contracts * perContract;
+    // The epsilon keeps float noise (0.07 * 100 * 0.25 = 1.7500000000000002)
+    // from rounding up a whole extra cent.
+    const feeUsd = schedule.roundUpToCent ? Math.ceil(raw * 100 - 1e-9) / 100 : raw;
+    return { feeUsd, complete };
+  }
+
+  // `{ half, full, target }` from the row's order book, or null when the
+  // fixed charge applies (no complete book, or a size it could not fill).
+  function bookSlippage(row) {
+    const book = row.orderBook;
+    if (!useOrderBook || !book?.complete) return null;
+    const half = safeNum(book.totalSlippageAtHalfTargetSize);
+    const full = safeNum(book.totalSlippageAtTargetSize);
+    const target = safeNum(row.targetContractsAtDecision);
+    if (half === null || full === null || target === null || target <= 0) return null;
+    return { half, full, target };
+  }
+
+  function slippagePerContract(row, legCount, contracts) {
+    const book = bookSlippage(row);
+    if (book === null) return legCount * fixedPerLegPerContract;
+    const halfSize = book.target / 2;
+    const perContract =
+      contracts <= halfSize
+        ? (book.half * contracts) / halfSize
+        : book.half + ((book.full - book.half) * (contracts - halfSize)) / halfSize;
+    return Math.max(0, perContract);
+  }
+
+  // Costs and net PnL of buying `contracts` sets of `row` at its decision
+  // edge. `complete` is false when a leg had no fee schedule or price.
+  function rowCosts(row, contracts) {
+    const legs = rowLegs(row);
+    let feesUsd = 0;
+    let complete = true;
+    for (const leg of legs) {
+      const fee = legFee(leg, contracts);
+      feesUsd += fee.feeUsd;
+      complete = complete && fee.complete;
+    }
+    const slippageUsd = contracts * slippagePerContract(row, legs.length, contracts);
+    const edge = safeNum(row.expectedEdgeAtDecision);
+    const grossPnl = edge === null ? null : contracts * edge;
+    return {
+      grossPnl,
+      feesUsd,
+      slippageUsd,
+      netPnl: grossPnl === null ? null : grossPnl - feesUsd - slippageUsd,
+      // Cash tied up until resolution: the sets' cost plus entry costs.
+      capitalUsd: edge === null ? null : contracts * (1 - edge) + feesUsd + slippageUsd,
+      complete,
+    };
+  }
+
+  // Per-contract fees and slippage before rounding, with slippage at its lowest
+  // over all sizes (none, on the book's curve). Rounding a fee up to the cent
+  // only adds to it, so `contracts * netPerContract` bounds `rowCosts`' net PnL
+  // from above and `contracts * capitalPerContract` its capital from below;
+  // label generation uses that to skip sightings that cannot win.
+  // `slippageCurve` is the book curve behind `rowCosts` (null for the fixed
+  // charge), so rows that cost alike at every size can be told apart.
+  function unitCosts(row) {
+    const legs = rowLegs(row);
+    let feesPerContract = 0;
+    for (const leg of legs) {
+      const schedule = scheduleFor(leg);
+      if (schedule === null || schedule.formula === "none") continue;
+      const p = safeNum(leg.price) ?? UNKNOWN_PRICE;
+      const rate = leg.orderIntent === "MAKER" ? schedule.makerRate : schedule.takerRate;
+      feesPerContract +=
+        rate * (schedule.formula === "price_variance" ? p * (1 - p) : Math.min(p, 1 - p));
+    }
+    const curve = bookSlippage(row);
+    const slippage = curve === null ? slippagePerContract(row, legs.length, 0) : 0;
+    const edge = safeNum(row.expectedEdgeAtDecision);
+    return {
+      feesPerContract,
+      slippagePerContract: slippage,
+      slippageCurve: curve,
+      netPerContract: edge === null ? null : edge - feesPerContract - slippage,
+      capitalPerContract: edge === null ? null : 1 - edge + feesPerContract + slippage,
+    };
+  }
+
+  return { legFee, rowCosts, unitCosts };
+}
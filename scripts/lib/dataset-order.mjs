@@ -0,0 +1,53 @@
+// `training_dataset.jsonl` is ordered by strategy type, dedupe key, decision
+// time and opportunity id, so every (strategy, dedupeKey) series is contiguous
+// and labeling can stream one series at a time. The Postgres query sorts the
+// same way (`collate "C"`, nulls last, decision time truncated to the
+// millisecond like a JS Date) so fetched rows can be merged into an existing
+// dataset without sorting in memory.
+
+function compareText(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  return a < b ? -1 : 1;
+}
+
+function tsMs(value) {
+  if (value === null || value === undefined) return null;
+  const ms = value instanceof Date ? value.getTime() : new Date(value).getTime();
+  return Number.isFinite(ms) ? ms : null;
+}
+
+export function datasetSortKey(row) {
+  return {
+    strategyType: row.strategyType ?? null,
+    dedupeKey: row.dedupeKey ?? null,
+    decisionTsMs: tsMs(row.decisionTs),
+    opportunityId: row.opportunityId ?? null,
+  };
+}
+
+export function compareSortKeys(a, b) {
+  return (
+    compareText(a.strategyType, b.strategyType) ||
+    compareText(a.dedupeKey, b.dedupeKey) ||
+    (a.decisionTsMs === b.decisionTsMs
+      ? 0
+      : a.decisionTsMs === null
+        ? 1
+        : b.decisionTsMs === null
+          ? -1
+          : a.decisionTsMs - b.decisionTsMs) ||
+    compareText(a.opportunityId, b.opportunityId)
+  );
+}
+
+export function compareDatasetRows(a, b) {
+  return compareSortKeys(datasetSortKey(a), datasetSortKey(b));
+}
+
+// Label series key: sightings are only comparable within one strategy, so a
+// dedupe key shared by two strategies forms two series.
+export function seriesKey(row) {
+  return `${row.strategyType ?? "unknown"}::${row.dedupeKey}`;
+}
@@ -0,0 +1,304 @@
+import { rowLegs } from "./legs.mjs";
+
+// Flat column layout for `export:dataset`. New columns are only appended;
+// renaming, retyping or removing one bumps the version, so notebooks can rely
+// on names and types. Every column records the JSON path it is read from
+// (`source`), which is also written next to the export as `columns.json`.
+export const EXPORT_LAYOUT_VERSION = 1;
+
+const HORIZON_KEYS = ["15m", "1h", "3h"];
+
+function toSnake(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toLowerCase();
+}
+
+function field(obj, key) {
+  const v = obj?.[key];
+  return v === undefined ? null : v;
+}
+
+function rowColumn(key, type) {
+  return { name: toSnake(key), type, source: key, get: (row) => field(row, key) };
+}
+
+function nestedColumns(prefix, sourcePrefix, pick, specs) {
+  return specs.map(([key, type]) => ({
+    name: `${prefix}${toSnake(key)}`,
+    type,
+    source: `${sourcePrefix}.${key}`,
+    get: (row) => field(pick(row), key),
+  }));
+}
+
+function legListColumn(name, key) {
+  return {
+    name,
+    type: "string",
+    source: `legs[].${key} (joined with "|")`,
+    get: (row) => {
+      const legs = rowLegs(row);
+      return legs.length === 0 ? null : legs.map((leg) => leg[key] ?? "").join("|");
+    },
+  };
+}
+
+// Per-leg horizon labels, `|`-joined in leg order like the row's leg lists.
+function horizonLegListColumn(horizon, name, key) {
+  return {
+    name: `label_${horizon}_${name}`,
+    type: "string",
+    source: `labels["${horizon}"].legs[].${key} (joined with "|")`,
+    get: (row) => {
+      const legs = row.labels?.[horizon]?.legs;
+      return !Array.isArray(legs) || legs.length === 0
+        ? null
+        : legs.map((leg) => leg[key] ?? "").join("|");
+    },
+  };
+}
+
+const HORIZON_FIELDS = [
+  ["edgeUplift", "double"],
+  ["improvesEdge", "bool"],
+  ["bestFutureEdge", "double"],
+  ["minutesToBestEdge", "double"],
+  ["nowCapacityContracts", "double"],
+  ["bestFutureCapacityContracts", "double"],
+  ["capacityChangeContracts", "double"],
+  ["capacityAdjustedUplift", "double"],
+  ["improvesCapacityAdjusted", "bool"],
+  ["bestFillRatioAtNowSize", "double"],
+  ["minutesToBestCapacityAdjusted", "double"],
+];
+
+const HORIZON_LEG_FIELDS = [
+  ["edgeDriverLegIndex", "int"],
+  ["edgeDriverVenue", "string"],
+  ["edgeDriverPriceChange", "double"],
+];
+
+const RESOLUTION_FIELDS = [
+  ["timeToResolutionHoursNow", "double"],
+  ["phaseNow", "string"],
+  ["edgeUplift7d", "double"],
+  ["improvesEdge7d", "bool"],
+  ["bestFutureEdge7d", "double"],
+  ["minutesToBestEdge7d", "double"],
+  ["nowCapacityContracts", "double"],
+  ["bestFutureCapacityContracts7d", "double"],
+  ["capacityChangeContracts7d", "double"],
+  ["capacityAdjustedUplift7d", "double"],
+  ["improvesCapacityAdjusted7d", "bool"],
+  ["minutesToBestCapacityAdjusted7d", "double"],
+  ["bestFillRatioAtNowSize7d", "double"],
+  ["bestLateWindowCapacityAdjustedUplift", "double"],
+  ["bestLateWindowFillRatioAtNowSize", "double"],
+  ["enterEarlyBetterThanLate", "bool"],
+  ["nearResolutionCapacityAdjustedUplift", "double"],
+  ["policyWindowHours", "double"],
+  ["deltaNetPnlPolicyWindowAtNowSize", "double"],
+  ["buyNowBeatsWaitWindow", "bool"],
+  ["bestWaitFillRatioPolicyWindowAtNowSize", "double"],
+  ["minutesToBestPolicyWindow", "double"],
+  ["labelCensoredPolicyWindow", "bool"],
+];
+
+const EXECUTION_RISK_FIELDS = [
+  ["attemptCount", "int"],
+  ["failedAttempts", "int"],
+  ["attemptsBeforeSuccess", "int"],
+  ["succeeded", "bool"],
+  ["fillRatio", "double"],
+  ["policyWindowHours", "double"],
+  ["laterExecutedSightingsInPolicyWindow", "int"],
+  ["waitAvoidsFailedAttempts", "bool"],
+  ["minutesToCleanExecution", "double"],
+];
+
+const SETTLEMENT_FIELDS = [
+  ["payoutPerSet", "int"],
+  ["resolutionMismatch", "bool"],
+  ["settledAt", "timestamp"],
+  ["holdPnlBuyNowAtNowSize", "double"],
+  ["bestWaitHoldPnlPolicyWindowAtNowSize", "double"],
+  ["deltaSettledPnlPolicyWindowAtNowSize", "double"],
+  ["buyNowBeatsWaitSettled", "bool"],
+  ["minutesToBestSettledWait", "double"],
+  ["realizedPnl", "double"],
+];
+
+// Cost and capital-cost fields, appended after the settlement columns so they
+// keep the label_res_ prefix without moving earlier columns.
+const RESOLUTION_COST_FIELDS = [
+  ["netPnlBuyNowAtNowSize", "double"],
+  ["feesBuyNowAtNowSizeUsd", "double"],
+  ["slippageBuyNowAtNowSizeUsd", "double"],
+  ["costsComplete", "bool"],
+  ["capitalBuyNowUsd", "double"],
+  ["lockupHoursBuyNow", "double"],
+  ["annualizedRoiBuyNow", "double"],
+  ["beatsHurdleBuyNow", "bool"],
+  ["timeAdjustedPnlBuyNowAtNowSize", "double"],
+  ["bestWaitTimeAdjustedPnlPolicyWindowAtNowSize", "double"],
+  ["bestWaitAnnualizedRoiPolicyWindow", "double"],
+  ["deltaTimeAdjustedPnlPolicyWindowAtNowSize", "double"],
+  ["minutesToBestTimeAdjustedWait", "double"],
+  ["buyNowBeatsWaitTimeAdjusted", "bool"],
+];
+
+const SURVIVAL_FIELDS = [
+  ["minutesUntilLastSeen", "double"],
+  ["survivalMinutes", "double"],
+  ["disappeared", "bool"],
+  ["censoredBy", "string"],
+  ["policyWindowHours", "double"],
+];
+
+const SCALE_IN_FIELDS = [
+  ["targetContracts", "double"],
+  ["laterSightingsInPolicyWindow", "int"],
+  ["contractsNow", "double"],
+  ["contractsLater", "double"],
+  ["fractionNow", "double"],
+  ["minutesToLaterEntry", "double"],
+  ["netPnlAllNow", "double"],
+  ["netPnlBestSingleLaterEntry", "double"],
+  ["netPnlScaleIn", "double"],
+  ["upliftOverAllNow", "double"],
+  ["upliftOverAllOrNothing", "double"],
+  ["decision", "string"],
+  ["censored", "bool"],
+];
+
+const RESOLUTION_TIME_FIELDS = [
+  ["resolvesAt", "timestamp"],
+  ["source", "string"],
+  ["confidence", "string"],
+  ["knownAtDecision", "bool"],
+  ["resolvedLegs", "int"],
+  ["legSpreadHours", "double"],
+  ["legsAgree", "bool"],
+];
+
+const ORDER_BOOK_FIELDS = [
+  ["complete", "bool"],
+  ["maxSpread", "double"],
+  ["minAskDepthTopN", "double"],
+  ["totalSlippageAtTargetSize", "double"],
+  ["allLegsFillableAtTargetSize", "bool"],
+];
+
+export const EXPORT_COLUMNS = [
+  rowColumn("opportunityId", "string"),
+  rowColumn("dedupeKey", "string"),
+  rowColumn("portfolioId", "string"),
+  rowColumn("strategyType", "string"),
+  rowColumn("opportunityStatus", "string"),
+  rowColumn("decisionTs", "timestamp"),
+  rowColumn("opportunityCreatedAt", "timestamp"),
+  rowColumn("expectedEdgeAtDecision", "double"),
+  rowColumn("targetContractsAtDecision", "double"),
+  rowColumn("minKernelContractsAtDecision", "double"),
+  rowColumn("avgLegPriceAtDecision", "double"),
+  rowColumn("budgetUsdAtDecision", "double"),
+  rowColumn("requestUsd", "double"),
+  rowColumn("availableUsd", "double"),
+  rowColumn("legCount", "int"),
+  legListColumn("leg_venues", "venue"),
+  legListColumn("leg_market_ids", "marketId"),
+  legListColumn("leg_symbol_ids", "symbolId"),
+  legListColumn("leg_sides", "side"),
+  legListColumn("leg_order_intents", "orderIntent"),
+  legListColumn("leg_expires_at", "expiresAt"),
+  legListColumn("leg_market_titles", "marketTitle"),
+  rowColumn("executionState", "string"),
+  rowColumn("actualEdgeAtExecution", "double"),
+  rowColumn("expectedEdgeAtExecution", "double"),
+  rowColumn("realizedPnl", "double"),
+  rowColumn("executionTargetContracts", "double"),
+  rowColumn("executionCompletedAt", "timestamp"),
+  rowColumn("executionAttemptCount", "int"),
+  rowColumn("failedExecutionAttempts", "int"),
+  rowColumn("attemptsBeforeSuccess", "int"),
+  rowColumn("filledContracts", "double"),
+  rowColumn("executionFillRatio", "double"),
+  rowColumn("totalRealizedPnl", "double"),
+  ...nestedColumns("orderbook_", "orderBook", (row) => row.orderBook, ORDER_BOOK_FIELDS),
+  ...HORIZON_KEYS.flatMap((h) =>
+    nestedColumns(`label_${h}_`, `labels["${h}"]`, (row) => row.labels?.[h], HORIZON_FIELDS)
+  ),
+  ...nestedColumns(
+    "label_res_",
+    "labels.resolutionAnchored",
+    (row) => row.labels?.resolutionAnchored,
+    RESOLUTION_FIELDS
+  ),
+  ...nestedColumns(
+    "label_exec_",
+    "labels.executionRisk",
+    (row) => row.labels?.executionRisk,
+    EXECUTION_RISK_FIELDS
+  ),
+  ...nestedColumns("taxonomy_", "labels.taxonomy", (row) => row.labels?.taxonomy, [
+    ["domain", "string"],
+    ["subdomain", "string"],
+    ["topic", "string"],
+    ["source", "string"],
+  ]),
+  legListColumn("leg_resolution_outcomes", "resolutionOutcome"),
+  ...nestedColumns(
+    "label_settle_",
+    "labels.settlement",
+    (row) => row.labels?.settlement,
+    SETTLEMENT_FIELDS
+  ),
+  legListColumn("leg_prices", "price"),
+  ...nestedColumns(
+    "label_res_",
+    "labels.resolutionAnchored",
+    (row) => row.labels?.resolutionAnchored,
+    RESOLUTION_COST_FIELDS
+  ),
+  ...nestedColumns(
+    "label_surv_",
+    "labels.survival",
+    (row) => row.labels?.survival,
+    SURVIVAL_FIELDS
+  ),
+  ...[...HORIZON_KEYS, "policyWindow"].flatMap((key) =>
+    nestedColumns(
+      "label_surv_vanished_within_",
+      "labels.survival.vanishedWithin",
+      (row) => row.labels?.survival?.vanishedWithin,
+      [[key, "bool"]]
+    )
+  ),
+  ...nestedColumns("taxonomy_", "labels.taxonomy", (row) => row.labels?.taxonomy, [
+    ["method", "string"],
+    ["ruleId", "string"],
+    ["confidence", "double"],
+  ]),
+  ...nestedColumns("label_scale_", "labels.scaleIn", (row) => row.labels?.scaleIn, SCALE_IN_FIELDS),
+  ...HORIZON_KEYS.flatMap((h) => [
+    ...nestedColumns(`label_${h}_`, `labels["${h}"]`, (row) => row.labels?.[h], HORIZON_LEG_FIELDS),
+    horizonLegListColumn(h, "leg_best_future_prices", "bestFuturePrice"),
+    horizonLegListColumn(h, "leg_price_improvements", "priceImprovement"),
+    horizonLegListColumn(h, "leg_minutes_to_best_price", "minutesToBestPrice"),
+    horizonLegListColumn(h, "leg_price_changes_at_best_edge", "priceChangeAtBestEdge"),
+  ]),
+  legListColumn("leg_market_close_at", "marketCloseAt"),
+  ...nestedColumns(
+    "label_restime_",
+    "labels.resolutionTime",
+    (row) => row.labels?.resolutionTime,
+    RESOLUTION_TIME_FIELDS
+  ),
+  legListColumn("leg_contracts", "contracts"),
+];
+
+// Appended by `--with-predictions`; values come from the robust artifacts.
+export const PREDICTION_COLUMNS = [
+  { name: "pred_robust_prob_buy_now", type: "double", source: "robust classifier (calibrated)" },
+  { name: "pred_robust_decision", type: "string", source: "buy_now | wait at tuned threshold" },
+  { name: "pred_robust_delta_pnl", type: "double", source: "robust regression (clipped)" },
+];
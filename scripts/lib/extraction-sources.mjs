@@ -0,0 +1,521 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { Client } from "pg";
+import { compareSortKeys, datasetSortKey } from "./dataset-order.mjs";
+
+// Extraction sources stream raw rows shaped like the Postgres result set
+// (snake_case columns, timestamps as Date) so parseFeatures works unchanged,
+// in dataset order (see dataset-order.mjs).
+
+// $1 bounds new sizing decisions, $2 bounds new or updated executions and
+// market resolutions. Artifacts older than $1 are still pulled when one of
+// their executions changed or one of their markets resolved after $2, so late
+// executions and settlements refresh rows that were extracted earlier.
+// Resolution columns (`result`/`settlement_ts` on kalshi_markets,
+// `winning_outcome`/`resolved_at` on polymarket_markets) and market close
+// times (`close_time`, `end_date_iso`) are read through to_jsonb and come back
+// null where a table does not record them.
+// $3 is the list of strategy types to extract.
+const query = `
+with changed_executions as (
+  select distinct e.opportunity_id
+  from arb_executions e
+  where coalesce(e.completed_at, e.created_at) >= $2
+),
+resolved_markets as (
+  select k.ticker as market_id
+  from kalshi_markets k
+  where (to_jsonb(k)->>'settlement_ts')::timestamptz >= $2
+  union
+  select p.condition_id as market_id
+  from polymarket_markets p
+  where (to_jsonb(p)->>'resolved_at')::timestamptz >= $2
+),
+sized_artifacts as (
+  select
+    a.opportunity_id,
+    a.portfolio_id,
+    a.created_at as decision_ts,
+    o.dedupe_key,
+    o.strategy_type,
+    o.status as opportunity_status,
+    o.created_at as opportunity_created_at,
+    a.artifact->'sizing'->>'expectedEdge' as expected_edge_at_decision,
+    a.artifact->'sizing'->>'targetContracts' as target_contracts_at_decision,
+    (
+      select min((kl->>'contracts')::numeric)
+      from jsonb_array_elements(coalesce(a.artifact->'sizing'->'kernelLegs', '[]'::jsonb)) as kl
+      where (kl->>'contracts') is not null
+    ) as min_kernel_contracts_at_decision,
+    (
+      select avg((kl->>'price')::numeric)
+      from jsonb_array_elements(coalesce(a.artifact->'sizing'->'kernelLegs', '[]'::jsonb)) as kl
+      where (kl->>'price') is not null
+    ) as avg_leg_price_at_decision,
+    a.artifact->'sizing'->>'budgetUsd' as budget_usd_at_decision,
+    a.artifact->>'requestUsd' as request_usd,
+    a.artifact->>'availableUsd' as available_usd,
+    a.artifact->'sizing'->'decisionProvenance'->>'capturedAt' as decision_captured_at,
+    (
+      select coalesce(
+        jsonb_agg(
+          jsonb_build_object(
+            'venue', l.leg->>'venue',
+            'marketId', coalesce(
+              l.leg->>'marketId',
+              o.payload->'legs'->(l.idx::int - 1)->>'marketId'
+            ),
+            'symbolId', coalesce(
+              l.leg->>'symbolId',
+              o.payload->'legs'->(l.idx::int - 1)->>'symbolId'
+            ),
+            'side', l.leg->>'side',
+            'orderIntent', l.leg->>'orderIntent',
+            'feeClass', l.leg->>'venueFeeClass',
+            'price', a.artifact->'sizing'->'kernelLegs'->(l.idx::int - 1)->>'price',
+            'contracts', a.artifact->'sizing'->'kernelLegs'->(l.idx::int - 1)->>'contracts',
+            'expiresAt', l.leg->>'expiresAt',
+            'oppExpiresAt', o.payload->'legs'->(l.idx::int - 1)->>'expiresAt'
+          )
+          order by l.idx
+        ),
+        '[]'::jsonb
+      )
+      from jsonb_array_elements(coalesce(a.artifact->'sizing'->'legs', '[]'::jsonb))
+        with ordinality as l(leg, idx)
+    ) as sized_legs,
+    jsonb_array_length(coalesce(a.artifact->'sizing'->'legs', '[]'::jsonb)) as leg_count
+  from arb_execution_decision_artifacts a
+  join arb_opportunities o on o.id = a.opportunity_id
+  where a.status = 'sized'
+    and o.strategy_type = any($3::text[])
+    and (
+      a.created_at >= $1
+      or a.opportunity_id in (select opportunity_id from changed_executions)
+      or exists (
+        select 1
+        from resolved_markets m
+        where a.artifact->'sizing'->'legs' @> jsonb_build_array(
+          jsonb_build_object('marketId', m.market_id)
+        )
+      )
+    )
+),
+latest_execution as (
+  select distinct on (e.opportunity_id)
+    e.opportunity_id,
+    e.state as execution_state,
+    e.actual_edge,
+    e.expected_edge,
+    e.realized_pnl,
+    e.target_contracts as execution_target_contracts,
+    e.completed_at
+  from arb_executions e
+  where e.opportunity_id in (select opportunity_id from sized_artifacts)
+  order by e.opportunity_id, e.created_at desc
+),
+-- Every attempt in creation order. filled_contracts is read through to_jsonb so
+-- the query still runs against schemas that do not record partial fills.
+execution_history as (
+  select
+    e.opportunity_id,
+    jsonb_agg(
+      jsonb_build_object(
+        'executionId', e.id,
+        'state', e.state,
+        'actualEdge', e.actual_edge,
+        'expectedEdge', e.expected_edge,
+        'realizedPnl', e.realized_pnl,
+        'targetContracts', e.target_contracts,
+        'filledContracts', to_jsonb(e)->'filled_contracts',
+        'createdAt', e.created_at,
+        'completedAt', e.completed_at
+      )
+      order by e.created_at
+    ) as execution_history
+  from arb_executions e
+  where e.opportunity_id in (select opportunity_id from sized_artifacts)
+  group by e.opportunity_id
+),
+enriched_markets as (
+  select
+    s.*,
+    (
+      select coalesce(
+        jsonb_agg(
+          l.leg || jsonb_build_object(
+            'marketCategory', coalesce(k.category, p.category),
+            'marketTitle', coalesce(k.title, p.question),
+            'marketSubcategory', coalesce(k.series_ticker, p.event_slug),
+            'eventTitle', coalesce(k.event_ticker, p.event_title),
+            'marketTags', to_jsonb(p.tags),
+            'resolutionResult', coalesce(to_jsonb(k)->>'result', to_jsonb(p)->>'winning_outcome'),
+            'resolvedAt', coalesce(to_jsonb(k)->>'settlement_ts', to_jsonb(p)->>'resolved_at'),
+            'marketCloseAt', coalesce(to_jsonb(k)->>'close_time', to_jsonb(p)->>'end_date_iso')
+          )
+          order by l.idx
+        ),
+        '[]'::jsonb
+      )
+      from jsonb_array_elements(s.sized_legs) with ordinality as l(leg, idx)
+      left join kalshi_markets k
+        on l.leg->>'venue' = 'KALSHI' and k.ticker = l.leg->>'marketId'
+      left join polymarket_markets p
+        on l.leg->>'venue' = 'POLYMARKET' and p.condition_id = l.leg->>'marketId'
+    ) as legs
+  from sized_artifacts s
+)
+select
+  s.*,
+  e.execution_state,
+  e.actual_edge,
+  e.expected_edge as execution_expected_edge,
+  e.realized_pnl,
+  e.execution_target_contracts,
+  e.completed_at,
+  coalesce(h.execution_history, '[]'::jsonb) as execution_history
+from enriched_markets s
+left join latest_execution e on e.opportunity_id = s.opportunity_id
+left join execution_history h on h.opportunity_id = s.opportunity_id
+order by
+  s.strategy_type::text collate "C",
+  s.dedupe_key::text collate "C" nulls last,
+  date_trunc('milliseconds', s.decision_ts),
+  s.opportunity_id::text collate "C"
+`;
+
+const CURSOR_BATCH_SIZE = 1000;
+
+export function createPostgresSource({ databaseUrl }) {
+  const client = new Client({ connectionString: databaseUrl });
+  let connected = false;
+
+  return {
+    name: "postgres",
+    async referenceTime() {
+      return new Date();
+    },
+    // Server-side cursor: rows are fetched in batches so memory stays bounded
+    // however long the lookback is.
+    async *streamRows({ decisionSince, executionSince, strategyTypes }) {
+      if (!connected) {
+        await client.connect();
+        connected = true;
+      }
+      await client.query("begin");
+      let committed = false;
+      try {
+        await client.query(`declare extract_cursor no scroll cursor for ${query}`, [
+          decisionSince,
+          executionSince,
+          strategyTypes,
+        ]);
+        while (true) {
+          const batch = await client.query(
+            `fetch forward ${CURSOR_BATCH_SIZE} from extract_cursor`
+          );
+          yield* batch.rows;
+          if (batch.rows.length < CURSOR_BATCH_SIZE) break;
+        }
+        await client.query("close extract_cursor");
+        await client.query("commit");
+        committed = true;
+      } finally {
+        if (!committed) {
+          await client.query("rollback");
+        }
+      }
+    },
+    async close() {
+      if (connected) {
+        await client.end();
+      }
+    },
+  };
+}
+
+const FIXTURE_TABLES = [
+  "arb_execution_decision_artifacts",
+  "arb_opportunities",
+  "arb_executions",
+  "kalshi_markets",
+  "polymarket_markets",
+];
+const JSON_COLUMNS = new Set(["artifact", "payload", "tags"]);
+const TIMESTAMP_COLUMNS = new Set(["created_at", "completed_at"]);
+
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      record.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  const [header, ...body] = records.filter((r) => r.some((cell) => cell !== ""));
+  if (!header) return [];
+  return body.map((cells) =>
+    Object.fromEntries(header.map((col, i) => [col, cells[i] === "" ? null : (cells[i] ?? null)]))
+  );
+}
+
+function normalizeFixtureRow(row) {
+  const out = {};
+  for (const [col, value] of Object.entries(row)) {
+    if (value === null || value === undefined) {
+      out[col] = null;
+    } else if (JSON_COLUMNS.has(col) && typeof value === "string") {
+      out[col] = JSON.parse(value);
+    } else if (TIMESTAMP_COLUMNS.has(col)) {
+      out[col] = new Date(value);
+    } else {
+      out[col] = value;
+    }
+  }
+  return out;
+}
+
+async function loadFixtureTable(dir, table) {
+  for (const ext of ["json", "csv"]) {
+    const filePath = path.join(dir, `${table}.${ext}`);
+    let raw;
+    try {
+      raw = await fs.readFile(filePath, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") continue;
+      throw err;
+    }
+    const rows = ext === "json" ? JSON.parse(raw) : parseCsv(raw);
+    return rows.map(normalizeFixtureRow);
+  }
+  throw new Error(`Missing fixture table ${table} (.json or .csv) in ${dir}`);
+}
+
+// Mirrors `->>`: JSON text extraction yields strings, objects become JSON text.
+function jsonText(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+function tsMs(value) {
+  return value instanceof Date ? value.getTime() : new Date(value).getTime();
+}
+
+function kernelAggregate(kernelLegs, key, reduce) {
+  const values = (Array.isArray(kernelLegs) ? kernelLegs : [])
+    .map((kl) => kl?.[key])
+    .filter((v) => v !== null && v !== undefined)
+    .map(Number);
+  return values.length === 0 ? null : reduce(values);
+}
+
+function sizedArtifactRow(a, o) {
+  const sizing = a.artifact?.sizing ?? {};
+  const legs = Array.isArray(sizing.legs) ? sizing.legs : [];
+  const oppLegs = Array.isArray(o.payload?.legs) ? o.payload.legs : [];
+  const kernelLegs = Array.isArray(sizing.kernelLegs) ? sizing.kernelLegs : [];
+  return {
+    opportunity_id: a.opportunity_id,
+    portfolio_id: a.portfolio_id ?? null,
+    decision_ts: a.created_at,
+    dedupe_key: o.dedupe_key ?? null,
+    strategy_type: o.strategy_type,
+    opportunity_status: o.status ?? null,
+    opportunity_created_at: o.created_at ?? null,
+    expected_edge_at_decision: jsonText(sizing.expectedEdge),
+    target_contracts_at_decision: jsonText(sizing.targetContracts),
+    min_kernel_contracts_at_decision: kernelAggregate(sizing.kernelLegs, "contracts", (v) =>
+      Math.min(...v)
+    ),
+    avg_leg_price_at_decision: kernelAggregate(
+      sizing.kernelLegs,
+      "price",
+      (v) => v.reduce((x, y) => x + y, 0) / v.length
+    ),
+    budget_usd_at_decision: jsonText(sizing.budgetUsd),
+    request_usd: jsonText(a.artifact?.requestUsd),
+    available_usd: jsonText(a.artifact?.availableUsd),
+    decision_captured_at: jsonText(sizing.decisionProvenance?.capturedAt),
+    sized_legs: legs.map((leg, i) => ({
+      venue: jsonText(leg?.venue),
+      marketId: jsonText(leg?.marketId) ?? jsonText(oppLegs[i]?.marketId),
+      symbolId: jsonText(leg?.symbolId) ?? jsonText(oppLegs[i]?.symbolId),
+      side: jsonText(leg?.side),
+      orderIntent: jsonText(leg?.orderIntent),
+      feeClass: jsonText(leg?.venueFeeClass),
+      price: jsonText(kernelLegs[i]?.price),
+      contracts: jsonText(kernelLegs[i]?.contracts),
+      expiresAt: jsonText(leg?.expiresAt),
+      oppExpiresAt: jsonText(oppLegs[i]?.expiresAt),
+    })),
+    leg_count: legs.length,
+  };
+}
+
+function marketMetadata(venue, marketId, kalshiByTicker, polyByCondition) {
+  const k = venue === "KALSHI" ? kalshiByTicker.get(marketId) : undefined;
+  const p = venue === "POLYMARKET" ? polyByCondition.get(marketId) : undefined;
+  return {
+    marketCategory: k?.category ?? p?.category ?? null,
+    marketTitle: k?.title ?? p?.question ?? null,
+    marketSubcategory: k?.series_ticker ?? p?.event_slug ?? null,
+    eventTitle: k?.event_ticker ?? p?.event_title ?? null,
+    marketTags: p?.tags ?? null,
+    resolutionResult: jsonText(k?.result ?? p?.winning_outcome),
+    resolvedAt: jsonText(k?.settlement_ts ?? p?.resolved_at),
+    marketCloseAt: jsonText(k?.close_time ?? p?.end_date_iso),
+  };
+}
+
+function executionHistoryEntry(e) {
+  return {
+    executionId: e.id ?? null,
+    state: e.state ?? null,
+    actualEdge: e.actual_edge ?? null,
+    expectedEdge: e.expected_edge ?? null,
+    realizedPnl: e.realized_pnl ?? null,
+    targetContracts: e.target_contracts ?? null,
+    filledContracts: e.filled_contracts ?? null,
+    createdAt: e.created_at ?? null,
+    completedAt: e.completed_at ?? null,
+  };
+}
+
+// Reads the five source tables from `<dir>/<table>.json` (array of rows) or
+// `<dir>/<table>.csv` and reproduces the Postgres extraction joins in memory.
+// "now" is the latest artifact timestamp in the fixtures, so lookback windows
+// are deterministic regardless of when the pipeline runs.
+export function createFixtureSource({ dir }) {
+  let tablesPromise = null;
+  const loadTables = () => {
+    tablesPromise ??= Promise.all(FIXTURE_TABLES.map((t) => loadFixtureTable(dir, t))).then(
+      (loaded) => Object.fromEntries(FIXTURE_TABLES.map((t, i) => [t, loaded[i]]))
+    );
+    return tablesPromise;
+  };
+
+  return {
+    name: "fixture",
+    async referenceTime() {
+      const tables = await loadTables();
+      const latest = Math.max(
+        ...tables.arb_execution_decision_artifacts.map((a) => tsMs(a.created_at))
+      );
+      return Number.isFinite(latest) ? new Date(latest) : new Date(0);
+    },
+    async *streamRows({ decisionSince, executionSince, strategyTypes }) {
+      const tables = await loadTables();
+      const decisionSinceMs = decisionSince.getTime();
+      const executionSinceMs = executionSince.getTime();
+
+      const changedExecutions = new Set(
+        tables.arb_executions
+          .filter((e) => tsMs(e.completed_at ?? e.created_at) >= executionSinceMs)
+          .map((e) => e.opportunity_id)
+      );
+      const resolvedMarkets = new Set([
+        ...tables.kalshi_markets
+          .filter((k) => k.settlement_ts && tsMs(k.settlement_ts) >= executionSinceMs)
+          .map((k) => k.ticker),
+        ...tables.polymarket_markets
+          .filter((p) => p.resolved_at && tsMs(p.resolved_at) >= executionSinceMs)
+          .map((p) => p.condition_id),
+      ]);
+      const opportunities = new Map(tables.arb_opportunities.map((o) => [o.id, o]));
+
+      const sized = [];
+      for (const a of tables.arb_execution_decision_artifacts) {
+        const o = opportunities.get(a.opportunity_id);
+        if (!o || a.status !== "sized" || !strategyTypes.includes(o.strategy_type)) continue;
+        const legs = a.artifact?.sizing?.legs;
+        const marketResolved =
+          Array.isArray(legs) && legs.some((leg) => resolvedMarkets.has(leg?.marketId));
+        if (
+          tsMs(a.created_at) < decisionSinceMs &&
+          !changedExecutions.has(a.opportunity_id) &&
+          !marketResolved
+        ) {
+          continue;
+        }
+        sized.push(sizedArtifactRow(a, o));
+      }
+
+      const sizedIds = new Set(sized.map((s) => s.opportunity_id));
+      const executionsByOpportunity = new Map();
+      for (const e of tables.arb_executions) {
+        if (!sizedIds.has(e.opportunity_id)) continue;
+        const list = executionsByOpportunity.get(e.opportunity_id) ?? [];
+        list.push(e);
+        executionsByOpportunity.set(e.opportunity_id, list);
+      }
+      for (const list of executionsByOpportunity.values()) {
+        list.sort((x, y) => tsMs(x.created_at) - tsMs(y.created_at));
+      }
+
+      const kalshiByTicker = new Map(tables.kalshi_markets.map((k) => [k.ticker, k]));
+      const polyByCondition = new Map(tables.polymarket_markets.map((p) => [p.condition_id, p]));
+
+      const rows = sized
+        .map((s) => {
+          const history = executionsByOpportunity.get(s.opportunity_id) ?? [];
+          const e = history.at(-1);
+          return {
+            ...s,
+            legs: s.sized_legs.map((leg) => ({
+              ...leg,
+              ...marketMetadata(leg.venue, leg.marketId, kalshiByTicker, polyByCondition),
+            })),
+            execution_state: e?.state ?? null,
+            actual_edge: e?.actual_edge ?? null,
+            execution_expected_edge: e?.expected_edge ?? null,
+            realized_pnl: e?.realized_pnl ?? null,
+            execution_target_contracts: e?.target_contracts ?? null,
+            completed_at: e?.completed_at ?? null,
+            execution_history: history.map(executionHistoryEntry),
+          };
+        })
+        .map((row) => ({
+          row,
+          key: datasetSortKey({
+            strategyType: row.strategy_type,
+            dedupeKey: row.dedupe_key,
+            decisionTs: row.decision_ts,
+            opportunityId: row.opportunity_id,
+          }),
+        }))
+        .sort((x, y) => compareSortKeys(x.key, y.key));
+      for (const { row } of rows) {
+        yield row;
+      }
+    },
+    async close() {},
+  };
+}
@@ -0,0 +1,484 @@
+import { censoringStatus } from "./censoring.mjs";
+import { seriesKey } from "./dataset-order.mjs";
+import { rowLegs } from "./legs.mjs";
+import { safeNum } from "./math.mjs";
+
+// Feature pipeline shared by every training, backtest and export script.
+//
+// A model's features are fitted on its training rows into a serializable
+// pipeline: the feature schema (numeric keys plus the buckets of each
+// categorical feature, as seen in training) and the scaler (mean and std per
+// numeric key). Artifacts store it with the contract version it was built
+// under, and `loadFeaturePipeline` rebuilds vectors from the artifact alone:
+//
+//   [1, standardized numeric keys..., one bucket column per categorical...]
+//
+// FEATURE_CONTRACT_VERSION is "major.minor". Adding a feature bumps the minor
+// version: older artifacts never list it, so they stay loadable. Changing how
+// an existing feature is derived or encoded bumps the major version, and
+// artifacts from another major version are rejected.
+
+export const FEATURE_CONTRACT_VERSION = "2.0";
+
+// Trailing windows of the edge momentum, edge volatility and capacity refill
+// features.
+export const HISTORY_WINDOWS_MINUTES = [15, 60];
+
+// Numeric features a schema may list, by the field they are read from on a
+// prepared row (raw dataset fields, or the `_` fields `deriveFeatures` and
+// `createSeriesHistory` add). Missing values standardize to 0 (the mean).
+export const NUMERIC_FEATURES = {
+  expectedEdgeAtDecision: "expected edge of the sized opportunity",
+  targetContractsAtDecision: "contracts the sizing kernel targeted",
+  minKernelContractsAtDecision: "smallest contract count across the kernel's legs",
+  avgLegPriceAtDecision: "average sized leg price",
+  budgetUsdAtDecision: "budget available to the opportunity",
+  requestUsd: "USD requested for the position",
+  availableUsd: "USD available when sizing",
+  legCount: "number of legs",
+  _ttrHours: "hours from the decision to resolution; null when the resolution time is hindsight",
+  _policyWindowHours: "length of the phase's policy window; null like `_ttrHours`",
+  _minutesSinceFirstSeen: "minutes since the series' first sighting",
+  _minutesSincePrevSighting: "minutes since the series' previous sighting; null on the first",
+  _priorSightings: "earlier sightings of the series",
+  _edgeLag1: "expected edge at the previous sighting",
+  _capacityLag1: "capacity (contracts) at the previous sighting",
+  _edgeChangeSincePrev: "expected edge now minus at the previous sighting",
+  _capacityChangeSincePrev: "capacity now minus at the previous sighting",
+  _edgeMomentum15m: "edge change per minute since the oldest sighting in the last 15 minutes",
+  _edgeMomentum60m: "edge change per minute since the oldest sighting in the last 60 minutes",
+  _edgeVolatility15m: "std of the edge over the sightings in the last 15 minutes, now included",
+  _edgeVolatility60m: "std of the edge over the sightings in the last 60 minutes, now included",
+  _runningMaxEdge: "highest edge of the series so far, now included",
+  _edgeBelowRunningMax: "running max edge minus the edge now",
+  _legContractsMax: "largest contract count across the kernel's legs",
+  _legContractsMean: "mean contract count across the kernel's legs",
+  _legContractsImbalance: "(largest - smallest) / largest leg contract count; 0 when balanced",
+  _capacityPerBudgetUsd: "capacity (contracts) per USD of `budgetUsdAtDecision`",
+  _capacityRefill15m: "capacity change per minute since the oldest sighting in the last 15 minutes",
+  _capacityRefill60m: "capacity change per minute since the oldest sighting in the last 60 minutes",
+  _edgeDecayPerContract:
+    "edge lost per extra contract: slope of order book slippage between half and full target size; null without a complete book",
+};
+
+// Numeric features `createSeriesHistory` derives, all from the series' earlier
+// sightings and the current one.
+export const HISTORY_FEATURES = [
+  "_minutesSinceFirstSeen",
+  "_minutesSincePrevSighting",
+  "_priorSightings",
+  "_edgeLag1",
+  "_capacityLag1",
+  "_edgeChangeSincePrev",
+  "_capacityChangeSincePrev",
+  ...HISTORY_WINDOWS_MINUTES.flatMap((m) => [`_edgeMomentum${m}m`, `_edgeVolatility${m}m`]),
+  "_runningMaxEdge",
+  "_edgeBelowRunningMax",
+];
+
+// Numeric liquidity and capacity features: kernel leg sizes from
+// `deriveFeatures`, refill velocity from `createSeriesHistory`.
+export const CAPACITY_FEATURES = [
+  "_legContractsMax",
+  "_legContractsMean",
+  "_legContractsImbalance",
+  "_capacityPerBudgetUsd",
+  ...HISTORY_WINDOWS_MINUTES.map((m) => `_capacityRefill${m}m`),
+  "_edgeDecayPerContract",
+];
+
+// Categorical features, by the schema key holding their buckets. `one_hot`
+// sets the column of the row's value; `count` counts the row's values per
+// bucket (one value per leg). Values outside the training buckets encode as
+// all zeros.
+export const CATEGORICAL_FEATURES = {
+  phaseBuckets: { field: "_phaseNow", encoding: "one_hot", doc: "resolution phase" },
+  domainBuckets: { field: "_taxonomyDomain", encoding: "one_hot", doc: "taxonomy domain" },
+  strategyBuckets: { field: "_strategyType", encoding: "one_hot", doc: "strategy type" },
+  legVenueBuckets: { field: "_legVenues", encoding: "count", doc: "legs per venue" },
+  legIntentBuckets: { field: "_legIntents", encoding: "count", doc: "legs per order intent" },
+};
+
+// Numeric keys per model family; every family uses all categorical features.
+export const FEATURE_SETS = {
+  decision: [
+    "expectedEdgeAtDecision",
+    "targetContractsAtDecision",
+    "minKernelContractsAtDecision",
+    "avgLegPriceAtDecision",
+    "budgetUsdAtDecision",
+    "requestUsd",
+    "availableUsd",
+    "legCount",
+    "_ttrHours",
+    "_policyWindowHours",
+    ...HISTORY_FEATURES,
+    ...CAPACITY_FEATURES,
+  ],
+  survival: [
+    "expectedEdgeAtDecision",
+    "targetContractsAtDecision",
+    "minKernelContractsAtDecision",
+    "avgLegPriceAtDecision",
+    "legCount",
+    "_ttrHours",
+    "_policyWindowHours",
+    ...HISTORY_FEATURES,
+    ...CAPACITY_FEATURES,
+  ],
+};
+
+// Families a training run can restrict its feature set to with
+// `--feature-families`; `core` is every key of the set outside the others.
+export const FEATURE_FAMILIES = {
+  core: null,
+  history: HISTORY_FEATURES,
+  capacity: CAPACITY_FEATURES,
+};
+
+export const FEATURE_ARG_OPTIONS = {
+  "feature-families": { type: "string", default: Object.keys(FEATURE_FAMILIES).join(",") },
+};
+
+// `{ families, numericKeys }`: the keys of FEATURE_SETS[setName] in the
+// families named by `--feature-families`, in set order.
+export function resolveFeatureArgs(args, setName) {
+  const value = args["feature-families"];
+  const families = value
+    .split(",")
+    .map((f) => f.trim())
+    .filter(Boolean);
+  if (families.length === 0 || families.some((f) => !(f in FEATURE_FAMILIES))) {
+    throw new Error(
+      `Invalid --feature-families value: ${value} ` +
+        `(expected a comma-separated list of ${Object.keys(FEATURE_FAMILIES).join(", ")})`
+    );
+  }
+  const familyOf = (key) =>
+    Object.keys(FEATURE_FAMILIES).find((f) => FEATURE_FAMILIES[f]?.includes(key)) ?? "core";
+  return {
+    families,
+    numericKeys: FEATURE_SETS[setName].filter((key) => families.includes(familyOf(key))),
+  };
+}
+
+// Time to resolution and everything counted back from it are only known at
+// the decision when the resolution time was (see resolution-time.mjs).
+export function resolutionKnownAtDecision(row) {
+  return row.labels?.resolutionTime?.knownAtDecision !== false;
+}
+
+// Decision-time `_` fields of one labeled row. Phase, time to resolution and
+// policy window are masked when the resolution time is hindsight; the policy
+// window falls back to the survival labels' copy for rows without
+// resolution-anchored labels. Leg sizes come from `legs[].contracts` (the
+// sizing kernel's legs), and edge decay from the order book features the
+// labeler attaches.
+export function deriveFeatures(row) {
+  const res = row.labels?.resolutionAnchored ?? null;
+  const tax = row.labels?.taxonomy ?? null;
+  const legs = rowLegs(row);
+  const resolutionKnown = resolutionKnownAtDecision(row);
+  const phaseNow = resolutionKnown ? (res?.phaseNow ?? "unknown") : "unknown";
+  const policyWindowHours =
+    res?.policyWindowHours ?? row.labels?.survival?.policyWindowHours ?? null;
+  const legContracts = legs.map((leg) => safeNum(leg.contracts)).filter((c) => c !== null);
+  const maxLegContracts = legContracts.length === 0 ? null : Math.max(...legContracts);
+  const capacity = capacityContracts(row);
+  const budgetUsd = safeNum(row.budgetUsdAtDecision);
+  const targetContracts = safeNum(row.targetContractsAtDecision);
+  const slippage = row.orderBook?.complete
+    ? safeNum(row.orderBook.totalSlippageAtTargetSize)
+    : null;
+  const halfSlippage = row.orderBook?.complete
+    ? safeNum(row.orderBook.totalSlippageAtHalfTargetSize)
+    : null;
+  return {
+    _phaseNow: phaseNow,
+    _ttrHours: resolutionKnown ? safeNum(res?.timeToResolutionHoursNow) : null,
+    _policyWindowHours: resolutionKnown ? safeNum(policyWindowHours) : null,
+    _taxonomyDomain: tax?.domain ?? "other",
+    _taxonomySubdomain: tax?.subdomain ?? "other",
+    _taxonomyTopic: tax?.topic ?? "unknown",
+    _strategyType: row.strategyType ?? "unknown",
+    _legVenues: legs.map((leg) => leg.venue ?? "unknown"),
+    _legIntents: legs.map((leg) => leg.orderIntent ?? "unknown"),
+    _segmentKey: `${tax?.domain ?? "other"}::${phaseNow}`,
+    _legContractsMax: maxLegContracts,
+    _legContractsMean:
+      legContracts.length === 0
+        ? null
+        : legContracts.reduce((a, b) => a + b, 0) / legContracts.length,
+    _legContractsImbalance:
+      maxLegContracts === null || maxLegContracts <= 0
+        ? null
+        : (maxLegContracts - Math.min(...legContracts)) / maxLegContracts,
+    _capacityPerBudgetUsd:
+      capacity === null || budgetUsd === null || budgetUsd <= 0 ? null : capacity / budgetUsd,
+    // Slope of the decision-time book's slippage between half and full target
+    // size: the edge each extra contract costs.
+    _edgeDecayPerContract:
+      slippage === null || halfSlippage === null || targetContracts === null || targetContracts <= 0
+        ? null
+        : (slippage - halfSlippage) / (targetContracts / 2),
+  };
+}
+
+// Contracts the opportunity can be entered at: the smaller of the kernel's
+// target and its smallest leg, as the capacity labels count it.
+export function capacityContracts(row) {
+  const candidates = [
+    safeNum(row.targetContractsAtDecision),
+    safeNum(row.minKernelContractsAtDecision),
+  ].filter((x) => x !== null && x > 0);
+  return candidates.length === 0 ? null : Math.min(...candidates);
+}
+
+// Series history features (HISTORY_FEATURES and the capacity refill
+// velocities) from the current sighting and
+// the series' earlier ones only. Feed every row of the dataset in its stored
+// order, where each `(strategy, dedupeKey)` series is contiguous and in
+// decision-time order, before dropping any: a row filtered out of training
+// was still a sighting. Throws when a series is split or goes back in time,
+// since history would then include later sightings or miss earlier ones.
+export function createSeriesHistory() {
+  const seenKeys = new Set();
+  let currentKey = null;
+  let ts = [];
+  let edges = [];
+  let capacities = [];
+  let runningMaxEdge = null;
+  // Per window: first index inside it, and count/sum/sum of squares of the
+  // non-null edges from there on, shifted by the series' first edge so the
+  // running sums do not lose the variance to cancellation.
+  let shift = null;
+  let windows = [];
+
+  function reset(key) {
+    if (seenKeys.has(key)) {
+      throw new Error(`Series ${key} is not contiguous; history features need the dataset order`);
+    }
+    seenKeys.add(key);
+    currentKey = key;
+    ts = [];
+    edges = [];
+    capacities = [];
+    runningMaxEdge = null;
+    shift = null;
+    windows = HISTORY_WINDOWS_MINUTES.map((minutes) => ({
+      minutes,
+      ms: minutes * 60 * 1000,
+      start: 0,
+      count: 0,
+      sum: 0,
+      sumSq: 0,
+    }));
+  }
+
+  // Change per minute from the oldest earlier sighting at or after `from` with
+  // a value (NaN is none) to `value` now; null without one.
+  function changePerMinute(values, from, value, tsMs) {
+    if (value === null) return null;
+    let oldest = from;
+    while (oldest < values.length - 1 && Number.isNaN(values[oldest])) oldest++;
+    const minutes = (tsMs - ts[oldest]) / (60 * 1000);
+    return oldest === values.length - 1 || minutes <= 0 ? null : (value - values[oldest]) / minutes;
+  }
+
+  function windowFeatures(w, tsMs, edge, capacity) {
+    while (ts[w.start] < tsMs - w.ms) {
+      const old = edges[w.start] - shift;
+      if (!Number.isNaN(old)) {
+        w.count--;
+        w.sum -= old;
+        w.sumSq -= old * old;
+      }
+      w.start++;
+    }
+    const mean = w.count === 0 ? 0 : w.sum / w.count;
+    const volatility = w.count < 2 ? null : Math.sqrt(Math.max(0, w.sumSq / w.count - mean * mean));
+    return {
+      [`_edgeMomentum${w.minutes}m`]: changePerMinute(edges, w.start, edge, tsMs),
+      [`_edgeVolatility${w.minutes}m`]: volatility,
+      [`_capacityRefill${w.minutes}m`]: changePerMinute(capacities, w.start, capacity, tsMs),
+    };
+  }
+
+  return {
+    next(row, tsMs) {
+      const key = seriesKey(row);
+      if (key !== currentKey) reset(key);
+      const prevIndex = ts.length - 1;
+      if (prevIndex >= 0 && tsMs < ts[prevIndex]) {
+        throw new Error(`Series ${key} goes back in time at ${row.decisionTs}`);
+      }
+      const edge = safeNum(row.expectedEdgeAtDecision);
+      const prevEdge = prevIndex < 0 || Number.isNaN(edges[prevIndex]) ? null : edges[prevIndex];
+      const capacity = capacityContracts(row);
+      const prevCapacity =
+        prevIndex < 0 || Number.isNaN(capacities[prevIndex]) ? null : capacities[prevIndex];
+      ts.push(tsMs);
+      edges.push(edge === null ? NaN : edge);
+      capacities.push(capacity === null ? NaN : capacity);
+      if (edge !== null) {
+        runningMaxEdge = runningMaxEdge === null ? edge : Math.max(runningMaxEdge, edge);
+        shift ??= edge;
+        for (const w of windows) {
+          w.count++;
+          w.sum += edge - shift;
+          w.sumSq += (edge - shift) ** 2;
+        }
+      }
+      const features = {
+        _minutesSinceFirstSeen: (tsMs - ts[0]) / (60 * 1000),
+        _minutesSincePrevSighting: prevIndex < 0 ? null : (tsMs - ts[prevIndex]) / (60 * 1000),
+        _priorSightings: prevIndex + 1,
+        _edgeLag1: prevEdge,
+        _capacityLag1: prevCapacity,
+        _edgeChangeSincePrev: edge === null || prevEdge === null ? null : edge - prevEdge,
+        _capacityChangeSincePrev:
+          capacity === null || prevCapacity === null ? null : capacity - prevCapacity,
+        _runningMaxEdge: runningMaxEdge,
+        _edgeBelowRunningMax:
+          edge === null || runningMaxEdge === null ? null : runningMaxEdge - edge,
+      };
+      for (const w of windows) Object.assign(features, windowFeatures(w, tsMs, edge, capacity));
+      return features;
+    },
+  };
+}
+
+// Prepares labeled dataset rows one at a time, in stored order: every row
+// with a decision time feeds the series history, and the returned function
+// gives the row with its derived and history features and `_decisionTsMs`,
+// or null when it lacks the `labels[labels]` block or taxonomy. With
+// `targets`, prepared rows also get `_regTarget`, `_clsTarget` and
+// `_censoringStatus` from the resolution-anchored labels.
+export function createRowPreparer({ labels = "resolutionAnchored", targets = false } = {}) {
+  const history = createSeriesHistory();
+  return (row) => {
+    const ts = new Date(row.decisionTs).getTime();
+    if (!Number.isFinite(ts)) return null;
+    const historyFeatures = history.next(row, ts);
+    if (!row.labels?.[labels] || !row.labels?.taxonomy) return null;
+    const prepared = { ...row, ...deriveFeatures(row), ...historyFeatures, _decisionTsMs: ts };
+    if (targets) {
+      const res = row.labels.resolutionAnchored ?? {};
+      const beats = res.buyNowBeatsWaitWindow;
+      prepared._regTarget = safeNum(res.deltaNetPnlPolicyWindowAtNowSize);
+      prepared._clsTarget = beats === null || beats === undefined ? null : beats ? 1 : 0;
+      prepared._censoringStatus = censoringStatus(row.labels);
+    }
+    return prepared;
+  };
+}
+
+// The rows the buy-now/wait models train and score on (see
+// `createRowPreparer`), sorted by decision time.
+export function prepareRows(rows, options) {
+  const prepare = createRowPreparer(options);
+  const out = [];
+  for (const row of rows) {
+    const prepared = prepare(row);
+    if (prepared) out.push(prepared);
+  }
+  out.sort((a, b) => a._decisionTsMs - b._decisionTsMs);
+  return out;
+}
+
+function buckets(trainRows, field, encoding) {
+  const values =
+    encoding === "count" ? trainRows.flatMap((r) => r[field]) : trainRows.map((r) => r[field]);
+  return [...new Set(values)].sort();
+}
+
+// Population mean and std per numeric key over the non-null training values;
+// a constant or empty key gets std 1.
+function fitScaler(trainRows, numericKeys) {
+  const stats = {};
+  for (const key of numericKeys) {
+    const values = trainRows.map((r) => safeNum(r[key])).filter((x) => x !== null);
+    const mu = values.length === 0 ? 0 : values.reduce((a, b) => a + b, 0) / values.length;
+    const variance =
+      values.length === 0 ? 0 : values.reduce((a, v) => a + (v - mu) ** 2, 0) / values.length;
+    const sd = Math.sqrt(variance);
+    stats[key] = { mean: mu, std: sd > 1e-8 ? sd : 1 };
+  }
+  return stats;
+}
+
+// Fits the pipeline on prepared training rows. The result is what artifacts
+// store: `{ featureContractVersion, schema, scaler }`.
+export function fitFeaturePipeline(trainRows, numericKeys) {
+  const unknown = numericKeys.filter((key) => !NUMERIC_FEATURES[key]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown numeric features: ${unknown.join(", ")}`);
+  }
+  const schema = { numericKeys: [...numericKeys] };
+  for (const [key, { field, encoding }] of Object.entries(CATEGORICAL_FEATURES)) {
+    schema[key] = buckets(trainRows, field, encoding);
+  }
+  return {
+    featureContractVersion: FEATURE_CONTRACT_VERSION,
+    schema,
+    scaler: fitScaler(trainRows, numericKeys),
+  };
+}
+
+function parseVersion(version) {
+  const match = /^(\d+)\.(\d+)$/.exec(String(version));
+  return match ? { major: Number(match[1]), minor: Number(match[2]) } : null;
+}
+
+// Rebuilds the pipeline stored in `artifacts` (a training artifact, or the
+// result of `fitFeaturePipeline`). Throws when the artifact was built under an
+// incompatible contract or lists features this contract does not define.
+export function loadFeaturePipeline(artifacts, what = "model artifacts") {
+  const { featureContractVersion, schema, scaler } = artifacts;
+  const version = parseVersion(featureContractVersion);
+  const current = parseVersion(FEATURE_CONTRACT_VERSION);
+  if (version === null || version.major !== current.major || version.minor > current.minor) {
+    throw new Error(
+      `${what}: feature contract ${featureContractVersion ?? "(none)"} is incompatible ` +
+        `with ${FEATURE_CONTRACT_VERSION}; re-train the model`
+    );
+  }
+  const problems = [];
+  if (!Array.isArray(schema?.numericKeys)) problems.push("schema has no numericKeys");
+  for (const key of schema?.numericKeys ?? []) {
+    if (!NUMERIC_FEATURES[key]) problems.push(`unknown numeric feature ${key}`);
+    if (!scaler?.[key]) problems.push(`no scaler for ${key}`);
+  }
+  for (const key of Object.keys(schema ?? {})) {
+    if (key !== "numericKeys" && !CATEGORICAL_FEATURES[key]) {
+      problems.push(`unknown categorical feature ${key}`);
+    }
+  }
+  if (problems.length > 0) {
+    throw new Error(`${what}: invalid feature schema: ${problems.join("; ")}`);
+  }
+  const categorical = Object.entries(CATEGORICAL_FEATURES)
+    .filter(([key]) => schema[key])
+    .map(([key, feature]) => ({ ...feature, buckets: schema[key] }));
+
+  function vector(row) {
+    const x = [1];
+    for (const key of schema.numericKeys) {
+      const v = safeNum(row[key]);
+      const s = scaler[key];
+      x.push(v === null ? 0 : (v - s.mean) / s.std);
+    }
+    for (const { field, encoding, buckets: values } of categorical) {
+      const out = new Array(values.length).fill(0);
+      const rowValues = encoding === "count" ? (row[field] ?? []) : [row[field]];
+      for (const value of rowValues) {
+        const idx = values.indexOf(value);
+        if (idx >= 0) out[idx] += 1;
+      }
+      x.push(...out);
+    }
+    return x;
+  }
+
+  return { featureContractVersion, schema, scaler, vector };
+}
@@ -0,0 +1,78 @@
+import { once } from "node:events";
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import readline from "node:readline";
+
+// Yields `{ line, row }` for each non-empty line of a JSONL file, reading it
+// as a stream. `row` is undefined when the line is not valid JSON and
+// `parseErrors: "skip"` is set; otherwise a bad line throws.
+export async function* readJsonlLines(filePath, { parseErrors = "throw" } = {}) {
+  const input = fs.createReadStream(filePath, { encoding: "utf8" });
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let lineNumber = 0;
+  try {
+    for await (const raw of lines) {
+      lineNumber++;
+      const text = raw.trim();
+      if (!text) continue;
+      let row;
+      try {
+        row = JSON.parse(text);
+      } catch (err) {
+        if (parseErrors !== "skip") {
+          throw new Error(`${filePath}:${lineNumber}: ${err.message}`);
+        }
+      }
+      yield { lineNumber, line: text, row };
+    }
+  } finally {
+    lines.close();
+    input.destroy();
+  }
+}
+
+export async function* readJsonl(filePath) {
+  for await (const { row } of readJsonlLines(filePath)) {
+    yield row;
+  }
+}
+
+export async function fileExists(filePath) {
+  try {
+    await fsp.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Writes rows to `<path>.tmp` and renames over `path` on `close()`, so readers
+// never see a half-written file and the output can replace the input it is
+// being computed from. `abort()` drops the temp file.
+export function createJsonlWriter(filePath) {
+  const tmpPath = `${filePath}.tmp`;
+  const out = fs.createWriteStream(tmpPath, { encoding: "utf8" });
+  let count = 0;
+
+  return {
+    get count() {
+      return count;
+    },
+    async write(row) {
+      count++;
+      if (!out.write(`${JSON.stringify(row)}\n`)) {
+        await once(out, "drain");
+      }
+    },
+    async close() {
+      out.end();
+      await once(out, "finish");
+      await fsp.rename(tmpPath, filePath);
+    },
+    async abort() {
+      out.end();
+      await once(out, "finish");
+      await fsp.rm(tmpPath, { force: true });
+    },
+  };
+}
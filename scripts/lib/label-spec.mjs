@@ -0,0 +1,157 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { validateCostModel } from "./cost-model.mjs";
+import { validateResolutionTime } from "./resolution-time.mjs";
+
+export const DEFAULT_LABEL_SPEC_PATH = path.join("config", "label-spec.json");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function isPositive(v) {
+  return typeof v === "number" && Number.isFinite(v) && v > 0;
+}
+
+function isNonNegative(v) {
+  return typeof v === "number" && Number.isFinite(v) && v >= 0;
+}
+
+function checkUniqueKeys(items, field, errors) {
+  const seen = new Set();
+  items.forEach((item, i) => {
+    if (typeof item?.key !== "string" || item.key === "") {
+      errors.push(`${field}[${i}].key must be a non-empty string`);
+    } else if (seen.has(item.key)) {
+      errors.push(`${field}[${i}].key "${item.key}" is duplicated`);
+    } else {
+      seen.add(item.key);
+    }
+  });
+}
+
+// Returns every problem with a parsed spec; an empty list means it is usable.
+export function validateLabelSpec(spec) {
+  const errors = [];
+  if (spec === null || typeof spec !== "object" || Array.isArray(spec)) {
+    return ["spec must be a JSON object"];
+  }
+  if (typeof spec.version !== "string" || spec.version === "") {
+    errors.push("version must be a non-empty string");
+  }
+
+  if (!Array.isArray(spec.horizons) || spec.horizons.length === 0) {
+    errors.push("horizons must be a non-empty array");
+  } else {
+    checkUniqueKeys(spec.horizons, "horizons", errors);
+    spec.horizons.forEach((h, i) => {
+      if (!isPositive(h?.minutes)) errors.push(`horizons[${i}].minutes must be > 0`);
+    });
+  }
+
+  for (const field of ["maxModelWindowHours", "lateWindowHours", "nearResolutionHours"]) {
+    if (!isPositive(spec[field])) errors.push(`${field} must be > 0`);
+  }
+
+  if (!Array.isArray(spec.resolutionPhases) || spec.resolutionPhases.length === 0) {
+    errors.push("resolutionPhases must be a non-empty array");
+  } else {
+    checkUniqueKeys(spec.resolutionPhases, "resolutionPhases", errors);
+    spec.resolutionPhases.forEach((p, i) => {
+      if (!isNonNegative(p?.minHours) || !isPositive(p?.maxHours) || p.minHours >= p.maxHours) {
+        errors.push(`resolutionPhases[${i}] needs 0 <= minHours < maxHours`);
+      }
+      if (!isPositive(p?.policyWindowHours)) {
+        errors.push(`resolutionPhases[${i}].policyWindowHours must be > 0`);
+      }
+    });
+    const ranges = spec.resolutionPhases
+      .filter((p) => isNonNegative(p?.minHours) && isPositive(p?.maxHours))
+      .sort((a, b) => a.minHours - b.minHours);
+    for (let i = 1; i < ranges.length; i++) {
+      if (ranges[i].minHours < ranges[i - 1].maxHours) {
+        errors.push(`resolutionPhases "${ranges[i - 1].key}" and "${ranges[i].key}" overlap`);
+      }
+    }
+  }
+
+  const fallback = spec.fallbackPolicyWindow;
+  if (fallback === null || typeof fallback !== "object") {
+    errors.push("fallbackPolicyWindow must be an object");
+  } else {
+    for (const field of [
+      "unknownResolutionHours",
+      "fractionOfTimeToResolution",
+      "minHours",
+      "maxHours",
+    ]) {
+      if (!isPositive(fallback[field])) errors.push(`fallbackPolicyWindow.${field} must be > 0`);
+    }
+    if (isPositive(fallback.minHours) && fallback.minHours > fallback.maxHours) {
+      errors.push("fallbackPolicyWindow.minHours must be <= maxHours");
+    }
+  }
+  errors.push(...validateCostModel(spec.costModel));
+
+  const capital = spec.capitalCost;
+  if (capital === null || typeof capital !== "object") {
+    errors.push("capitalCost must be an object");
+  } else {
+    if (!isNonNegative(capital.hurdleRateAnnual)) {
+      errors.push("capitalCost.hurdleRateAnnual must be >= 0");
+    }
+    const idle = capital.idleCapitalChargeFraction;
+    if (!isNonNegative(idle) || idle > 1) {
+      errors.push("capitalCost.idleCapitalChargeFraction must be between 0 and 1");
+    }
+    if (!isPositive(capital.minLockupHours)) errors.push("capitalCost.minLockupHours must be > 0");
+  }
+
+  if (!isPositive(spec.survival?.gapToleranceMinutes)) {
+    errors.push("survival.gapToleranceMinutes must be > 0");
+  }
+  errors.push(...validateResolutionTime(spec.resolutionTime));
+  return errors;
+}
+
+// Loads and validates a label spec. Throws with every validation error so a
+// bad experiment spec fails before any labeling work starts.
+export async function loadLabelSpec(specPath = DEFAULT_LABEL_SPEC_PATH) {
+  const resolved = path.resolve(specPath);
+  const raw = await fs.readFile(resolved, "utf8");
+  let spec;
+  try {
+    spec = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Label spec ${resolved} is not valid JSON: ${err.message}`);
+  }
+  const errors = validateLabelSpec(spec);
+  if (errors.length > 0) {
+    throw new Error(`Invalid label spec ${resolved}:\n  - ${errors.join("\n  - ")}`);
+  }
+  return {
+    path: resolved,
+    spec,
+    version: spec.version,
+    horizons: spec.horizons.map((h) => ({ key: h.key, ms: h.minutes * 60 * 1000 })),
+    maxModelWindowMs: spec.maxModelWindowHours * HOUR_MS,
+    lateWindowHours: spec.lateWindowHours,
+    nearResolutionHours: spec.nearResolutionHours,
+    resolutionPhases: spec.resolutionPhases.map(({ key, minHours, maxHours }) => ({
+      key,
+      minHours,
+      maxHours,
+    })),
+    policyWindowHoursByPhase: Object.fromEntries(
+      spec.resolutionPhases.map((p) => [p.key, p.policyWindowHours])
+    ),
+    fallbackPolicyWindow: spec.fallbackPolicyWindow,
+    costModel: spec.costModel,
+    capitalCost: spec.capitalCost,
+    survivalGapToleranceMs: spec.survival.gapToleranceMinutes * 60 * 1000,
+    resolutionTime: spec.resolutionTime,
+  };
+}
+
+// What reports record about the spec they were produced with.
+export function labelSpecInfo(labelSpec) {
+  return { path: labelSpec.path, version: labelSpec.version, spec: labelSpec.spec };
+}
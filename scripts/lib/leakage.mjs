@@ -0,0 +1,289 @@
+// Leakage audit: when every field a model could read becomes known, relative
+// to the row's `decisionTs`.
+//
+//   - `decision`: known at or before the decision (sizing artifact, market
+//     metadata, order book snapshot at decision, earlier sightings)
+//   - `post_decision`: only known afterwards (execution outcome, settlement,
+//     the opportunity's current status)
+//   - `label`: computed from later sightings; targets, never features
+//
+// Training rows spread the whole dataset row next to their features, so the
+// tags are what keeps post-decision fields out of a feature schema:
+// `auditLeakage` fails on any schema feature that is not `decision`-time, and
+// on rows where a conditionally safe feature carries a value it could only
+// have had in hindsight.
+
+import {
+  CATEGORICAL_FEATURES,
+  HISTORY_WINDOWS_MINUTES,
+  resolutionKnownAtDecision,
+} from "./features.mjs";
+import { safeNum } from "./math.mjs";
+
+export const KNOWN_AT = ["decision", "post_decision", "label"];
+
+// Single-feature separation (max of AUC and 1 - AUC) against
+// `buyNowBeatsWaitWindow` at or above this is reported as suspicious: no
+// decision-time field should predict the target that well on its own.
+export const SUSPICIOUS_AUC = 0.9;
+
+export const ROW_FIELD_KNOWN_AT = {
+  opportunityId: "decision",
+  dedupeKey: "decision",
+  portfolioId: "decision",
+  strategyType: "decision",
+  opportunityStatus: "post_decision",
+  decisionTs: "decision",
+  decisionCapturedAt: "decision",
+  opportunityCreatedAt: "decision",
+  expectedEdgeAtDecision: "decision",
+  targetContractsAtDecision: "decision",
+  minKernelContractsAtDecision: "decision",
+  avgLegPriceAtDecision: "decision",
+  budgetUsdAtDecision: "decision",
+  requestUsd: "decision",
+  availableUsd: "decision",
+  legCount: "decision",
+  legs: "decision",
+  executionState: "post_decision",
+  actualEdgeAtExecution: "post_decision",
+  expectedEdgeAtExecution: "post_decision",
+  realizedPnl: "post_decision",
+  executionTargetContracts: "post_decision",
+  executionCompletedAt: "post_decision",
+  executionHistory: "post_decision",
+  executionAttemptCount: "post_decision",
+  failedExecutionAttempts: "post_decision",
+  attemptsBeforeSuccess: "post_decision",
+  filledContracts: "post_decision",
+  executionFillRatio: "post_decision",
+  totalRealizedPnl: "post_decision",
+  orderBook: "decision",
+  labels: "label",
+};
+
+// `legs` is decision-time as a whole, except the settlement fields and the
+// market's close time, which is read from the markets table as it is now and
+// may have been rescheduled since the decision.
+export const LEG_FIELD_KNOWN_AT = {
+  venue: "decision",
+  marketId: "decision",
+  symbolId: "decision",
+  side: "decision",
+  orderIntent: "decision",
+  feeClass: "decision",
+  price: "decision",
+  contracts: "decision",
+  expiresAt: "decision",
+  oppExpiresAt: "decision",
+  marketCategory: "decision",
+  marketSubcategory: "decision",
+  marketTitle: "decision",
+  eventTitle: "decision",
+  marketTags: "decision",
+  resolutionResult: "post_decision",
+  resolutionOutcome: "post_decision",
+  resolvedAt: "post_decision",
+  marketCloseAt: "post_decision",
+};
+
+// `_` fields the feature pipeline (features.mjs) and the training scripts
+// derive onto each row. `requires` names a per-row condition the value depends
+// on: time to resolution, phase and policy window count back from the
+// resolution time, which is hindsight when it came from the settlement or the
+// market's current close time (see resolution-time.mjs).
+export const DERIVED_FIELD_KNOWN_AT = {
+  _decisionTsMs: { knownAt: "decision", from: "decisionTs" },
+  _ttrHours: {
+    knownAt: "decision",
+    from: "labels.resolutionAnchored.timeToResolutionHoursNow",
+    requires: "resolutionKnownAtDecision",
+  },
+  _phaseNow: {
+    knownAt: "decision",
+    from: "labels.resolutionAnchored.phaseNow",
+    requires: "resolutionKnownAtDecision",
+  },
+  _policyWindowHours: {
+    knownAt: "decision",
+    from: "labels.resolutionAnchored.policyWindowHours",
+    requires: "resolutionKnownAtDecision",
+  },
+  _segmentKey: {
+    knownAt: "decision",
+    from: "taxonomy domain and phase",
+    requires: "resolutionKnownAtDecision",
+  },
+  _taxonomyDomain: { knownAt: "decision", from: "labels.taxonomy.domain (market text)" },
+  _taxonomySubdomain: { knownAt: "decision", from: "labels.taxonomy.subdomain (market text)" },
+  _taxonomyTopic: { knownAt: "decision", from: "labels.taxonomy.topic (market text)" },
+  _strategyType: { knownAt: "decision", from: "strategyType" },
+  _legVenues: { knownAt: "decision", from: "legs[].venue" },
+  _legIntents: { knownAt: "decision", from: "legs[].orderIntent" },
+  _minutesSinceFirstSeen: { knownAt: "decision", from: "earlier sightings of the series" },
+  _minutesSincePrevSighting: { knownAt: "decision", from: "earlier sightings of the series" },
+  _priorSightings: { knownAt: "decision", from: "earlier sightings of the series" },
+  _edgeLag1: { knownAt: "decision", from: "earlier sightings of the series" },
+  _capacityLag1: { knownAt: "decision", from: "earlier sightings of the series" },
+  _edgeChangeSincePrev: { knownAt: "decision", from: "current and earlier sightings" },
+  _capacityChangeSincePrev: { knownAt: "decision", from: "current and earlier sightings" },
+  ...Object.fromEntries(
+    HISTORY_WINDOWS_MINUTES.flatMap((m) => [
+      [`_edgeMomentum${m}m`, { knownAt: "decision", from: "current and earlier sightings" }],
+      [`_edgeVolatility${m}m`, { knownAt: "decision", from: "current and earlier sightings" }],
+    ])
+  ),
+  _runningMaxEdge: { knownAt: "decision", from: "current and earlier sightings" },
+  _edgeBelowRunningMax: { knownAt: "decision", from: "current and earlier sightings" },
+  ...Object.fromEntries(
+    HISTORY_WINDOWS_MINUTES.map((m) => [
+      `_capacityRefill${m}m`,
+      { knownAt: "decision", from: "current and earlier sightings" },
+    ])
+  ),
+  _legContractsMax: { knownAt: "decision", from: "legs[].contracts" },
+  _legContractsMean: { knownAt: "decision", from: "legs[].contracts" },
+  _legContractsImbalance: { knownAt: "decision", from: "legs[].contracts" },
+  _capacityPerBudgetUsd: { knownAt: "decision", from: "capacity and budgetUsdAtDecision" },
+  _edgeDecayPerContract: {
+    knownAt: "decision",
+    from: "orderBook.totalSlippageAt(Half)TargetSize (book at decision)",
+  },
+  _regTarget: { knownAt: "label", from: "labels.resolutionAnchored" },
+  _clsTarget: { knownAt: "label", from: "labels.resolutionAnchored" },
+  _targets: { knownAt: "label", from: "labels.survival.vanishedWithin" },
+  _censoringStatus: { knownAt: "label", from: "labels" },
+  _weight: { knownAt: "label", from: "censoring weights" },
+};
+
+const CONDITIONS = { resolutionKnownAtDecision };
+
+export function fieldKnownAt(field) {
+  if (DERIVED_FIELD_KNOWN_AT[field]) return { field, ...DERIVED_FIELD_KNOWN_AT[field] };
+  if (ROW_FIELD_KNOWN_AT[field]) return { field, knownAt: ROW_FIELD_KNOWN_AT[field] };
+  return { field, knownAt: "unknown" };
+}
+
+// Feature columns of a training schema: each numeric key, and one column per
+// bucket of every bucket list.
+export function schemaFeatureColumns(schema) {
+  const columns = schema.numericKeys.map((field) => ({ name: field, field, bucket: null }));
+  for (const [key, buckets] of Object.entries(schema)) {
+    if (key === "numericKeys") continue;
+    const field = CATEGORICAL_FEATURES[key]?.field ?? key;
+    for (const bucket of buckets) columns.push({ name: `${field}=${bucket}`, field, bucket });
+  }
+  return columns;
+}
+
+function columnValue(row, column) {
+  const value = row[column.field];
+  if (column.bucket === null) return typeof value === "boolean" ? Number(value) : safeNum(value);
+  if (Array.isArray(value)) return value.filter((v) => v === column.bucket).length;
+  return value === column.bucket ? 1 : 0;
+}
+
+// Rank AUC with tied scores sharing their average rank (one-hot columns are
+// mostly ties); null without both classes.
+function aucRoc(yTrue, yScore) {
+  const pairs = yTrue.map((y, i) => [yScore[i], y]).sort((a, b) => a[0] - b[0]);
+  const pos = pairs.filter(([, y]) => y === 1).length;
+  const neg = pairs.length - pos;
+  if (pos === 0 || neg === 0) return null;
+  let rankSumPos = 0;
+  let i = 0;
+  while (i < pairs.length) {
+    let j = i;
+    while (j < pairs.length && pairs[j][0] === pairs[i][0]) j++;
+    const avgRank = (i + 1 + j) / 2;
+    for (let k = i; k < j; k++) if (pairs[k][1] === 1) rankSumPos += avgRank;
+    i = j;
+  }
+  return (rankSumPos - (pos * (pos + 1)) / 2) / (pos * neg);
+}
+
+function buyNowBeatsWait(row) {
+  const v = row.labels?.resolutionAnchored?.buyNowBeatsWaitWindow;
+  return v === null || v === undefined ? null : v ? 1 : 0;
+}
+
+// AUC of each column alone against `buyNowBeatsWaitWindow`, over the rows
+// where both are known, most separating first.
+export function singleFeatureAuc(rows, columns) {
+  const out = [];
+  for (const column of columns) {
+    const y = [];
+    const x = [];
+    for (const row of rows) {
+      const target = buyNowBeatsWait(row);
+      const value = columnValue(row, column);
+      if (target === null || value === null) continue;
+      y.push(target);
+      x.push(value);
+    }
+    const auc = aucRoc(y, x);
+    out.push({
+      feature: column.name,
+      rows: y.length,
+      auc,
+      separation: auc === null ? null : Math.max(auc, 1 - auc),
+    });
+  }
+  return out.sort((a, b) => (b.separation ?? -1) - (a.separation ?? -1));
+}
+
+// Tags each field a schema reads; `violations` lists the ones that are not
+// decision-time.
+export function auditSchema(schema) {
+  const fields = [...new Set(schemaFeatureColumns(schema).map((c) => c.field))];
+  const features = fields.map(fieldKnownAt);
+  const violations = features
+    .filter((tag) => tag.knownAt !== "decision")
+    .map((tag) => ({
+      feature: tag.field,
+      knownAt: tag.knownAt,
+      reason:
+        tag.knownAt === "unknown"
+          ? "no known-at tag; add it to scripts/lib/leakage.mjs"
+          : `${tag.knownAt} field used as a feature`,
+    }));
+  return { features, violations };
+}
+
+// Audits a training schema against the prepared rows it is trained on:
+// `auditSchema`, plus conditional features with values on rows failing their
+// condition. Training must not proceed with any violation.
+export function auditLeakage(schema, rows) {
+  const { features, violations } = auditSchema(schema);
+  for (const tag of features) {
+    if (tag.knownAt !== "decision" || !tag.requires) continue;
+    const leaked = rows.filter((row) => {
+      if (CONDITIONS[tag.requires](row)) return false;
+      const value = row[tag.field];
+      return value !== null && value !== undefined && value !== "unknown";
+    }).length;
+    if (leaked > 0) {
+      violations.push({
+        feature: tag.field,
+        knownAt: "post_decision",
+        reason: `${leaked} rows carry a value that needs ${tag.requires}`,
+      });
+    }
+  }
+  const auc = singleFeatureAuc(rows, schemaFeatureColumns(schema));
+  return {
+    features,
+    violations,
+    suspiciousAucThreshold: SUSPICIOUS_AUC,
+    suspicious: auc.filter((a) => a.separation !== null && a.separation >= SUSPICIOUS_AUC),
+    singleFeatureAuc: auc,
+  };
+}
+
+// Error for a failed audit, naming every violation.
+export function leakageError(stage, audit) {
+  return new Error(
+    `Leakage audit failed for ${stage}:\n  - ` +
+      audit.violations.map((v) => `${v.feature} (${v.knownAt}): ${v.reason}`).join("\n  - ")
+  );
+}
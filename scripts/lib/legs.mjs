@@ -0,0 +1,45 @@
+const LEG_FIELDS = [
+  "venue",
+  "marketId",
+  "symbolId",
+  "side",
+  "orderIntent",
+  "feeClass",
+  "price",
+  "contracts",
+  "expiresAt",
+  "oppExpiresAt",
+  "marketCategory",
+  "marketSubcategory",
+  "marketTitle",
+  "eventTitle",
+  "marketTags",
+  "resolutionResult",
+  "resolutionOutcome",
+  "resolvedAt",
+  "marketCloseAt",
+];
+
+function legacyLeg(row, n) {
+  const prefix = `leg${n}`;
+  const leg = {};
+  for (const field of LEG_FIELDS) {
+    const key =
+      field === "oppExpiresAt"
+        ? `oppLeg${n}ExpiresAt`
+        : `${prefix}${field[0].toUpperCase()}${field.slice(1)}`;
+    leg[field] = row[key] ?? (field === "marketTags" ? [] : null);
+  }
+  return leg;
+}
+
+// Legs of a dataset row in artifact order. Datasets extracted before the
+// `legs` array existed only carry flat leg1*/leg2* columns; those are mapped
+// onto the same shape so labeling and features accept both.
+export function rowLegs(row) {
+  if (Array.isArray(row.legs)) {
+    return row.legs;
+  }
+  const isSet = (v) => v !== null && !(Array.isArray(v) && v.length === 0);
+  return [1, 2].map((n) => legacyLeg(row, n)).filter((leg) => Object.values(leg).some(isSet));
+}
@@ -0,0 +1,125 @@
+import { execFileSync } from "node:child_process";
+import { createHash } from "node:crypto";
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+
+// Lineage: what produced a pipeline output. Every JSONL output gets a sidecar
+// `<file>.manifest.json`; JSON reports and model artifacts embed the same
+// object under `lineage`. A lineage records the stage, git commit, label spec
+// version, run parameters and the sha256 of every input file, so consumers can
+// refuse to mix outputs from different runs (a model trained on last week's
+// labels backtested against today's).
+
+export const LINEAGE_VERSION = 1;
+
+export function manifestPath(filePath) {
+  return `${filePath}.manifest.json`;
+}
+
+export async function hashFile(filePath) {
+  const hash = createHash("sha256");
+  let bytes = 0;
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+    bytes += chunk.length;
+  }
+  return { sha256: hash.digest("hex"), bytes };
+}
+
+// `{ path, sha256, bytes, ...extra }` for a file, with the path relative to
+// the working directory so manifests compare across checkouts.
+export async function fileRef(filePath, extra = {}) {
+  return { path: path.relative(process.cwd(), filePath), ...(await hashFile(filePath)), ...extra };
+}
+
+let cachedRevision;
+export function gitRevision() {
+  if (cachedRevision !== undefined) return cachedRevision;
+  const git = (gitArgs) =>
+    execFileSync("git", gitArgs, { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+  try {
+    cachedRevision = {
+      commit: git(["rev-parse", "HEAD"]),
+      dirty: git(["status", "--porcelain"]) !== "",
+    };
+  } catch {
+    cachedRevision = { commit: null, dirty: null };
+  }
+  return cachedRevision;
+}
+
+// `inputs` maps a name to a fileRef (or anything else worth recording about
+// that input, e.g. a database source). `upstream` maps the same names to the
+// inputs' own manifests, so the full chain back to the source travels along.
+export function createLineage({
+  stage,
+  inputs = {},
+  labelSpecVersion = null,
+  params = {},
+  upstream = {},
+}) {
+  return {
+    lineageVersion: LINEAGE_VERSION,
+    stage,
+    createdAt: new Date().toISOString(),
+    git: gitRevision(),
+    labelSpecVersion,
+    inputs,
+    params,
+    upstream,
+  };
+}
+
+export async function writeManifest(outputPath, lineage, { rows = null } = {}) {
+  const manifest = { ...lineage, output: await fileRef(outputPath, { rows }) };
+  await fsp.writeFile(manifestPath(outputPath), `${JSON.stringify(manifest, null, 2)}\n`, "utf8");
+  return manifest;
+}
+
+// Reads a JSONL output's manifest and checks the file is still the one it
+// describes. Throws when the manifest is missing or the file changed since;
+// `producer` names the command that regenerates both.
+export async function readVerifiedManifest(filePath, producer) {
+  let manifest;
+  try {
+    manifest = JSON.parse(await fsp.readFile(manifestPath(filePath), "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+    throw new Error(`No lineage manifest for ${filePath}; re-run ${producer}`);
+  }
+  const { sha256 } = await hashFile(filePath);
+  if (manifest.output?.sha256 !== sha256) {
+    throw new Error(
+      `${filePath} does not match its lineage manifest ` +
+        `(sha256 ${sha256.slice(0, 12)}, manifest ${String(manifest.output?.sha256).slice(0, 12)}); ` +
+        `it changed after ${manifest.stage} wrote it, re-run ${producer}`
+    );
+  }
+  return manifest;
+}
+
+// The reference a downstream lineage keeps to a manifest-carrying input.
+export function manifestInput(manifest) {
+  return {
+    ...manifest.output,
+    stage: manifest.stage,
+    createdAt: manifest.createdAt,
+    labelSpecVersion: manifest.labelSpecVersion,
+  };
+}
+
+// Throws unless `recorded` (an input ref from an artifact's lineage) and
+// `current` point at the same file contents.
+export function assertSameInput(what, recorded, current, fix) {
+  if (!recorded?.sha256) {
+    throw new Error(`${what} has no recorded lineage; ${fix}`);
+  }
+  if (recorded.sha256 !== current.sha256) {
+    throw new Error(
+      `${what} was built from ${recorded.path} sha256 ${recorded.sha256.slice(0, 12)} ` +
+        `(${recorded.createdAt ?? "unknown time"}), but the current file is ` +
+        `sha256 ${current.sha256.slice(0, 12)} (${current.createdAt ?? "unknown time"}); ${fix}`
+    );
+  }
+}
@@ -0,0 +1,57 @@
+// Small numeric helpers shared by the pipeline scripts.
+
+// A finite number, or null for null, undefined, "" and anything non-numeric.
+export function safeNum(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function mean(values) {
+  if (values.length === 0) return null;
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+export function sigmoid(z) {
+  if (z >= 0) {
+    const ez = Math.exp(-z);
+    return 1 / (1 + ez);
+  }
+  const ez = Math.exp(z);
+  return ez / (1 + ez);
+}
+
+export function dot(a, b) {
+  let s = 0;
+  for (let i = 0; i < a.length; i++) s += a[i] * b[i];
+  return s;
+}
+
+export function clip(v, lo, hi) {
+  return Math.max(lo, Math.min(hi, v));
+}
+
+// Linear interpolation between the closest ranks; null when empty.
+export function quantile(values, q) {
+  if (values.length === 0) return null;
+  const s = [...values].sort((a, b) => a - b);
+  const idx = (s.length - 1) * q;
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  if (lo === hi) return s[lo];
+  const frac = idx - lo;
+  return s[lo] * (1 - frac) + s[hi] * frac;
+}
+
+// Rank AUC of 0/1 labels; null without both classes.
+export function aucRoc(yTrue, yScore) {
+  if (yTrue.length === 0 || yScore.length !== yTrue.length) return null;
+  const pairs = yTrue.map((y, i) => ({ y, s: yScore[i] }));
+  const pos = pairs.filter((p) => p.y === 1).length;
+  const neg = pairs.filter((p) => p.y === 0).length;
+  if (pos === 0 || neg === 0) return null;
+  pairs.sort((a, b) => a.s - b.s);
+  let rankSumPos = 0;
+  for (let i = 0; i < pairs.length; i++) if (pairs[i].y === 1) rankSumPos += i + 1;
+  return (rankSumPos - (pos * (pos + 1)) / 2) / (pos * neg);
+}
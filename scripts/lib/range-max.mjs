@@ -0,0 +1,198 @@
+// Range-maximum index over one series' sightings, used by label generation to
+// find the best later sighting inside a window without scanning the window.
+//
+// Each field is a Float64Array with one value per sighting (NaN when missing).
+// The index is a segment tree holding every node's min and max per field.
+// `argmax` runs a best-first search over the nodes covering `[lo, hi]`: nodes
+// are expanded in order of `bound(k)`, an upper bound of `score` over node `k`
+// computed from its min/max, and the search stops once no remaining node can
+// beat the best exact score found. `score` is only called on the sightings the
+// search reaches, so a window costs O(log n) lookups when bounds are tight
+// instead of one score per sighting.
+//
+// Ties go to the earliest index, which is what a forward scan keeping the first
+// strictly better candidate picks. With `uniformKey`, a node whose key field is
+// constant (identical sightings) is scored once, at its earliest index in range;
+// only use it when the score depends on nothing but the fields in the key. A
+// node with a missing key anywhere in it is never treated as constant: min and
+// max skip NaN, so they cannot tell a gap from a repeat.
+
+export function createRangeMaxIndex(fields) {
+  const names = Object.keys(fields);
+  const n = names.length === 0 ? 0 : fields[names[0]].length;
+  let size = 1;
+  while (size < n) size *= 2;
+
+  const min = {};
+  const max = {};
+  // 1 when some sighting under the node has no value for the field.
+  const gaps = {};
+  for (const name of names) {
+    const values = fields[name];
+    const lo = new Float64Array(2 * size).fill(Infinity);
+    const hi = new Float64Array(2 * size).fill(-Infinity);
+    const gap = new Uint8Array(2 * size);
+    for (let i = 0; i < n; i++) {
+      if (Number.isNaN(values[i])) {
+        gap[size + i] = 1;
+        continue;
+      }
+      lo[size + i] = values[i];
+      hi[size + i] = values[i];
+    }
+    for (let k = size - 1; k >= 1; k--) {
+      lo[k] = Math.min(lo[2 * k], lo[2 * k + 1]);
+      hi[k] = Math.max(hi[2 * k], hi[2 * k + 1]);
+      gap[k] = gap[2 * k] | gap[2 * k + 1];
+    }
+    min[name] = lo;
+    max[name] = hi;
+    gaps[name] = gap;
+  }
+
+  // First and last sighting index covered by each node.
+  const nodeLo = new Int32Array(2 * size);
+  const nodeHi = new Int32Array(2 * size);
+  for (let i = 0; i < size; i++) {
+    nodeLo[size + i] = i;
+    nodeHi[size + i] = i;
+  }
+  for (let k = size - 1; k >= 1; k--) {
+    nodeLo[k] = nodeLo[2 * k];
+    nodeHi[k] = nodeHi[2 * k + 1];
+  }
+
+  // Returns `{ index, value }` for the best-scoring sighting in `[lo, hi]`, or
+  // null when the range is empty or every score there is null.
+  function argmax(lo, hi, { score, bound, uniformKey = null }) {
+    if (lo > hi || lo >= n) return null;
+    const keyLo = uniformKey === null ? null : min[uniformKey];
+    const keyHi = uniformKey === null ? null : max[uniformKey];
+    const keyGap = uniformKey === null ? null : gaps[uniformKey];
+    const queue = createNodeQueue();
+    queue.push(1, bound(1), nodeLo[1]);
+    let best = -Infinity;
+    let bestIndex = -1;
+
+    while (queue.size > 0) {
+      const nodeBound = queue.topBound();
+      const node = queue.pop();
+      if (nodeBound < best) break;
+      const first = Math.max(lo, nodeLo[node]);
+      // Cannot beat the best, and only later sightings would tie with it.
+      if (nodeBound <= best && first > bestIndex) continue;
+      const last = Math.min(hi, nodeHi[node]);
+      const uniform = keyLo !== null && keyGap[node] === 0 && keyLo[node] === keyHi[node];
+      if (first === last || uniform) {
+        const value = score(first);
+        if (value !== null && (value > best || (value === best && first < bestIndex))) {
+          best = value;
+          bestIndex = first;
+        }
+        continue;
+      }
+      for (let child = 2 * node; child <= 2 * node + 1; child++) {
+        if (nodeHi[child] < lo || nodeLo[child] > hi) continue;
+        const childBound = bound(child);
+        if (childBound === -Infinity || Number.isNaN(childBound)) continue;
+        queue.push(child, childBound, Math.max(lo, nodeLo[child]));
+      }
+    }
+    return bestIndex < 0 ? null : { index: bestIndex, value: best };
+  }
+
+  return { size: n, min, max, argmax };
+}
+
+// Binary max-heap of nodes keyed by bound, earliest first index on ties.
+function createNodeQueue() {
+  const nodes = [];
+  const bounds = [];
+  const firsts = [];
+  const before = (a, b) =>
+    bounds[a] > bounds[b] || (bounds[a] === bounds[b] && firsts[a] < firsts[b]);
+  const swap = (a, b) => {
+    const node = nodes[a];
+    const nodeBound = bounds[a];
+    const first = firsts[a];
+    nodes[a] = nodes[b];
+    bounds[a] = bounds[b];
+    firsts[a] = firsts[b];
+    nodes[b] = node;
+    bounds[b] = nodeBound;
+    firsts[b] = first;
+  };
+  return {
+    get size() {
+      return nodes.length;
+    },
+    topBound() {
+      return bounds[0];
+    },
+    push(node, nodeBound, first) {
+      nodes.push(node);
+      bounds.push(nodeBound);
+      firsts.push(first);
+      let i = nodes.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (!before(i, parent)) break;
+        swap(i, parent);
+        i = parent;
+      }
+    },
+    pop() {
+      const top = nodes[0];
+      const last = nodes.length - 1;
+      swap(0, last);
+      nodes.pop();
+      bounds.pop();
+      firsts.pop();
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let next = i;
+        if (left < nodes.length && before(left, next)) next = left;
+        if (right < nodes.length && before(right, next)) next = right;
+        if (next === i) break;
+        swap(i, next);
+        i = next;
+      }
+      return top;
+    },
+  };
+}
+
+// Last index `j` in `[from, ts.length)` with `ts[j] <= limit` for ascending
+// `ts`, or `from - 1` when there is none.
+export function lastIndexAtOrBefore(ts, from, limit) {
+  let lo = from;
+  let hi = ts.length - 1;
+  let found = from - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (ts[mid] <= limit) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+// First index in `[lo, hi]` where the monotone predicate holds, or `hi + 1`.
+export function firstIndexWhere(lo, hi, predicate) {
+  let found = hi + 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (predicate(mid)) {
+      found = mid;
+      hi = mid - 1;
+    } else {
+      lo = mid + 1;
+    }
+  }
+  return found;
+}
@@ -0,0 +1,59 @@
+const RETRY_STATUSES = new Set([429, 502, 503, 504]);
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Thin HTTP client for the Replay Lab API. Every request carries the
+// `x-api-key` header; 429/5xx responses are retried with exponential backoff.
+//
+// Order book history is read from
+//   GET /api/orderbooks/snapshots?venue=&marketId=&symbolId=&start=&end=
+// which returns `{ snapshots: [{ ts, bids: [[price, size], ...], asks: [...] }] }`
+// with levels sorted best-first. `symbolId` selects the outcome book, so the
+// asks are the prices paid when buying that leg. This endpoint and its response
+// shape are assumed, not taken from published API docs: they are what
+// `mock-replay-lab.mjs` serves. Check them against the live API before relying
+// on `ingest:orderbooks` output.
+export function createReplayLabClient({ baseUrl, apiKey, maxRetries = 3, fetchImpl = fetch }) {
+  const root = baseUrl.replace(/\/$/, "");
+
+  async function request(pathname, params = {}) {
+    const url = new URL(`${root}${pathname}`);
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== null && value !== undefined) {
+        url.searchParams.set(key, String(value));
+      }
+    }
+    for (let attempt = 0; ; attempt++) {
+      const response = await fetchImpl(url, { headers: { "x-api-key": apiKey } });
+      if (response.ok) {
+        return response.json();
+      }
+      if (RETRY_STATUSES.has(response.status) && attempt < maxRetries) {
+        await sleep(250 * 2 ** attempt);
+        continue;
+      }
+      const body = await response.text();
+      const err = new Error(`Replay Lab ${pathname} failed: ${response.status} ${body}`);
+      err.status = response.status;
+      throw err;
+    }
+  }
+
+  return {
+    health() {
+      return request("/api/health");
+    },
+    async orderBookSnapshots({ venue, marketId, symbolId, start, end }) {
+      const data = await request("/api/orderbooks/snapshots", {
+        venue,
+        marketId,
+        symbolId,
+        start: start.toISOString(),
+        end: end.toISOString(),
+      });
+      return Array.isArray(data?.snapshots) ? data.snapshots : [];
+    },
+  };
+}
@@ -0,0 +1,253 @@
+import { rowLegs } from "./legs.mjs";
+
+// Resolution time of a row, from the label spec's `resolutionTime`.
+//
+// Every leg is resolved on its own from the first source in `sources` that
+// has a usable timestamp for it (not before the decision):
+//   - `leg_expiry`: the sizing artifact's / opportunity's `expiresAt` (high)
+//   - `market_close`: the venue market's close time, `close_time` on
+//     kalshi_markets or `end_date_iso` on polymarket_markets (high). It is
+//     read from the markets table as it is now, so a close the venue moved
+//     after the decision is hindsight: `knownAtDecision` is false
+//   - `settlement`: when the market actually settled (`resolvedAt`); exact,
+//     but only known after the fact, so `knownAtDecision` is false (high)
+//   - `event_schedule`: a date parsed from the Kalshi event ticker
+//     (`KXBTC-26FEB2817` is Feb 28 2026 17:00) or the Polymarket event slug
+//     (`...-on-february-28`, `...-2026-02-21`), read in `scheduleTimeZone` and
+//     taken as the end of the hour, day or month it names (medium with an
+//     hour, low otherwise)
+// The row resolves when its earliest leg does. Legs that disagree by more than
+// `legDisagreementToleranceHours`, or that have no timestamp at all, lower the
+// confidence one step: an arb's legs should settle together.
+
+export const RESOLUTION_SOURCES = ["leg_expiry", "market_close", "settlement", "event_schedule"];
+export const RESOLUTION_CONFIDENCES = ["high", "medium", "low"];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Sources whose timestamp may not be what the decision could have seen.
+const HINDSIGHT_SOURCES = new Set(["market_close", "settlement"]);
+
+const MONTHS = [
+  "january",
+  "february",
+  "march",
+  "april",
+  "may",
+  "june",
+  "july",
+  "august",
+  "september",
+  "october",
+  "november",
+  "december",
+];
+
+function isPositive(v) {
+  return typeof v === "number" && Number.isFinite(v) && v > 0;
+}
+
+function tsMs(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const ms = new Date(value).getTime();
+  return Number.isFinite(ms) ? ms : null;
+}
+
+function isTimeZone(name) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: name });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function validateResolutionTime(config) {
+  if (config === null || typeof config !== "object" || Array.isArray(config)) {
+    return ["resolutionTime must be an object"];
+  }
+  const errors = [];
+  const { sources } = config;
+  if (!Array.isArray(sources) || sources.length === 0) {
+    errors.push("resolutionTime.sources must be a non-empty array");
+  } else {
+    for (const source of sources) {
+      if (!RESOLUTION_SOURCES.includes(source)) {
+        errors.push(
+          `resolutionTime.sources: "${source}" is not one of ${RESOLUTION_SOURCES.join(", ")}`
+        );
+      }
+    }
+    if (new Set(sources).size !== sources.length) {
+      errors.push("resolutionTime.sources must not repeat a source");
+    }
+  }
+  if (!isPositive(config.legDisagreementToleranceHours)) {
+    errors.push("resolutionTime.legDisagreementToleranceHours must be > 0");
+  }
+  if (typeof config.scheduleTimeZone !== "string" || !isTimeZone(config.scheduleTimeZone)) {
+    errors.push("resolutionTime.scheduleTimeZone must be an IANA time zone");
+  }
+  return errors;
+}
+
+export function createResolutionResolver(config) {
+  const toleranceMs = config.legDisagreementToleranceHours * HOUR_MS;
+  const zoneFormat = new Intl.DateTimeFormat("en-US", {
+    timeZone: config.scheduleTimeZone,
+    timeZoneName: "longOffset",
+  });
+
+  // Offset of the schedule time zone from UTC at `ms`, in ms.
+  function zoneOffsetMs(ms) {
+    const name = zoneFormat.formatToParts(ms).find((p) => p.type === "timeZoneName").value;
+    const match = /GMT([+-])(\d{2}):(\d{2})/.exec(name);
+    if (!match) return 0;
+    const minutes = Number(match[2]) * 60 + Number(match[3]);
+    return (match[1] === "-" ? -1 : 1) * minutes * 60 * 1000;
+  }
+
+  // UTC ms of a wall-clock time in the schedule time zone. Month, day and hour
+  // may overflow (hour 24 is the next midnight), as with Date.UTC.
+  function zonedMs(year, month, day, hour) {
+    const wall = Date.UTC(year, month, day, hour);
+    const guess = wall - zoneOffsetMs(wall);
+    return wall - zoneOffsetMs(guess);
+  }
+
+  // End of the period a parsed date names, with the confidence its precision
+  // earns.
+  function periodEnd({ year, month, day = null, hour = null }) {
+    if (hour !== null) return { ts: zonedMs(year, month, day, hour), confidence: "medium" };
+    if (day !== null) return { ts: zonedMs(year, month, day + 1, 0), confidence: "low" };
+    return { ts: zonedMs(year, month + 1, 1, 0), confidence: "low" };
+  }
+
+  // `KXBTC-26FEB2817-T100000` / `KXNBAGAME-26FEB21LALBOS` / `KXFEDDECISION-26MAR`:
+  // the first dash segment after the series that starts with YYMON[DD[HH]].
+  function kalshiTickerDate(ticker) {
+    for (const segment of String(ticker).split("-").slice(1)) {
+      const match = /^(\d{2})([A-Z]{3})(\d{2})?(\d{2})?/.exec(segment);
+      const month = match ? MONTHS.findIndex((m) => m.slice(0, 3) === match[2].toLowerCase()) : -1;
+      if (month === -1) continue;
+      return {
+        year: 2000 + Number(match[1]),
+        month,
+        day: match[3] === undefined ? null : Number(match[3]),
+        hour: match[4] === undefined ? null : Number(match[4]),
+      };
+    }
+    return null;
+  }
+
+  // `nba-lal-bos-2026-02-21`, `bitcoin-above-100k-on-february-28`,
+  // `fed-decision-in-march`. Without a year, the first such date that has not
+  // ended by the decision.
+  function polymarketSlugDate(slug, decisionMs) {
+    const text = String(slug).toLowerCase();
+    const iso = /(\d{4})-(\d{2})-(\d{2})/.exec(text);
+    if (iso) {
+      return { year: Number(iso[1]), month: Number(iso[2]) - 1, day: Number(iso[3]) };
+    }
+    const named = new RegExp(`\\b(${MONTHS.join("|")})(?:-(\\d{1,2}))?(?:-(\\d{4}))?\\b`).exec(
+      text
+    );
+    if (!named) return null;
+    const date = {
+      month: MONTHS.indexOf(named[1]),
+      day: named[2] === undefined ? null : Number(named[2]),
+    };
+    if (named[3] !== undefined) return { ...date, year: Number(named[3]) };
+    const decisionYear = new Date(decisionMs).getUTCFullYear();
+    const year = [decisionYear - 1, decisionYear, decisionYear + 1].find(
+      (y) => periodEnd({ ...date, year: y }).ts > decisionMs
+    );
+    return { ...date, year };
+  }
+
+  function scheduleCandidate(leg, decisionMs) {
+    const dates =
+      leg.venue === "KALSHI"
+        ? [leg.marketId, leg.eventTitle].filter(Boolean).map(kalshiTickerDate)
+        : leg.venue === "POLYMARKET"
+          ? [leg.marketSubcategory].filter(Boolean).map((s) => polymarketSlugDate(s, decisionMs))
+          : [];
+    const date = dates.find((d) => d !== null && d.year !== undefined);
+    return date ? periodEnd(date) : null;
+  }
+
+  function legCandidate(leg, source, decisionMs) {
+    switch (source) {
+      case "leg_expiry": {
+        const values = [tsMs(leg.expiresAt), tsMs(leg.oppExpiresAt)].filter((v) => v !== null);
+        return values.length === 0 ? null : { ts: Math.min(...values), confidence: "high" };
+      }
+      case "market_close": {
+        const ts = tsMs(leg.marketCloseAt);
+        return ts === null ? null : { ts, confidence: "high" };
+      }
+      case "settlement": {
+        const ts = tsMs(leg.resolvedAt);
+        return ts === null ? null : { ts, confidence: "high" };
+      }
+      case "event_schedule":
+        return scheduleCandidate(leg, decisionMs);
+      default:
+        return null;
+    }
+  }
+
+  function resolveLeg(leg, decisionMs) {
+    for (const source of config.sources) {
+      const candidate = legCandidate(leg, source, decisionMs);
+      if (candidate !== null && (decisionMs === null || candidate.ts >= decisionMs)) {
+        return { ...candidate, source };
+      }
+    }
+    return null;
+  }
+
+  const lower = (confidence) =>
+    RESOLUTION_CONFIDENCES[
+      Math.min(RESOLUTION_CONFIDENCES.length - 1, RESOLUTION_CONFIDENCES.indexOf(confidence) + 1)
+    ];
+
+  // `{ ts, resolvesAt, source, confidence, knownAtDecision, legCount,
+  // resolvedLegs, legSpreadHours, legsAgree }`; `ts` and the fields describing
+  // it are null when no leg has a usable timestamp.
+  function resolve(row) {
+    const legs = rowLegs(row);
+    const decisionMs = tsMs(row.decisionTs);
+    const resolved = legs.map((leg) => resolveLeg(leg, decisionMs)).filter(Boolean);
+    if (resolved.length === 0) {
+      return {
+        ts: null,
+        resolvesAt: null,
+        source: null,
+        confidence: null,
+        knownAtDecision: null,
+        legCount: legs.length,
+        resolvedLegs: 0,
+        legSpreadHours: null,
+        legsAgree: null,
+      };
+    }
+    const earliest = resolved.reduce((a, b) => (b.ts < a.ts ? b : a));
+    const spreadMs = Math.max(...resolved.map((r) => r.ts)) - earliest.ts;
+    const legsAgree = spreadMs <= toleranceMs;
+    const complete = resolved.length === legs.length;
+    return {
+      ts: earliest.ts,
+      resolvesAt: new Date(earliest.ts).toISOString(),
+      source: earliest.source,
+      confidence: legsAgree && complete ? earliest.confidence : lower(earliest.confidence),
+      knownAtDecision: !HINDSIGHT_SOURCES.has(earliest.source),
+      legCount: legs.length,
+      resolvedLegs: resolved.length,
+      legSpreadHours: spreadMs / HOUR_MS,
+      legsAgree,
+    };
+  }
+
+  return { resolve };
+}
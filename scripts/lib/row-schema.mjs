@@ -0,0 +1,228 @@
+export const KNOWN_VENUES = ["KALSHI", "POLYMARKET"];
+
+// Declared shape of one `training_dataset.jsonl` row. `required` fields must be
+// present and valid, and `quarantine` fields may be null but not invalid;
+// either failure quarantines the row. Other fields only count towards
+// null/invalid stats. `maxNullRate` is the default data-quality threshold.
+export const LEG_SCHEMA = {
+  venue: { type: "string", required: true, enum: KNOWN_VENUES },
+  marketId: { type: "string", required: true },
+  symbolId: { type: "string" },
+  side: { type: "string" },
+  orderIntent: { type: "string" },
+  feeClass: { type: "string" },
+  price: { type: "number", min: 0, max: 1 },
+  contracts: { type: "number", min: 0 },
+  expiresAt: { type: "timestamp", notBefore: "decisionTs", quarantine: true },
+  oppExpiresAt: { type: "timestamp", notBefore: "decisionTs", quarantine: true },
+  marketCategory: { type: "string" },
+  marketSubcategory: { type: "string" },
+  marketTitle: { type: "string" },
+  eventTitle: { type: "string" },
+  marketTags: { type: "array" },
+  resolutionResult: { type: "string" },
+  resolutionOutcome: { type: "string", enum: ["YES", "NO"] },
+  resolvedAt: { type: "timestamp", notBefore: "decisionTs" },
+  marketCloseAt: { type: "timestamp", notBefore: "decisionTs" },
+};
+
+export const EXECUTION_SCHEMA = {
+  executionId: { type: "string" },
+  state: { type: "string", required: true },
+  actualEdge: { type: "number", min: -1, max: 1 },
+  expectedEdge: { type: "number", min: -1, max: 1 },
+  realizedPnl: { type: "number" },
+  targetContracts: { type: "number", min: 0 },
+  filledContracts: { type: "number", min: 0 },
+  createdAt: { type: "timestamp", required: true },
+  completedAt: { type: "timestamp" },
+};
+
+export const ROW_SCHEMA = {
+  opportunityId: { type: "string", required: true, unique: true },
+  dedupeKey: { type: "string", maxNullRate: 0.05 },
+  portfolioId: { type: "string" },
+  strategyType: { type: "string", required: true },
+  opportunityStatus: { type: "string" },
+  decisionTs: { type: "timestamp", required: true },
+  decisionCapturedAt: { type: "timestamp" },
+  opportunityCreatedAt: { type: "timestamp" },
+  expectedEdgeAtDecision: { type: "number", min: -1, max: 1, maxNullRate: 0.05 },
+  targetContractsAtDecision: { type: "number", min: 0, quarantine: true },
+  minKernelContractsAtDecision: { type: "number", min: 0, quarantine: true },
+  avgLegPriceAtDecision: { type: "number", min: 0, max: 1 },
+  budgetUsdAtDecision: { type: "number", min: 0 },
+  requestUsd: { type: "number", min: 0 },
+  availableUsd: { type: "number", min: 0 },
+  legCount: { type: "integer", min: 1, required: true },
+  legs: { type: "array", required: true, items: LEG_SCHEMA },
+  executionState: { type: "string" },
+  actualEdgeAtExecution: { type: "number", min: -1, max: 1 },
+  expectedEdgeAtExecution: { type: "number", min: -1, max: 1 },
+  realizedPnl: { type: "number" },
+  executionTargetContracts: { type: "number", min: 0, quarantine: true },
+  executionCompletedAt: { type: "timestamp" },
+  executionHistory: { type: "array", items: EXECUTION_SCHEMA },
+  executionAttemptCount: { type: "integer", min: 0 },
+  failedExecutionAttempts: { type: "integer", min: 0 },
+  attemptsBeforeSuccess: { type: "integer", min: 0 },
+  filledContracts: { type: "number", min: 0 },
+  executionFillRatio: { type: "number", min: 0 },
+  totalRealizedPnl: { type: "number" },
+};
+
+function isNull(value) {
+  return value === null || value === undefined;
+}
+
+// Returns the issue code for a non-null value, or null when it is valid.
+function checkValue(value, spec, row) {
+  switch (spec.type) {
+    case "string":
+      if (typeof value !== "string" || value === "") return "invalid_string";
+      if (spec.enum && !spec.enum.includes(value)) return "unknown_value";
+      return null;
+    case "number":
+    case "integer": {
+      if (typeof value !== "number" || !Number.isFinite(value)) return "invalid_number";
+      if (spec.type === "integer" && !Number.isInteger(value)) return "invalid_integer";
+      if (spec.min !== undefined && value < spec.min) return "below_min";
+      if (spec.max !== undefined && value > spec.max) return "above_max";
+      return null;
+    }
+    case "timestamp": {
+      const ts = new Date(value).getTime();
+      if (typeof value !== "string" || !Number.isFinite(ts)) return "unparseable_timestamp";
+      if (spec.notBefore) {
+        const ref = new Date(row[spec.notBefore]).getTime();
+        if (Number.isFinite(ref) && ts < ref) return `before_${spec.notBefore}`;
+      }
+      return null;
+    }
+    case "array":
+      return Array.isArray(value) ? null : "invalid_array";
+    default:
+      return null;
+  }
+}
+
+function createFieldStats() {
+  return { count: 0, nullCount: 0, invalidCount: 0, min: null, max: null, sum: 0, numeric: 0 };
+}
+
+function recordField(stats, field, value, issue) {
+  const s = (stats[field] ??= createFieldStats());
+  s.count++;
+  if (isNull(value)) {
+    s.nullCount++;
+    return;
+  }
+  if (issue) {
+    s.invalidCount++;
+    return;
+  }
+  if (typeof value === "number") {
+    s.min = s.min === null ? value : Math.min(s.min, value);
+    s.max = s.max === null ? value : Math.max(s.max, value);
+    s.sum += value;
+    s.numeric++;
+  }
+}
+
+function validateFields(obj, schema, prefix, row, stats, issues) {
+  for (const [field, spec] of Object.entries(schema)) {
+    const key = `${prefix}${field}`;
+    const value = obj[field];
+    let issue = null;
+    if (isNull(value)) {
+      if (spec.required) issue = "missing_required";
+    } else {
+      issue = checkValue(value, spec, row);
+    }
+    recordField(stats, key, value, issue);
+    if (issue && (spec.required || spec.quarantine)) {
+      issues.push({ field: key, code: issue });
+    }
+    if (spec.items && Array.isArray(value)) {
+      value.forEach((item) =>
+        validateFields(item ?? {}, spec.items, `${key}[].`, row, stats, issues)
+      );
+    }
+  }
+}
+
+// Stateful validator: feed rows one at a time (duplicate detection spans the
+// whole dataset), then call `report()` for per-field stats.
+export function createRowValidator() {
+  const stats = {};
+  const seen = new Set();
+  const issueCounts = {};
+  let totalRows = 0;
+  let quarantinedRows = 0;
+
+  return {
+    validate(row) {
+      totalRows++;
+      const issues = [];
+      validateFields(row, ROW_SCHEMA, "", row, stats, issues);
+      if (
+        Array.isArray(row.legs) &&
+        Number.isInteger(row.legCount) &&
+        row.legCount !== row.legs.length
+      ) {
+        issues.push({ field: "legCount", code: "leg_count_mismatch" });
+      }
+      for (const [field, spec] of Object.entries(ROW_SCHEMA)) {
+        if (!spec.unique || isNull(row[field])) continue;
+        if (seen.has(row[field])) {
+          issues.push({ field, code: "duplicate" });
+        } else {
+          seen.add(row[field]);
+        }
+      }
+      for (const issue of issues) {
+        const key = `${issue.field}:${issue.code}`;
+        issueCounts[key] = (issueCounts[key] ?? 0) + 1;
+      }
+      if (issues.length > 0) quarantinedRows++;
+      return issues;
+    },
+    report() {
+      const fields = {};
+      for (const [field, s] of Object.entries(stats)) {
+        fields[field] = {
+          count: s.count,
+          nullCount: s.nullCount,
+          nullRate: s.count ? s.nullCount / s.count : null,
+          invalidCount: s.invalidCount,
+          min: s.min,
+          max: s.max,
+          mean: s.numeric ? s.sum / s.numeric : null,
+        };
+      }
+      return { totalRows, quarantinedRows, issueCounts, fields };
+    },
+  };
+}
+
+// Threshold breaches for a validator report: quarantine rate plus each field's
+// declared `maxNullRate` (overridable per field).
+export function thresholdBreaches(report, { maxQuarantineRate, maxNullRates = {} }) {
+  const breaches = [];
+  const quarantineRate = report.totalRows ? report.quarantinedRows / report.totalRows : 0;
+  if (quarantineRate > maxQuarantineRate) {
+    breaches.push({ check: "quarantineRate", value: quarantineRate, limit: maxQuarantineRate });
+  }
+  const declared = Object.fromEntries(
+    Object.entries(ROW_SCHEMA)
+      .filter(([, spec]) => spec.maxNullRate !== undefined)
+      .map(([field, spec]) => [field, spec.maxNullRate])
+  );
+  for (const [field, limit] of Object.entries({ ...declared, ...maxNullRates })) {
+    const nullRate = report.fields[field]?.nullRate;
+    if (nullRate !== null && nullRate !== undefined && nullRate > limit) {
+      breaches.push({ check: `nullRate:${field}`, value: nullRate, limit });
+    }
+  }
+  return breaches;
+}
@@ -0,0 +1,357 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { rowLegs } from "./legs.mjs";
+
+// Market taxonomy (domain / subdomain / topic) for a dataset row, from two
+// sources:
+//   - keyword rules in config/taxonomy-rules.json, matched on whole words so
+//     "eth" no longer hits "Ethiopia" nor "sol" "solution"
+//   - a naive Bayes text classifier over TF-IDF weighted title words,
+//     categories and tags, trained by `taxonomy:train` on rule-labeled markets
+// `classifyTaxonomy` applies rules first, then the classifier when it is at
+// least `classifier.minConfidence` sure, then the category fallback, and
+// records which one produced the label in `method`.
+
+export const DEFAULT_TAXONOMY_RULES_PATH = path.join("config", "taxonomy-rules.json");
+export const DEFAULT_TAXONOMY_MODEL_PATH = path.join("data", "taxonomy_model.json");
+
+export const TAXONOMY_METHODS = ["rules", "classifier", "category_fallback", "none"];
+
+const TAXONOMY_MODEL_VERSION = 1;
+
+function lowerText(v) {
+  return typeof v === "string" ? v.toLowerCase() : "";
+}
+
+function isStringList(v) {
+  return Array.isArray(v) && v.every((x) => typeof x === "string" && x !== "");
+}
+
+export function validateTaxonomyRules(spec) {
+  const errors = [];
+  if (spec === null || typeof spec !== "object" || Array.isArray(spec)) {
+    return ["taxonomy rules must be a JSON object"];
+  }
+  if (typeof spec.version !== "string" || spec.version === "") {
+    errors.push("version must be a non-empty string");
+  }
+  if (!Array.isArray(spec.rules) || spec.rules.length === 0) {
+    errors.push("rules must be a non-empty array");
+  } else {
+    const ids = new Set();
+    spec.rules.forEach((rule, i) => {
+      const where = `rules[${i}]`;
+      if (typeof rule?.id !== "string" || rule.id === "") {
+        errors.push(`${where}.id must be a non-empty string`);
+      } else if (ids.has(rule.id)) {
+        errors.push(`${where}.id "${rule.id}" is duplicated`);
+      } else {
+        ids.add(rule.id);
+      }
+      for (const field of ["domain", "subdomain", "defaultTopic"]) {
+        if (typeof rule?.[field] !== "string" || rule[field] === "") {
+          errors.push(`${where}.${field} must be a non-empty string`);
+        }
+      }
+      for (const field of ["terms", "categories", "tags"]) {
+        if (rule?.[field] !== undefined && !isStringList(rule[field])) {
+          errors.push(`${where}.${field} must be a list of non-empty strings`);
+        }
+      }
+      (rule?.topics ?? []).forEach((t, j) => {
+        if (typeof t?.topic !== "string" || !isStringList(t?.terms)) {
+          errors.push(`${where}.topics[${j}] needs a topic and a list of terms`);
+        }
+      });
+    });
+  }
+  const fallback = spec.categoryFallback;
+  if (fallback === null || typeof fallback !== "object") {
+    errors.push("categoryFallback must be an object");
+  } else {
+    if (typeof fallback.topic !== "string") errors.push("categoryFallback.topic must be a string");
+    (fallback.domains ?? []).forEach((d, i) => {
+      if (typeof d?.domain !== "string" || !isStringList(d?.categories)) {
+        errors.push(`categoryFallback.domains[${i}] needs a domain and a list of categories`);
+      }
+    });
+  }
+  const minConfidence = spec.classifier?.minConfidence;
+  if (typeof minConfidence !== "number" || minConfidence < 0 || minConfidence > 1) {
+    errors.push("classifier.minConfidence must be between 0 and 1");
+  }
+  return errors;
+}
+
+// A term matches a whole word or phrase; a trailing `*` matches any word that
+// starts with the stem ("politic*" covers "political" and "politics").
+function compileTerm(term) {
+  const prefix = term.endsWith("*");
+  const stem = lowerText(prefix ? term.slice(0, -1) : term).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(?<![a-z0-9])${stem}${prefix ? "" : "(?![a-z0-9])"}`);
+}
+
+function compileTerms(terms = []) {
+  return terms.map(compileTerm);
+}
+
+export async function loadTaxonomyRules(rulesPath = DEFAULT_TAXONOMY_RULES_PATH) {
+  const resolved = path.resolve(rulesPath);
+  const raw = await fs.readFile(resolved, "utf8");
+  let spec;
+  try {
+    spec = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Taxonomy rules ${resolved} are not valid JSON: ${err.message}`);
+  }
+  const errors = validateTaxonomyRules(spec);
+  if (errors.length > 0) {
+    throw new Error(`Invalid taxonomy rules ${resolved}:\n  - ${errors.join("\n  - ")}`);
+  }
+  return {
+    path: resolved,
+    version: spec.version,
+    minConfidence: spec.classifier.minConfidence,
+    rules: spec.rules.map((rule) => ({
+      id: rule.id,
+      domain: rule.domain,
+      subdomain: rule.subdomain,
+      defaultTopic: rule.defaultTopic,
+      terms: compileTerms(rule.terms),
+      categories: compileTerms(rule.categories),
+      tags: compileTerms(rule.tags),
+      topics: (rule.topics ?? []).map((t) => ({ topic: t.topic, terms: compileTerms(t.terms) })),
+    })),
+    categoryFallback: {
+      topic: spec.categoryFallback.topic,
+      domains: (spec.categoryFallback.domains ?? []).map((d) => ({
+        domain: d.domain,
+        categories: compileTerms(d.categories),
+      })),
+    },
+  };
+}
+
+// The market metadata taxonomy is read from, lowercased.
+export function taxonomyFields(row) {
+  const legs = rowLegs(row);
+  const clean = (values) => values.filter(Boolean).map(lowerText);
+  const titles = clean([
+    ...legs.map((leg) => leg.marketTitle),
+    ...legs.map((leg) => leg.eventTitle),
+  ]);
+  const categories = clean(legs.map((leg) => leg.marketCategory));
+  const subcategories = clean(legs.map((leg) => leg.marketSubcategory));
+  const tags = clean(legs.flatMap((leg) => leg.marketTags ?? []));
+  return { titles, categories, subcategories, tags };
+}
+
+function matchesAny(patterns, texts) {
+  return patterns.some((re) => texts.some((text) => re.test(text)));
+}
+
+// First matching keyword rule, else the category fallback, else null.
+export function classifyByRules(taxonomyRules, fields) {
+  const corpus = [...fields.titles, ...fields.categories, ...fields.subcategories, ...fields.tags];
+  for (const rule of taxonomyRules.rules) {
+    const matched =
+      matchesAny(rule.terms, corpus) ||
+      matchesAny(rule.categories, fields.categories) ||
+      matchesAny(rule.tags, fields.tags);
+    if (!matched) continue;
+    const topic = rule.topics.find((t) => matchesAny(t.terms, corpus))?.topic ?? rule.defaultTopic;
+    return {
+      domain: rule.domain,
+      subdomain: rule.subdomain,
+      topic,
+      method: "rules",
+      ruleId: rule.id,
+    };
+  }
+  if (fields.categories.length > 0 || fields.subcategories.length > 0 || fields.tags.length > 0) {
+    const { domains, topic } = taxonomyRules.categoryFallback;
+    return {
+      domain: domains.find((d) => matchesAny(d.categories, fields.categories))?.domain ?? "other",
+      subdomain: fields.subcategories[0] ?? fields.tags[0] ?? "other",
+      topic,
+      method: "category_fallback",
+      ruleId: null,
+    };
+  }
+  return null;
+}
+
+// Question boilerplate that says nothing about the topic.
+const STOPWORDS = new Set(
+  "a an and at be before by for in is of on or than the this to will win wins with".split(" ")
+);
+
+// Classifier features: title words (2+ letters, no numbers or stopwords) plus
+// whole categories and tags as `cat:` / `tag:` tokens.
+export function taxonomyTokens(fields) {
+  const words = fields.titles
+    .flatMap((text) => text.match(/[a-z][a-z0-9]+/g) ?? [])
+    .filter((word) => !STOPWORDS.has(word));
+  const asToken = (prefix, value) => `${prefix}:${value.trim().replace(/\s+/g, "_")}`;
+  return [
+    ...words,
+    ...fields.categories.map((c) => asToken("cat", c)),
+    ...fields.subcategories.map((c) => asToken("cat", c)),
+    ...fields.tags.map((t) => asToken("tag", t)),
+  ];
+}
+
+function termCounts(tokens) {
+  const counts = new Map();
+  for (const token of tokens) counts.set(token, (counts.get(token) ?? 0) + 1);
+  return counts;
+}
+
+// Length-normalized (L2) TF-IDF weights of a document as [vocabulary index,
+// weight]. Tokens outside the vocabulary count towards the norm at the idf of
+// an unseen term, so a market described mostly in unfamiliar words carries
+// little evidence and its prediction stays close to the class prior.
+function docWeights(counts, index, idf, unseenIdf) {
+  const weights = [];
+  let norm = 0;
+  for (const [token, tf] of counts) {
+    const j = index.get(token);
+    const w = (1 + Math.log(tf)) * (j === undefined ? unseenIdf : idf[j]);
+    norm += w * w;
+    if (j !== undefined) weights.push([j, w]);
+  }
+  norm = Math.sqrt(norm);
+  return norm > 0 ? weights.map(([j, w]) => [j, w / norm]) : weights;
+}
+
+export function taxonomyLabelKey(label) {
+  return `${label.domain}|${label.subdomain}|${label.topic}`;
+}
+
+// Multinomial naive Bayes over normalized TF-IDF weights, one class per
+// (domain, subdomain, topic) triple so predictions are always consistent.
+// `examples` are `{ tokens, label: { domain, subdomain, topic } }`.
+export function trainTaxonomyModel(examples, { alpha = 1 } = {}) {
+  const vocabulary = new Map();
+  const docFreq = [];
+  const docs = examples.map((ex) => {
+    const counts = termCounts(ex.tokens);
+    for (const token of counts.keys()) {
+      if (!vocabulary.has(token)) {
+        vocabulary.set(token, vocabulary.size);
+        docFreq.push(0);
+      }
+      docFreq[vocabulary.get(token)]++;
+    }
+    return { counts, key: taxonomyLabelKey(ex.label), label: ex.label };
+  });
+  const n = docs.length;
+  const idf = docFreq.map((df) => Math.log((1 + n) / (1 + df)) + 1);
+  const unseenIdf = Math.log(1 + n) + 1;
+
+  const classes = new Map();
+  for (const doc of docs) {
+    if (!classes.has(doc.key)) {
+      classes.set(doc.key, {
+        ...doc.label,
+        docCount: 0,
+        weights: new Array(vocabulary.size).fill(0),
+      });
+    }
+    const cls = classes.get(doc.key);
+    cls.docCount++;
+    for (const [j, w] of docWeights(doc.counts, vocabulary, idf, unseenIdf)) cls.weights[j] += w;
+  }
+  const v = vocabulary.size;
+  return {
+    modelVersion: TAXONOMY_MODEL_VERSION,
+    alpha,
+    vocabulary: [...vocabulary.keys()],
+    idf,
+    unseenIdf,
+    classes: [...classes.values()].map(({ weights, ...cls }) => {
+      const total = weights.reduce((a, b) => a + b, 0);
+      return {
+        ...cls,
+        logPrior: Math.log(cls.docCount / n),
+        logLikelihood: weights.map((w) => Math.log((w + alpha) / (total + alpha * v))),
+      };
+    }),
+  };
+}
+
+// Returns `predict(tokens)`: the most likely class with its posterior as
+// `confidence` and the summed posterior of its domain as `domainConfidence`;
+// null when no token is in the vocabulary.
+export function createTaxonomyPredictor(model) {
+  const index = new Map(model.vocabulary.map((token, j) => [token, j]));
+  return (tokens) => {
+    const features = docWeights(termCounts(tokens), index, model.idf, model.unseenIdf);
+    if (features.length === 0 || model.classes.length === 0) return null;
+    return posteriorArgmax(model, features);
+  };
+}
+
+function posteriorArgmax(model, features) {
+  const scores = model.classes.map(
+    (cls) => cls.logPrior + features.reduce((s, [j, w]) => s + w * cls.logLikelihood[j], 0)
+  );
+  const max = Math.max(...scores);
+  const exp = scores.map((s) => Math.exp(s - max));
+  const z = exp.reduce((a, b) => a + b, 0);
+  const posteriors = exp.map((e) => e / z);
+  let best = 0;
+  for (let i = 1; i < posteriors.length; i++) if (posteriors[i] > posteriors[best]) best = i;
+  const { domain, subdomain, topic } = model.classes[best];
+  return {
+    domain,
+    subdomain,
+    topic,
+    confidence: posteriors[best],
+    domainConfidence: model.classes.reduce(
+      (s, cls, i) => (cls.domain === domain ? s + posteriors[i] : s),
+      0
+    ),
+  };
+}
+
+export async function loadTaxonomyModel(modelPath = DEFAULT_TAXONOMY_MODEL_PATH) {
+  const model = JSON.parse(await fs.readFile(path.resolve(modelPath), "utf8"));
+  if (model.modelVersion !== TAXONOMY_MODEL_VERSION) {
+    throw new Error(
+      `Taxonomy model ${modelPath} has version ${model.modelVersion}, expected ${TAXONOMY_MODEL_VERSION}; re-run taxonomy:train`
+    );
+  }
+  return model;
+}
+
+// Taxonomy label for a row. `predict` (from createTaxonomyPredictor) is
+// optional; without it rows the rules do not cover go straight to the
+// category fallback.
+export function classifyTaxonomy(row, { rules, predict = null }) {
+  const fields = taxonomyFields(row);
+  const byRules = classifyByRules(rules, fields);
+  let label = byRules?.method === "rules" ? byRules : null;
+  if (label === null && predict) {
+    const predicted = predict(taxonomyTokens(fields));
+    if (predicted && predicted.confidence >= rules.minConfidence) {
+      label = { ...predicted, method: "classifier", ruleId: null };
+    }
+  }
+  label ??= byRules ?? {
+    domain: "other",
+    subdomain: "other",
+    topic: "unknown",
+    method: "none",
+    ruleId: null,
+  };
+  return {
+    domain: label.domain,
+    subdomain: label.subdomain,
+    topic: label.topic,
+    source: label.method === "none" ? "heuristic" : "market_metadata",
+    method: label.method,
+    ruleId: label.ruleId,
+    confidence: label.method === "classifier" ? label.confidence : null,
+  };
+}
@@ -0,0 +1,78 @@
+import fs from "node:fs/promises";
+import http from "node:http";
+import path from "node:path";
+import { parseArgs } from "node:util";
+
+// Local stand-in for the Replay Lab API that serves recorded order book
+// responses. Recordings use the same layout `ingest:orderbooks` writes to
+// data/orderbooks (`<venue>/<encoded symbolId>/<YYYY-MM-DDTHH>.json`), so a
+// captured run can be replayed offline:
+//
+//   pnpm mock:replay-lab --port 4010
+//   REPLAY_LAB_API_URL=http://127.0.0.1:4010 REPLAY_LAB_API_KEY=test pnpm ingest:orderbooks
+
+const { values: args } = parseArgs({
+  options: {
+    port: { type: "string", default: "4010" },
+    dir: { type: "string", default: path.join("fixtures", "replay-lab", "orderbooks") },
+  },
+});
+
+const recordingsDir = path.resolve(args.dir);
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "content-type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+async function readRecording(venue, bookId, startIso) {
+  const bucket = new Date(startIso).toISOString().slice(0, 13);
+  const filePath = path.join(recordingsDir, venue, encodeURIComponent(bookId), `${bucket}.json`);
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return { snapshots: [] };
+    throw err;
+  }
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, "http://localhost");
+  if (!req.headers["x-api-key"]) {
+    sendJson(res, 401, { error: "missing x-api-key" });
+    return;
+  }
+  try {
+    if (url.pathname === "/api/health") {
+      sendJson(res, 200, { status: "ok", mock: true });
+      return;
+    }
+    if (url.pathname === "/api/orderbooks/snapshots") {
+      const venue = url.searchParams.get("venue");
+      const bookId = url.searchParams.get("symbolId") ?? url.searchParams.get("marketId");
+      const start = url.searchParams.get("start");
+      const end = url.searchParams.get("end");
+      if (!venue || !bookId || !start || !end || !Number.isFinite(new Date(start).getTime())) {
+        sendJson(res, 400, { error: "venue, marketId or symbolId, start and end are required" });
+        return;
+      }
+      const recording = await readRecording(venue, bookId, start);
+      const startMs = new Date(start).getTime();
+      const endMs = new Date(end).getTime();
+      const snapshots = (recording.snapshots ?? []).filter((s) => {
+        const ts = new Date(s.ts).getTime();
+        return ts >= startMs && ts < endMs;
+      });
+      sendJson(res, 200, { snapshots });
+      return;
+    }
+    sendJson(res, 404, { error: `no mock for ${url.pathname}` });
+  } catch (err) {
+    sendJson(res, 500, { error: err.message });
+  }
+});
+
+server.listen(Number(args.port), "127.0.0.1", () => {
+  console.log(`Mock Replay Lab listening on http://127.0.0.1:${args.port}`);
+  console.log(`Serving recordings from ${recordingsDir}`);
+});
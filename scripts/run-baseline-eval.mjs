@@ -1,15 +1,60 @@
 import fs from "node:fs/promises";
 import path from "node:path";
+import { parseArgs } from "node:util";
+import { DEFAULT_LABEL_SPEC_PATH, labelSpecInfo, loadLabelSpec } from "./lib/label-spec.mjs";
+import {
+  assertSameInput,
+  createLineage,
+  manifestInput,
+  readVerifiedManifest,
+} from "./lib/lineage.mjs";
+import { mean } from "./lib/math.mjs";
 
 const inputPath = path.resolve("data", "labeled_training_dataset.jsonl");
 const reportPath = path.resolve("data", "baseline_report.json");
-const PHASE_KEYS = ["T_7d_3d", "T_3d_1d", "T_24h_6h", "T_6h_1h", "T_1h_close"];
+const summaryPath = path.resolve("data", "label_summary.json");
 
-function mean(values) {
-  if (values.length === 0) {
-    return null;
-  }
-  return values.reduce((a, b) => a + b, 0) / values.length;
+const { values: args } = parseArgs({
+  options: {
+    spec: { type: "string", default: DEFAULT_LABEL_SPEC_PATH },
+  },
+});
+
+let labelSpec;
+try {
+  labelSpec = await loadLabelSpec(args.spec);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+const PHASE_KEYS = labelSpec.resolutionPhases.map((p) => p.key);
+const HORIZON_KEYS = labelSpec.horizons.map((h) => h.key);
+
+// Evaluating labels produced under a different spec would silently mix
+// phase buckets, so refuse unless the versions match.
+const labelSummary = JSON.parse(await fs.readFile(summaryPath, "utf8"));
+const labeledWith = labelSummary.labelSpec?.version ?? null;
+if (labeledWith !== labelSpec.version) {
+  console.error(
+    `Label spec mismatch: labels were generated with ${labeledWith ?? "an unversioned spec"}, ` +
+      `evaluation uses ${labelSpec.version} (${labelSpec.path})`
+  );
+  process.exit(1);
+}
+
+// The summary and the labeled rows must come from the same labeling run.
+let labelsManifest;
+try {
+  labelsManifest = await readVerifiedManifest(inputPath, "labels:generate");
+  assertSameInput(
+    "label_summary.json",
+    labelSummary.lineage ? manifestInput(labelSummary.lineage) : null,
+    manifestInput(labelsManifest),
+    "re-run labels:generate"
+  );
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
 }
 
 const raw = await fs.readFile(inputPath, "utf8");
@@ -19,9 +64,6 @@ const rows = raw
   .filter(Boolean)
   .map((line) => JSON.parse(line));
 
-const horizon15m = rows.map((r) => r.labels?.["15m"]).filter(Boolean);
-const horizon1h = rows.map((r) => r.labels?.["1h"]).filter(Boolean);
-const horizon3h = rows.map((r) => r.labels?.["3h"]).filter(Boolean);
 const resolutionAnchored = rows
   .map((r) => r.labels?.resolutionAnchored)
   .filter(Boolean);
@@ -73,6 +115,27 @@ for (const phase of PHASE_KEYS) {
   };
 }
 
+// Scale-in labels per phase: how much splitting the entry between now and one
+// later sighting adds, and how often each kind of entry is the optimum.
+const scaleInByPhase = {};
+for (const phase of PHASE_KEYS) {
+  const labels = rows
+    .filter((r) => r.labels?.resolutionAnchored?.phaseNow === phase)
+    .map((r) => r.labels?.scaleIn)
+    .filter((l) => l && !l.censored);
+  scaleInByPhase[phase] = {
+    labelCount: labels.length,
+    meanUpliftOverAllNow: mean(labels.map((l) => l.upliftOverAllNow)),
+    meanUpliftOverAllOrNothing: mean(labels.map((l) => l.upliftOverAllOrNothing)),
+    ...Object.fromEntries(
+      ["all_now", "scale_in", "all_later"].map((d) => [
+        `share_${d}`,
+        mean(labels.map((l) => (l.decision === d ? 1 : 0))),
+      ])
+    ),
+  };
+}
+
 const taxonomyRows = rows
   .map((r) => ({
     taxonomy: r.labels?.taxonomy,
@@ -100,21 +163,155 @@ for (const domain of domains) {
   };
 }
 
+const strategies = [...new Set(rows.map((r) => r.strategyType ?? "unknown"))];
+const byStrategy = {};
+for (const strategy of strategies) {
+  const inStrategy = rows.filter((r) => (r.strategyType ?? "unknown") === strategy);
+  const res = inStrategy.map((r) => r.labels?.resolutionAnchored).filter(Boolean);
+  const policyDelta = res
+    .map((l) => l.deltaNetPnlPolicyWindowAtNowSize)
+    .filter((x) => x !== null && Number.isFinite(x));
+  const buyNowBeats = res
+    .map((l) => (l.buyNowBeatsWaitWindow === null ? null : l.buyNowBeatsWaitWindow ? 1 : 0))
+    .filter((x) => x !== null);
+  byStrategy[strategy] = {
+    rowCount: inStrategy.length,
+    resolutionAnchoredCount: res.length,
+    policyWindowLabelCount: policyDelta.length,
+    meanDeltaNetPnlPolicyWindowAtNowSize: mean(policyDelta),
+    probBuyNowBeatsWaitWindow: mean(buyNowBeats),
+  };
+}
+
+// Per-leg price movement by venue, for deciding whether to leg in on one venue
+// first. Venue rates are fitted on the earliest 70% of rows by decision time
+// and scored on the rest against venue-blind ones: a positive skill means the
+// venue alone says something about how a leg's price will move.
+const chronological = rows
+  .filter((r) => r.decisionTs)
+  .sort((a, b) => new Date(a.decisionTs) - new Date(b.decisionTs));
+const holdoutStart = Math.floor(chronological.length * 0.7);
+
+function venueMeans(legs, pick) {
+  const pooled = mean(legs.map(pick).filter((x) => x !== null));
+  const byVenue = new Map();
+  for (const leg of legs) {
+    const x = pick(leg);
+    if (x === null) continue;
+    const venue = leg.venue ?? "unknown";
+    if (!byVenue.has(venue)) byVenue.set(venue, []);
+    byVenue.get(venue).push(x);
+  }
+  return { pooled, byVenue: new Map([...byVenue].map(([v, xs]) => [v, mean(xs)])) };
+}
+
+// Mean squared error on `test` of the pooled and per-venue means from `train`,
+// and the skill of the venue means over the pooled one.
+function venueSkill(train, test, pick) {
+  const fit = venueMeans(train, pick);
+  const scored = test.filter((leg) => pick(leg) !== null);
+  if (fit.pooled === null || scored.length === 0) {
+    return { testLegs: scored.length, msePooled: null, mseByVenue: null, venueSkill: null };
+  }
+  const mse = (predict) => mean(scored.map((leg) => (predict(leg) - pick(leg)) ** 2));
+  const msePooled = mse(() => fit.pooled);
+  const mseByVenue = mse((leg) => fit.byVenue.get(leg.venue ?? "unknown") ?? fit.pooled);
+  return {
+    testLegs: scored.length,
+    msePooled,
+    mseByVenue,
+    venueSkill: msePooled > 0 ? 1 - mseByVenue / msePooled : null,
+  };
+}
+
+const legMovementByVenue = {};
+for (const key of HORIZON_KEYS) {
+  const labels = (part) => part.map((r) => r.labels?.[key]).filter(Boolean);
+  const legsOf = (part) => labels(part).flatMap((l) => l.legs ?? []);
+  const driversOf = (part) =>
+    labels(part)
+      .filter((l) => l.edgeDriverLegIndex !== null && l.edgeDriverLegIndex !== undefined)
+      .map((l) => l.edgeDriverVenue ?? "unknown");
+  const improves = (leg) => (leg.improvesPrice === null ? null : leg.improvesPrice ? 1 : 0);
+  const improvement = (leg) =>
+    leg.priceImprovement === null || !Number.isFinite(leg.priceImprovement)
+      ? null
+      : leg.priceImprovement;
+
+  const allLegs = legsOf(rows);
+  const allDrivers = driversOf(rows);
+  const venues = [...new Set(allLegs.map((leg) => leg.venue ?? "unknown"))].sort();
+  const trainRows = chronological.slice(0, holdoutStart);
+  const testRows = chronological.slice(holdoutStart);
+  const trainDrivers = driversOf(trainRows);
+  const testDrivers = driversOf(testRows);
+  const majority =
+    venues
+      .map((venue) => [venue, trainDrivers.filter((d) => d === venue).length])
+      .sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+
+  legMovementByVenue[key] = {
+    rowsWithEdgeDriver: allDrivers.length,
+    byVenue: Object.fromEntries(
+      venues.map((venue) => {
+        const legs = allLegs.filter((leg) => (leg.venue ?? "unknown") === venue);
+        return [
+          venue,
+          {
+            legLabelCount: legs.length,
+            meanPriceImprovement: mean(legs.map(improvement).filter((x) => x !== null)),
+            probImprovesPrice: mean(legs.map(improves).filter((x) => x !== null)),
+            edgeDriverShare:
+              allDrivers.length === 0
+                ? null
+                : allDrivers.filter((d) => d === venue).length / allDrivers.length,
+          },
+        ];
+      })
+    ),
+    holdout: {
+      trainRows: trainRows.length,
+      testRows: testRows.length,
+      improvesPrice: venueSkill(legsOf(trainRows), legsOf(testRows), improves),
+      priceImprovement: venueSkill(legsOf(trainRows), legsOf(testRows), improvement),
+      edgeDriverTrainMajorityVenue: majority,
+      edgeDriverMajorityAccuracy:
+        majority === null || testDrivers.length === 0
+          ? null
+          : testDrivers.filter((d) => d === majority).length / testDrivers.length,
+    },
+  };
+}
+
 const report = {
   generatedAt: new Date().toISOString(),
+  labelSpec: labelSpecInfo(labelSpec),
+  lineage: createLineage({
+    stage: "baseline:eval",
+    labelSpecVersion: labelSpec.version,
+    inputs: { labels: manifestInput(labelsManifest) },
+    upstream: { labels: labelsManifest },
+  }),
   sampleSize: rows.length,
   metrics: {
-    horizon15m: summarizeHorizon(horizon15m),
-    horizon1h: summarizeHorizon(horizon1h),
-    horizon3h: summarizeHorizon(horizon3h),
+    ...Object.fromEntries(
+      HORIZON_KEYS.map((key) => [
+        `horizon${key}`,
+        summarizeHorizon(rows.map((r) => r.labels?.[key]).filter(Boolean)),
+      ])
+    ),
     resolutionAnchoredCount: resolutionAnchored.length,
     byResolutionPhase: byPhase,
+    scaleInByResolutionPhase: scaleInByPhase,
     byTaxonomyDomain,
+    byStrategy,
+    legMovementByVenue,
   },
   notes: [
     "This baseline reads from labeled_training_dataset.jsonl.",
-    "Resolution-anchored labels are capped to a 7-day lookahead window for the current 30-day dataset.",
+    `Resolution-anchored labels are capped to a ${labelSpec.spec.maxModelWindowHours}h lookahead window (label spec ${labelSpec.version}).`,
     "Primary policy-aligned targets are deltaNetPnlPolicyWindowAtNowSize (regression) and buyNowBeatsWaitWindow (classification).",
+    "legMovementByVenue.holdout scores per-venue rates fitted on the earliest 70% of rows against venue-blind rates on the rest (MSE; improvesPrice MSE is the Brier score).",
   ],
 };
 
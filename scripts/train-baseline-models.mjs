@@ -1,79 +1,44 @@
 import fs from "node:fs/promises";
 import path from "node:path";
+import { parseArgs } from "node:util";
+import {
+  applyCensoring,
+  CENSORING_ARG_OPTIONS,
+  censoringCounts,
+  fitIpcwModel,
+  resolveCensoringArgs,
+} from "./lib/censoring.mjs";
+import {
+  FEATURE_ARG_OPTIONS,
+  fitFeaturePipeline,
+  loadFeaturePipeline,
+  prepareRows,
+  resolveFeatureArgs,
+} from "./lib/features.mjs";
+import { auditLeakage, leakageError } from "./lib/leakage.mjs";
+import { createLineage, manifestInput, readVerifiedManifest } from "./lib/lineage.mjs";
+import { aucRoc, clip, dot, mean, sigmoid } from "./lib/math.mjs";
 
 const inputPath = path.resolve("data", "labeled_training_dataset.jsonl");
 const reportPath = path.resolve("data", "model_baseline_report.json");
 const modelPath = path.resolve("data", "model_baseline_artifacts.json");
 
-const DOMAIN_KEYS = ["politics", "sports", "finance", "technology", "culture", "other"];
-
-function safeNum(v) {
-  if (v === null || v === undefined || v === "") {
-    return null;
-  }
-  const n = Number(v);
-  return Number.isFinite(n) ? n : null;
-}
-
-function mean(values) {
-  if (values.length === 0) {
-    return null;
-  }
-  return values.reduce((a, b) => a + b, 0) / values.length;
-}
-
-function variance(values, mu) {
-  if (values.length === 0 || mu === null) {
-    return null;
-  }
-  return mean(values.map((v) => (v - mu) ** 2));
-}
-
-function std(values, mu) {
-  const v = variance(values, mu);
-  return v === null ? null : Math.sqrt(v);
-}
-
-function sigmoid(z) {
-  if (z >= 0) {
-    const ez = Math.exp(-z);
-    return 1 / (1 + ez);
-  }
-  const ez = Math.exp(z);
-  return ez / (1 + ez);
-}
-
-function dot(a, b) {
-  let s = 0;
-  for (let i = 0; i < a.length; i++) {
-    s += a[i] * b[i];
-  }
-  return s;
-}
-
-function clip(v, lo, hi) {
-  return Math.max(lo, Math.min(hi, v));
+const { values: args } = parseArgs({
+  options: { ...CENSORING_ARG_OPTIONS, ...FEATURE_ARG_OPTIONS },
+});
+let censoring;
+let featureSelection;
+let labelsManifest;
+try {
+  censoring = resolveCensoringArgs(args);
+  featureSelection = resolveFeatureArgs(args, "decision");
+  labelsManifest = await readVerifiedManifest(inputPath, "labels:generate");
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
 }
 
-function aucRoc(yTrue, yScore) {
-  if (yTrue.length === 0 || yScore.length !== yTrue.length) {
-    return null;
-  }
-  const pairs = yTrue.map((y, i) => ({ y, s: yScore[i] }));
-  const pos = pairs.filter((p) => p.y === 1).length;
-  const neg = pairs.filter((p) => p.y === 0).length;
-  if (pos === 0 || neg === 0) {
-    return null;
-  }
-  pairs.sort((a, b) => a.s - b.s);
-  let rankSumPos = 0;
-  for (let i = 0; i < pairs.length; i++) {
-    if (pairs[i].y === 1) {
-      rankSumPos += i + 1;
-    }
-  }
-  return (rankSumPos - (pos * (pos + 1)) / 2) / (pos * neg);
-}
+const DOMAIN_KEYS = ["politics", "sports", "finance", "technology", "culture", "other"];
 
 function classificationMetrics(yTrue, yProb, threshold = 0.5) {
   const yPred = yProb.map((p) => (p >= threshold ? 1 : 0));
@@ -133,48 +98,6 @@ function regressionMetrics(yTrue, yPred) {
   };
 }
 
-function oneHotValue(value, buckets) {
-  const out = new Array(buckets.length).fill(0);
-  const idx = buckets.indexOf(value);
-  if (idx >= 0) out[idx] = 1;
-  return out;
-}
-
-function prepareRows(rows) {
-  const enriched = [];
-  for (const row of rows) {
-    const labels = row.labels?.resolutionAnchored ?? null;
-    const tax = row.labels?.taxonomy ?? null;
-    if (!labels || !tax) {
-      continue;
-    }
-    const decisionTsMs = new Date(row.decisionTs).getTime();
-    if (!Number.isFinite(decisionTsMs)) {
-      continue;
-    }
-    enriched.push({
-      ...row,
-      _decisionTsMs: decisionTsMs,
-      _regTarget: safeNum(labels.deltaNetPnlPolicyWindowAtNowSize),
-      _clsTarget:
-        labels.buyNowBeatsWaitWindow === null || labels.buyNowBeatsWaitWindow === undefined
-          ? null
-          : labels.buyNowBeatsWaitWindow
-            ? 1
-            : 0,
-      _censored: Boolean(labels.labelCensoredPolicyWindow),
-      _phaseNow: labels.phaseNow ?? "unknown",
-      _ttrHours: safeNum(labels.timeToResolutionHoursNow),
-      _policyWindowHours: safeNum(labels.policyWindowHours),
-      _taxonomyDomain: tax.domain ?? "other",
-      _taxonomySubdomain: tax.subdomain ?? "other",
-      _taxonomyTopic: tax.topic ?? "unknown",
-    });
-  }
-  enriched.sort((a, b) => a._decisionTsMs - b._decisionTsMs);
-  return enriched;
-}
-
 function splitChronological(rows, trainFrac = 0.7, validFrac = 0.15) {
   const n = rows.length;
   const trainEnd = Math.max(1, Math.floor(n * trainFrac));
@@ -186,73 +109,14 @@ function splitChronological(rows, trainFrac = 0.7, validFrac = 0.15) {
   };
 }
 
-function buildFeatureSchema(trainRows) {
-  const phaseBuckets = [...new Set(trainRows.map((r) => r._phaseNow))].sort();
-  const domainBuckets = [...new Set(trainRows.map((r) => r._taxonomyDomain))].sort();
-  const leg1VenueBuckets = [...new Set(trainRows.map((r) => r.leg1Venue ?? "unknown"))].sort();
-  const leg2VenueBuckets = [...new Set(trainRows.map((r) => r.leg2Venue ?? "unknown"))].sort();
-  const leg1IntentBuckets = [...new Set(trainRows.map((r) => r.leg1OrderIntent ?? "unknown"))].sort();
-  const leg2IntentBuckets = [...new Set(trainRows.map((r) => r.leg2OrderIntent ?? "unknown"))].sort();
-
-  return {
-    numericKeys: [
-      "expectedEdgeAtDecision",
-      "targetContractsAtDecision",
-      "minKernelContractsAtDecision",
-      "avgLegPriceAtDecision",
-      "budgetUsdAtDecision",
-      "requestUsd",
-      "availableUsd",
-      "legCount",
-      "_ttrHours",
-      "_policyWindowHours",
-    ],
-    phaseBuckets,
-    domainBuckets,
-    leg1VenueBuckets,
-    leg2VenueBuckets,
-    leg1IntentBuckets,
-    leg2IntentBuckets,
-  };
-}
-
-function fitScaler(trainRows, numericKeys) {
-  const stats = {};
-  for (const key of numericKeys) {
-    const values = trainRows.map((r) => safeNum(r[key])).filter((x) => x !== null);
-    const mu = mean(values);
-    const sd = std(values, mu);
-    stats[key] = {
-      mean: mu ?? 0,
-      std: sd && sd > 1e-8 ? sd : 1,
-    };
-  }
-  return stats;
-}
-
-function buildVector(row, schema, scalerStats) {
-  const x = [1];
-
-  for (const key of schema.numericKeys) {
-    const v = safeNum(row[key]);
-    const s = scalerStats[key];
-    const z = v === null ? 0 : (v - s.mean) / s.std;
-    x.push(z);
-  }
-
-  x.push(...oneHotValue(row._phaseNow, schema.phaseBuckets));
-  x.push(...oneHotValue(row._taxonomyDomain, schema.domainBuckets));
-  x.push(...oneHotValue(row.leg1Venue ?? "unknown", schema.leg1VenueBuckets));
-  x.push(...oneHotValue(row.leg2Venue ?? "unknown", schema.leg2VenueBuckets));
-  x.push(...oneHotValue(row.leg1OrderIntent ?? "unknown", schema.leg1IntentBuckets));
-  x.push(...oneHotValue(row.leg2OrderIntent ?? "unknown", schema.leg2IntentBuckets));
-  return x;
-}
-
-function ridgeTrain(X, y, { lr = 0.01, epochs = 1200, lambda = 0.1 } = {}) {
+// `sampleWeights` (e.g. IPCW) scale each row's loss; gradients are averaged
+// over the total weight, so unit weights match the unweighted fit.
+function ridgeTrain(X, y, { lr = 0.01, epochs = 1200, lambda = 0.1, sampleWeights = null } = {}) {
   const n = X.length;
   const d = X[0].length;
   const w = new Array(d).fill(0);
+  const sw = sampleWeights ?? new Array(n).fill(1);
+  const totalWeight = sw.reduce((a, b) => a + b, 0);
 
   for (let epoch = 0; epoch < epochs; epoch++) {
     const grad = new Array(d).fill(0);
@@ -260,7 +124,7 @@ function ridgeTrain(X, y, { lr = 0.01, epochs = 1200, lambda = 0.1 } = {}) {
       const pred = dot(w, X[i]);
       const err = pred - y[i];
       for (let j = 0; j < d; j++) {
-        grad[j] += (2 / n) * err * X[i][j];
+        grad[j] += (2 / totalWeight) * sw[i] * err * X[i][j];
       }
     }
     for (let j = 1; j < d; j++) {
@@ -276,25 +140,27 @@ function ridgeTrain(X, y, { lr = 0.01, epochs = 1200, lambda = 0.1 } = {}) {
 function logisticTrain(
   X,
   y,
-  { lr = 0.02, epochs = 1500, lambda = 0.1, positiveClassWeight = 1.0 } = {}
+  { lr = 0.02, epochs = 1500, lambda = 0.1, positiveClassWeight = 1.0, sampleWeights = null } = {}
 ) {
   const n = X.length;
   const d = X[0].length;
   const w = new Array(d).fill(0);
+  const sw = sampleWeights ?? new Array(n).fill(1);
+  const totalWeight = sw.reduce((a, b) => a + b, 0);
 
   for (let epoch = 0; epoch < epochs; epoch++) {
     const grad = new Array(d).fill(0);
     for (let i = 0; i < n; i++) {
       const z = dot(w, X[i]);
       const p = sigmoid(z);
-      const weight = y[i] === 1 ? positiveClassWeight : 1;
+      const weight = (y[i] === 1 ? positiveClassWeight : 1) * sw[i];
       const err = (p - y[i]) * weight;
       for (let j = 0; j < d; j++) {
         grad[j] += err * X[i][j];
       }
     }
     for (let j = 0; j < d; j++) {
-      grad[j] /= n;
+      grad[j] /= totalWeight;
     }
     for (let j = 1; j < d; j++) {
       grad[j] += 2 * lambda * w[j];
@@ -314,11 +180,11 @@ function predictProba(X, w) {
   return X.map((x) => sigmoid(dot(w, x)));
 }
 
-function subsetByDomain(rows, yTrue, yPred, domain) {
+function subsetBy(rows, yTrue, yPred, key, value) {
   const t = [];
   const p = [];
   for (let i = 0; i < rows.length; i++) {
-    if (rows[i]._taxonomyDomain === domain) {
+    if (rows[i][key] === value) {
       t.push(yTrue[i]);
       p.push(yPred[i]);
     }
@@ -333,23 +199,32 @@ const rawRows = raw
   .filter(Boolean)
   .map((line) => JSON.parse(line));
 
-const rows = prepareRows(rawRows);
+const rows = prepareRows(rawRows, { targets: true });
 const split = splitChronological(rows);
-const schema = buildFeatureSchema(split.train);
-const scaler = fitScaler(split.train, schema.numericKeys);
+const features = fitFeaturePipeline(split.train, featureSelection.numericKeys);
+const { schema, vector } = loadFeaturePipeline(features);
+const leakageAudit = auditLeakage(schema, rows);
+if (leakageAudit.violations.length > 0) {
+  console.error(leakageError("train:baseline", leakageAudit).message);
+  process.exit(1);
+}
 
-const buildDataset = (sourceRows, task) => {
-  const filtered = sourceRows.filter((r) => {
-    if (task === "regression") {
-      return !r._censored && r._regTarget !== null;
-    }
-    return !r._censored && r._clsTarget !== null;
-  });
-  const X = filtered.map((r) => buildVector(r, schema, scaler));
+const ipcwModel = censoring.mode === "ipcw" ? fitIpcwModel(split.train) : null;
+
+const buildDataset = (sourceRows, task, censoringConfig = censoring) => {
+  const filtered = applyCensoring(sourceRows, censoringConfig, ipcwModel).filter((r) =>
+    task === "regression" ? r._regTarget !== null : r._clsTarget !== null
+  );
+  const X = filtered.map(vector);
   const y = filtered.map((r) => (task === "regression" ? r._regTarget : r._clsTarget));
-  return { rows: filtered, X, y };
+  return { rows: filtered, X, y, weights: filtered.map((r) => r._weight) };
 };
 
+// Test metrics on rows with an observed wait candidate only vs every row with
+// censored ones imputed, whatever mode was used to train, to expose the bias.
+const observedOnly = { mode: "drop", censoredWait: censoring.censoredWait };
+const allRowsImputed = { mode: "impute", censoredWait: censoring.censoredWait };
+
 const regTrain = buildDataset(split.train, "regression");
 const regValid = buildDataset(split.valid, "regression");
 const regTest = buildDataset(split.test, "regression");
@@ -358,6 +233,7 @@ const regW = ridgeTrain(regTrain.X, regTrain.y, {
   lr: 0.01,
   epochs: 1400,
   lambda: 0.2,
+  sampleWeights: regTrain.weights,
 });
 
 const regPredTrain = predictLinear(regTrain.X, regW).map((v) => clip(v, -5000, 5000));
@@ -376,23 +252,45 @@ const clsW = logisticTrain(clsTrain.X, clsTrain.y, {
   epochs: 1800,
   lambda: 0.1,
   positiveClassWeight: posWeight,
+  sampleWeights: clsTrain.weights,
 });
 
 const clsProbTrain = predictProba(clsTrain.X, clsW);
 const clsProbValid = predictProba(clsValid.X, clsW);
 const clsProbTest = predictProba(clsTest.X, clsW);
 
+// Test rows may carry strategies the training split never saw; report them too.
+const strategiesIn = (rowsIn) => [...new Set(rowsIn.map((r) => r._strategyType))].sort();
+
 const regression = {
   target: "deltaNetPnlPolicyWindowAtNowSize",
   train: regressionMetrics(regTrain.y, regPredTrain),
   valid: regressionMetrics(regValid.y, regPredValid),
   test: regressionMetrics(regTest.y, regPredTest),
+  testByCensoring: Object.fromEntries(
+    Object.entries({ observedOnly, allRowsImputed }).map(([key, config]) => {
+      const ds = buildDataset(split.test, "regression", config);
+      return [
+        key,
+        regressionMetrics(
+          ds.y,
+          predictLinear(ds.X, regW).map((v) => clip(v, -5000, 5000))
+        ),
+      ];
+    })
+  ),
   byDomainOnTest: Object.fromEntries(
     DOMAIN_KEYS.map((domain) => {
-      const s = subsetByDomain(regTest.rows, regTest.y, regPredTest, domain);
+      const s = subsetBy(regTest.rows, regTest.y, regPredTest, "_taxonomyDomain", domain);
       return [domain, regressionMetrics(s.yTrue, s.yPred)];
     })
   ),
+  byStrategyOnTest: Object.fromEntries(
+    strategiesIn(regTest.rows).map((strategy) => {
+      const s = subsetBy(regTest.rows, regTest.y, regPredTest, "_strategyType", strategy);
+      return [strategy, regressionMetrics(s.yTrue, s.yPred)];
+    })
+  ),
 };
 
 const classification = {
@@ -400,16 +298,37 @@ const classification = {
   train: classificationMetrics(clsTrain.y, clsProbTrain),
   valid: classificationMetrics(clsValid.y, clsProbValid),
   test: classificationMetrics(clsTest.y, clsProbTest),
+  testByCensoring: Object.fromEntries(
+    Object.entries({ observedOnly, allRowsImputed }).map(([key, config]) => {
+      const ds = buildDataset(split.test, "classification", config);
+      return [key, classificationMetrics(ds.y, predictProba(ds.X, clsW))];
+    })
+  ),
   byDomainOnTest: Object.fromEntries(
     DOMAIN_KEYS.map((domain) => {
-      const s = subsetByDomain(clsTest.rows, clsTest.y, clsProbTest, domain);
+      const s = subsetBy(clsTest.rows, clsTest.y, clsProbTest, "_taxonomyDomain", domain);
       return [domain, classificationMetrics(s.yTrue, s.yPred)];
     })
   ),
+  byStrategyOnTest: Object.fromEntries(
+    strategiesIn(clsTest.rows).map((strategy) => {
+      const s = subsetBy(clsTest.rows, clsTest.y, clsProbTest, "_strategyType", strategy);
+      return [strategy, classificationMetrics(s.yTrue, s.yPred)];
+    })
+  ),
 };
 
+const lineage = createLineage({
+  stage: "train:baseline",
+  labelSpecVersion: labelsManifest.labelSpecVersion,
+  inputs: { labels: manifestInput(labelsManifest) },
+  params: { censoring, featureFamilies: featureSelection.families },
+  upstream: { labels: labelsManifest },
+});
+
 const report = {
   generatedAt: new Date().toISOString(),
+  lineage,
   sample: {
     totalRows: rows.length,
     splitRows: {
@@ -431,22 +350,38 @@ const report = {
         negative: neg,
       },
     },
+    censoring: {
+      ...censoring,
+      statusCounts: {
+        train: censoringCounts(split.train),
+        valid: censoringCounts(split.valid),
+        test: censoringCounts(split.test),
+      },
+      imputedTrainRows: {
+        regression: regTrain.rows.filter((r) => r._imputed).length,
+        classification: clsTrain.rows.filter((r) => r._imputed).length,
+      },
+      ipcwModel,
+    },
   },
   models: {
     regression,
     classification,
   },
+  leakageAudit,
   notes: [
     "Chronological split is used to avoid time leakage.",
-    "Rows censored for policy window labels are excluded from supervised training.",
+    `Censored policy-window rows are handled with --censoring ${censoring.mode} (--censored-wait ${censoring.censoredWait}); testByCensoring compares observed-only and imputed test rows.`,
     "Baseline uses linear/logistic models with one-hot categorical features and standardized numeric features.",
+    "leakageAudit tags each schema feature with when it is known relative to decisionTs; any post-decision or label feature fails training, and suspicious lists features whose single-feature AUC against buyNowBeatsWaitWindow is implausibly high.",
   ],
 };
 
 const artifacts = {
   generatedAt: report.generatedAt,
-  schema,
-  scaler,
+  lineage,
+  ...features,
+  censoring,
   regression: {
     algorithm: "ridge_linear",
     weights: regW,
@@ -1,60 +1,46 @@
 import fs from "node:fs/promises";
 import path from "node:path";
+import { parseArgs } from "node:util";
+import {
+  applyCensoring,
+  CENSORING_ARG_OPTIONS,
+  censoringCounts,
+  fitIpcwModel,
+  resolveCensoringArgs,
+} from "./lib/censoring.mjs";
+import {
+  FEATURE_ARG_OPTIONS,
+  fitFeaturePipeline,
+  loadFeaturePipeline,
+  prepareRows,
+  resolveFeatureArgs,
+} from "./lib/features.mjs";
+import { auditLeakage, leakageError } from "./lib/leakage.mjs";
+import { createLineage, manifestInput, readVerifiedManifest } from "./lib/lineage.mjs";
+import { aucRoc, clip, dot, mean, quantile, sigmoid } from "./lib/math.mjs";
 
 const inputPath = path.resolve("data", "labeled_training_dataset.jsonl");
 const reportPath = path.resolve("data", "model_robust_report.json");
 const artifactsPath = path.resolve("data", "model_robust_artifacts.json");
 
+const { values: args } = parseArgs({
+  options: { ...CENSORING_ARG_OPTIONS, ...FEATURE_ARG_OPTIONS },
+});
+let censoring;
+let featureSelection;
+let labelsManifest;
+try {
+  censoring = resolveCensoringArgs(args);
+  featureSelection = resolveFeatureArgs(args, "decision");
+  labelsManifest = await readVerifiedManifest(inputPath, "labels:generate");
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
 const DOMAIN_KEYS = ["politics", "sports", "finance", "technology", "culture", "other"];
 const MIN_SEGMENT_ROWS = 120;
 
-function safeNum(v) {
-  if (v === null || v === undefined || v === "") return null;
-  const n = Number(v);
-  return Number.isFinite(n) ? n : null;
-}
-function mean(values) {
-  if (values.length === 0) return null;
-  return values.reduce((a, b) => a + b, 0) / values.length;
-}
-function sigmoid(z) {
-  if (z >= 0) {
-    const ez = Math.exp(-z);
-    return 1 / (1 + ez);
-  }
-  const ez = Math.exp(z);
-  return ez / (1 + ez);
-}
-function dot(a, b) {
-  let s = 0;
-  for (let i = 0; i < a.length; i++) s += a[i] * b[i];
-  return s;
-}
-function clip(v, lo, hi) {
-  return Math.max(lo, Math.min(hi, v));
-}
-function quantile(values, q) {
-  if (values.length === 0) return null;
-  const s = [...values].sort((a, b) => a - b);
-  const idx = (s.length - 1) * q;
-  const lo = Math.floor(idx);
-  const hi = Math.ceil(idx);
-  if (lo === hi) return s[lo];
-  const frac = idx - lo;
-  return s[lo] * (1 - frac) + s[hi] * frac;
-}
-function aucRoc(yTrue, yScore) {
-  if (yTrue.length === 0 || yScore.length !== yTrue.length) return null;
-  const pairs = yTrue.map((y, i) => ({ y, s: yScore[i] }));
-  const pos = pairs.filter((p) => p.y === 1).length;
-  const neg = pairs.filter((p) => p.y === 0).length;
-  if (pos === 0 || neg === 0) return null;
-  pairs.sort((a, b) => a.s - b.s);
-  let rankSumPos = 0;
-  for (let i = 0; i < pairs.length; i++) if (pairs[i].y === 1) rankSumPos += i + 1;
-  return (rankSumPos - (pos * (pos + 1)) / 2) / (pos * neg);
-}
-
 function classificationMetrics(yTrue, yProb, threshold = 0.5) {
   const yPred = yProb.map((p) => (p >= threshold ? 1 : 0));
   let tp = 0;
@@ -97,44 +83,6 @@ function regressionMetrics(yTrue, yPred) {
   const signAccuracy = mean(yTrue.map((y, i) => (Math.sign(y) === Math.sign(yPred[i]) ? 1 : 0)));
   return { count: yTrue.length, mae, rmse, r2: sst === 0 ? null : 1 - sse / sst, signAccuracy };
 }
-function oneHotValue(value, buckets) {
-  const out = new Array(buckets.length).fill(0);
-  const idx = buckets.indexOf(value);
-  if (idx >= 0) out[idx] = 1;
-  return out;
-}
-
-function prepareRows(rows) {
-  const out = [];
-  for (const row of rows) {
-    const res = row.labels?.resolutionAnchored;
-    const tax = row.labels?.taxonomy;
-    if (!res || !tax) continue;
-    const ts = new Date(row.decisionTs).getTime();
-    if (!Number.isFinite(ts)) continue;
-    const cls =
-      res.buyNowBeatsWaitWindow === null || res.buyNowBeatsWaitWindow === undefined
-        ? null
-        : res.buyNowBeatsWaitWindow
-          ? 1
-          : 0;
-    out.push({
-      ...row,
-      _decisionTsMs: ts,
-      _regTarget: safeNum(res.deltaNetPnlPolicyWindowAtNowSize),
-      _clsTarget: cls,
-      _censored: Boolean(res.labelCensoredPolicyWindow),
-      _phaseNow: res.phaseNow ?? "unknown",
-      _ttrHours: safeNum(res.timeToResolutionHoursNow),
-      _policyWindowHours: safeNum(res.policyWindowHours),
-      _taxonomyDomain: tax.domain ?? "other",
-      _segmentKey: `${tax.domain ?? "other"}::${res.phaseNow ?? "unknown"}`,
-    });
-  }
-  out.sort((a, b) => a._decisionTsMs - b._decisionTsMs);
-  return out;
-}
-
 function splitChronological(rows, trainFrac = 0.7, validFrac = 0.15) {
   const n = rows.length;
   const trainEnd = Math.max(1, Math.floor(n * trainFrac));
@@ -142,82 +90,44 @@ function splitChronological(rows, trainFrac = 0.7, validFrac = 0.15) {
   return { train: rows.slice(0, trainEnd), valid: rows.slice(trainEnd, validEnd), test: rows.slice(validEnd) };
 }
 
-function buildSchema(trainRows) {
-  return {
-    numericKeys: [
-      "expectedEdgeAtDecision",
-      "targetContractsAtDecision",
-      "minKernelContractsAtDecision",
-      "avgLegPriceAtDecision",
-      "budgetUsdAtDecision",
-      "requestUsd",
-      "availableUsd",
-      "legCount",
-      "_ttrHours",
-      "_policyWindowHours",
-    ],
-    phaseBuckets: [...new Set(trainRows.map((r) => r._phaseNow))].sort(),
-    domainBuckets: [...new Set(trainRows.map((r) => r._taxonomyDomain))].sort(),
-    leg1VenueBuckets: [...new Set(trainRows.map((r) => r.leg1Venue ?? "unknown"))].sort(),
-    leg2VenueBuckets: [...new Set(trainRows.map((r) => r.leg2Venue ?? "unknown"))].sort(),
-    leg1IntentBuckets: [...new Set(trainRows.map((r) => r.leg1OrderIntent ?? "unknown"))].sort(),
-    leg2IntentBuckets: [...new Set(trainRows.map((r) => r.leg2OrderIntent ?? "unknown"))].sort(),
-  };
-}
-function fitScaler(trainRows, numericKeys) {
-  const stats = {};
-  for (const key of numericKeys) {
-    const values = trainRows.map((r) => safeNum(r[key])).filter((x) => x !== null);
-    const mu = mean(values) ?? 0;
-    const sigma = Math.sqrt(mean(values.map((v) => (v - mu) ** 2)) ?? 1);
-    stats[key] = { mean: mu, std: sigma > 1e-8 ? sigma : 1 };
-  }
-  return stats;
-}
-function buildVector(row, schema, scaler) {
-  const x = [1];
-  for (const key of schema.numericKeys) {
-    const v = safeNum(row[key]);
-    const s = scaler[key];
-    x.push(v === null ? 0 : (v - s.mean) / s.std);
-  }
-  x.push(...oneHotValue(row._phaseNow, schema.phaseBuckets));
-  x.push(...oneHotValue(row._taxonomyDomain, schema.domainBuckets));
-  x.push(...oneHotValue(row.leg1Venue ?? "unknown", schema.leg1VenueBuckets));
-  x.push(...oneHotValue(row.leg2Venue ?? "unknown", schema.leg2VenueBuckets));
-  x.push(...oneHotValue(row.leg1OrderIntent ?? "unknown", schema.leg1IntentBuckets));
-  x.push(...oneHotValue(row.leg2OrderIntent ?? "unknown", schema.leg2IntentBuckets));
-  return x;
-}
-
-function ridgeTrain(X, y, { lr = 0.01, epochs = 1500, lambda = 0.2 } = {}) {
+// `sampleWeights` (IPCW) are normalized by their total, so unit weights give
+// the unweighted fit.
+function ridgeTrain(X, y, { lr = 0.01, epochs = 1500, lambda = 0.2, sampleWeights = null } = {}) {
   const n = X.length;
   const d = X[0].length;
   const w = new Array(d).fill(0);
+  const sw = sampleWeights ?? new Array(n).fill(1);
+  const totalWeight = sw.reduce((a, b) => a + b, 0);
   for (let e = 0; e < epochs; e++) {
     const g = new Array(d).fill(0);
     for (let i = 0; i < n; i++) {
       const err = dot(w, X[i]) - y[i];
-      for (let j = 0; j < d; j++) g[j] += (2 / n) * err * X[i][j];
+      for (let j = 0; j < d; j++) g[j] += (2 / totalWeight) * sw[i] * err * X[i][j];
     }
     for (let j = 1; j < d; j++) g[j] += 2 * lambda * w[j];
     for (let j = 0; j < d; j++) w[j] -= lr * g[j];
   }
   return w;
 }
-function logisticTrain(X, y, { lr = 0.02, epochs = 1800, lambda = 0.1, posWeight = 1 } = {}) {
+function logisticTrain(
+  X,
+  y,
+  { lr = 0.02, epochs = 1800, lambda = 0.1, posWeight = 1, sampleWeights = null } = {}
+) {
   const n = X.length;
   const d = X[0].length;
   const w = new Array(d).fill(0);
+  const sw = sampleWeights ?? new Array(n).fill(1);
+  const totalWeight = sw.reduce((a, b) => a + b, 0);
   for (let e = 0; e < epochs; e++) {
     const g = new Array(d).fill(0);
     for (let i = 0; i < n; i++) {
       const p = sigmoid(dot(w, X[i]));
-      const weight = y[i] === 1 ? posWeight : 1;
+      const weight = (y[i] === 1 ? posWeight : 1) * sw[i];
       const err = (p - y[i]) * weight;
       for (let j = 0; j < d; j++) g[j] += err * X[i][j];
     }
-    for (let j = 0; j < d; j++) g[j] /= n;
+    for (let j = 0; j < d; j++) g[j] /= totalWeight;
     for (let j = 1; j < d; j++) g[j] += 2 * lambda * w[j];
     for (let j = 0; j < d; j++) w[j] -= lr * g[j];
   }
@@ -262,35 +172,56 @@ const rawRows = raw
   .filter(Boolean)
   .map((line) => JSON.parse(line));
 
-const rows = prepareRows(rawRows);
+const rows = prepareRows(rawRows, { targets: true });
 const split = splitChronological(rows);
-const schema = buildSchema(split.train);
-const scaler = fitScaler(split.train, schema.numericKeys);
+const features = fitFeaturePipeline(split.train, featureSelection.numericKeys);
+const { schema, vector } = loadFeaturePipeline(features);
+const leakageAudit = auditLeakage(schema, rows);
+if (leakageAudit.violations.length > 0) {
+  console.error(leakageError("train:robust", leakageAudit).message);
+  process.exit(1);
+}
+
+const ipcwModel = censoring.mode === "ipcw" ? fitIpcwModel(split.train) : null;
+const usable = (rowsIn, config = censoring) => applyCensoring(rowsIn, config, ipcwModel);
+const withReg = (rowsIn) => rowsIn.filter((r) => r._regTarget !== null);
+const withCls = (rowsIn) => rowsIn.filter((r) => r._clsTarget !== null);
 
-const regTrainRows = split.train.filter((r) => !r._censored && r._regTarget !== null);
-const regValidRows = split.valid.filter((r) => !r._censored && r._regTarget !== null);
-const regTestRows = split.test.filter((r) => !r._censored && r._regTarget !== null);
+const regTrainRows = withReg(usable(split.train));
+const regValidRows = withReg(usable(split.valid));
+const regTestRows = withReg(usable(split.test));
 
-const clsTrainRows = split.train.filter((r) => !r._censored && r._clsTarget !== null);
-const clsValidRows = split.valid.filter((r) => !r._censored && r._clsTarget !== null);
-const clsTestRows = split.test.filter((r) => !r._censored && r._clsTarget !== null);
+const clsTrainRows = withCls(usable(split.train));
+const clsValidRows = withCls(usable(split.valid));
+const clsTestRows = withCls(usable(split.test));
+
+// Test rows with an observed wait candidate only vs every row with censored
+// ones imputed, whatever mode was used to train, to expose the bias.
+const evaluationSets = {
+  observedOnly: usable(split.test, { mode: "drop", censoredWait: censoring.censoredWait }),
+  allRowsImputed: usable(split.test, { mode: "impute", censoredWait: censoring.censoredWait }),
+};
+const weightsOf = (rowsIn) => rowsIn.map((r) => r._weight);
 
 const regTrainYRaw = regTrainRows.map((r) => r._regTarget);
 const winsorLo = quantile(regTrainYRaw, 0.05);
 const winsorHi = quantile(regTrainYRaw, 0.95);
 
-const vectorize = (rowsIn) => rowsIn.map((r) => buildVector(r, schema, scaler));
+const vectorize = (rowsIn) => rowsIn.map(vector);
 
 const regGlobalX = vectorize(regTrainRows);
 const regGlobalY = regTrainRows.map((r) => clip(r._regTarget, winsorLo, winsorHi));
-const regGlobalW = ridgeTrain(regGlobalX, regGlobalY);
+const regGlobalW = ridgeTrain(regGlobalX, regGlobalY, { sampleWeights: weightsOf(regTrainRows) });
 
 const pos = clsTrainRows.filter((r) => r._clsTarget === 1).length;
 const neg = clsTrainRows.filter((r) => r._clsTarget === 0).length;
 const posWeight = pos > 0 ? neg / pos : 1;
 const clsGlobalX = vectorize(clsTrainRows);
 const clsGlobalY = clsTrainRows.map((r) => r._clsTarget);
-const clsGlobalW = logisticTrain(clsGlobalX, clsGlobalY, { posWeight });
+const clsGlobalW = logisticTrain(clsGlobalX, clsGlobalY, {
+  posWeight,
+  sampleWeights: weightsOf(clsTrainRows),
+});
 
 const regSegments = {};
 const clsSegments = {};
@@ -304,7 +235,12 @@ for (const [seg, segRows] of regGroups.entries()) {
   const lo = quantile(rawY, 0.05);
   const hi = quantile(rawY, 0.95);
   const y = rawY.map((v) => clip(v, lo, hi));
-  regSegments[seg] = { weights: ridgeTrain(X, y), lo, hi, rows: segRows.length };
+  regSegments[seg] = {
+    weights: ridgeTrain(X, y, { sampleWeights: weightsOf(segRows) }),
+    lo,
+    hi,
+    rows: segRows.length,
+  };
 }
 for (const [seg, segRows] of clsGroups.entries()) {
   if (segRows.length < MIN_SEGMENT_ROWS) continue;
@@ -313,17 +249,20 @@ for (const [seg, segRows] of clsGroups.entries()) {
   const p = y.filter((v) => v === 1).length;
   const n = y.filter((v) => v === 0).length;
   if (p === 0 || n === 0) continue;
-  clsSegments[seg] = { weights: logisticTrain(X, y, { posWeight: n / p }), rows: segRows.length };
+  clsSegments[seg] = {
+    weights: logisticTrain(X, y, { posWeight: n / p, sampleWeights: weightsOf(segRows) }),
+    rows: segRows.length,
+  };
 }
 
 function predictRegRow(row) {
-  const x = buildVector(row, schema, scaler);
+  const x = vector(row);
   const seg = regSegments[row._segmentKey];
   if (seg) return clip(dot(seg.weights, x), seg.lo, seg.hi);
   return clip(dot(regGlobalW, x), winsorLo, winsorHi);
 }
 function predictClsLogitRow(row) {
-  const x = buildVector(row, schema, scaler);
+  const x = vector(row);
   const seg = clsSegments[row._segmentKey];
   const w = seg ? seg.weights : clsGlobalW;
   return dot(w, x);
@@ -360,11 +299,20 @@ const validThresholds = thresholdGrid.map((t) => ({
 validThresholds.sort((a, b) => b.meanRelativePnlVsAlwaysBuyNow - a.meanRelativePnlVsAlwaysBuyNow);
 const tunedThreshold = validThresholds[0].threshold;
 
+// Test rows may carry strategies the training split never saw; report them too.
+const strategiesIn = (rowsIn) => [...new Set(rowsIn.map((r) => r._strategyType))].sort();
+
 const regression = {
   target: "deltaNetPnlPolicyWindowAtNowSize",
   train: regressionMetrics(regTrainRows.map((r) => r._regTarget), regPredTrain),
   valid: regressionMetrics(regValidRows.map((r) => r._regTarget), regPredValid),
   test: regressionMetrics(regTestRows.map((r) => r._regTarget), regPredTest),
+  testByCensoring: Object.fromEntries(
+    Object.entries(evaluationSets).map(([key, rowsIn]) => {
+      const evalRows = withReg(rowsIn);
+      return [key, regressionMetrics(evalRows.map((r) => r._regTarget), evalRows.map(predictRegRow))];
+    })
+  ),
   byDomainOnTest: Object.fromEntries(
     DOMAIN_KEYS.map((d) => {
       const idx = regTestRows.map((r, i) => ({ r, i })).filter((x) => x.r._taxonomyDomain === d);
@@ -373,6 +321,14 @@ const regression = {
       return [d, regressionMetrics(y, p)];
     })
   ),
+  byStrategyOnTest: Object.fromEntries(
+    strategiesIn(regTestRows).map((st) => {
+      const idx = regTestRows.map((r, i) => ({ r, i })).filter((x) => x.r._strategyType === st);
+      const y = idx.map((x) => x.r._regTarget);
+      const p = idx.map((x) => regPredTest[x.i]);
+      return [st, regressionMetrics(y, p)];
+    })
+  ),
 };
 
 const classification = {
@@ -380,6 +336,16 @@ const classification = {
   train: classificationMetrics(clsTrainRows.map((r) => r._clsTarget), clsProbTrain, tunedThreshold),
   valid: classificationMetrics(clsValidRows.map((r) => r._clsTarget), clsProbValid, tunedThreshold),
   test: classificationMetrics(clsTestRows.map((r) => r._clsTarget), clsProbTest, tunedThreshold),
+  testByCensoring: Object.fromEntries(
+    Object.entries(evaluationSets).map(([key, rowsIn]) => {
+      const evalRows = withCls(rowsIn);
+      const probs = evalRows.map((r) => calibratedProb(predictClsLogitRow(r)));
+      return [
+        key,
+        classificationMetrics(evalRows.map((r) => r._clsTarget), probs, tunedThreshold),
+      ];
+    })
+  ),
   tunedThreshold,
   thresholdTuningOnValidation: validThresholds,
   byDomainOnTest: Object.fromEntries(
@@ -390,10 +356,27 @@ const classification = {
       return [d, classificationMetrics(y, p, tunedThreshold)];
     })
   ),
+  byStrategyOnTest: Object.fromEntries(
+    strategiesIn(clsTestRows).map((st) => {
+      const idx = clsTestRows.map((r, i) => ({ r, i })).filter((x) => x.r._strategyType === st);
+      const y = idx.map((x) => x.r._clsTarget);
+      const p = idx.map((x) => clsProbTest[x.i]);
+      return [st, classificationMetrics(y, p, tunedThreshold)];
+    })
+  ),
 };
 
+const lineage = createLineage({
+  stage: "train:robust",
+  labelSpecVersion: labelsManifest.labelSpecVersion,
+  inputs: { labels: manifestInput(labelsManifest) },
+  params: { censoring, featureFamilies: featureSelection.families },
+  upstream: { labels: labelsManifest },
+});
+
 const report = {
   generatedAt: new Date().toISOString(),
+  lineage,
   sample: {
     totalRows: rows.length,
     train: split.train.length,
@@ -401,6 +384,19 @@ const report = {
     test: split.test.length,
     regressionRows: { train: regTrainRows.length, valid: regValidRows.length, test: regTestRows.length },
     classificationRows: { train: clsTrainRows.length, valid: clsValidRows.length, test: clsTestRows.length },
+    censoring: {
+      ...censoring,
+      statusCounts: {
+        train: censoringCounts(split.train),
+        valid: censoringCounts(split.valid),
+        test: censoringCounts(split.test),
+      },
+      imputedTrainRows: {
+        regression: regTrainRows.filter((r) => r._imputed).length,
+        classification: clsTrainRows.filter((r) => r._imputed).length,
+      },
+      ipcwModel,
+    },
   },
   setup: {
     winsorization: { lowQuantile: 0.05, highQuantile: 0.95, lowValue: winsorLo, highValue: winsorHi },
@@ -412,16 +408,25 @@ const report = {
     calibration: { type: "platt", a: platt.a, b: platt.b },
   },
   models: { regression, classification },
+  leakageAudit,
   policyBacktestSummary: {
     validationAtTunedThreshold: decisionPnL(clsValidRows, clsProbValid, tunedThreshold),
     testAtTunedThreshold: decisionPnL(clsTestRows, clsProbTest, tunedThreshold),
+    testByCensoringAtTunedThreshold: Object.fromEntries(
+      Object.entries(evaluationSets).map(([key, rowsIn]) => {
+        const evalRows = withCls(withReg(rowsIn));
+        const probs = evalRows.map((r) => calibratedProb(predictClsLogitRow(r)));
+        return [key, decisionPnL(evalRows, probs, tunedThreshold)];
+      })
+    ),
   },
 };
 
 const artifacts = {
   generatedAt: report.generatedAt,
-  schema,
-  scaler,
+  lineage,
+  ...features,
+  censoring,
   winsorization: { low: winsorLo, high: winsorHi },
   regression: { globalWeights: regGlobalW, segments: regSegments },
   classification: {
@@ -0,0 +1,218 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import {
+  createRowPreparer,
+  FEATURE_ARG_OPTIONS,
+  fitFeaturePipeline,
+  loadFeaturePipeline,
+  resolveFeatureArgs,
+} from "./lib/features.mjs";
+import { readJsonl } from "./lib/jsonl.mjs";
+import { auditLeakage, leakageError } from "./lib/leakage.mjs";
+import { createLineage, manifestInput, readVerifiedManifest } from "./lib/lineage.mjs";
+import { aucRoc, dot, mean, sigmoid } from "./lib/math.mjs";
+
+const inputPath = path.resolve("data", "labeled_training_dataset.jsonl");
+const reportPath = path.resolve("data", "model_survival_report.json");
+const artifactsPath = path.resolve("data", "model_survival_artifacts.json");
+
+// Disappearance risk: one calibrated logistic model per `labels.survival.vanishedWithin`
+// key, i.e. P(the opportunity is gone before the horizon | sighting now). Censored
+// rows (null target) are left out of that target's fit and metrics.
+
+function probabilityMetrics(yTrue, yProb, threshold = 0.5) {
+  if (yTrue.length === 0) {
+    return { count: 0, baseRate: null, meanPredicted: null, brier: null, logLoss: null, auc: null };
+  }
+  const eps = 1e-12;
+  const tpFp = yProb.filter((p) => p >= threshold).length;
+  const tp = yProb.filter((p, i) => p >= threshold && yTrue[i] === 1).length;
+  const positives = yTrue.filter((y) => y === 1).length;
+  return {
+    count: yTrue.length,
+    baseRate: positives / yTrue.length,
+    meanPredicted: mean(yProb),
+    brier: mean(yTrue.map((y, i) => (yProb[i] - y) ** 2)),
+    logLoss: mean(
+      yTrue.map((y, i) => {
+        const p = Math.min(1 - eps, Math.max(eps, yProb[i]));
+        return -(y * Math.log(p) + (1 - y) * Math.log(1 - p));
+      })
+    ),
+    accuracy: mean(yTrue.map((y, i) => ((yProb[i] >= threshold ? 1 : 0) === y ? 1 : 0))),
+    precision: tpFp === 0 ? null : tp / tpFp,
+    recall: positives === 0 ? null : tp / positives,
+    auc: aucRoc(yTrue, yProb),
+  };
+}
+// Rows arrive grouped by series in time order, so every row (kept or not)
+// feeds the series history and its features only see earlier sightings.
+async function loadRows() {
+  const out = [];
+  const prepare = createRowPreparer({ labels: "survival" });
+  for await (const row of readJsonl(inputPath)) {
+    const prepared = prepare(row);
+    if (!prepared) continue;
+    out.push({ ...prepared, _targets: row.labels.survival.vanishedWithin });
+  }
+  out.sort((a, b) => a._decisionTsMs - b._decisionTsMs);
+  return out;
+}
+
+function splitChronological(rows, trainFrac = 0.7, validFrac = 0.15) {
+  const n = rows.length;
+  const trainEnd = Math.max(1, Math.floor(n * trainFrac));
+  const validEnd = Math.max(trainEnd + 1, Math.floor(n * (trainFrac + validFrac)));
+  return {
+    train: rows.slice(0, trainEnd),
+    valid: rows.slice(trainEnd, validEnd),
+    test: rows.slice(validEnd),
+  };
+}
+
+function logisticTrain(X, y, { lr = 0.02, epochs = 1800, lambda = 0.1 } = {}) {
+  const n = X.length;
+  const d = X[0].length;
+  const w = new Array(d).fill(0);
+  for (let e = 0; e < epochs; e++) {
+    const g = new Array(d).fill(0);
+    for (let i = 0; i < n; i++) {
+      const err = sigmoid(dot(w, X[i])) - y[i];
+      for (let j = 0; j < d; j++) g[j] += err * X[i][j];
+    }
+    for (let j = 0; j < d; j++) g[j] /= n;
+    for (let j = 1; j < d; j++) g[j] += 2 * lambda * w[j];
+    for (let j = 0; j < d; j++) w[j] -= lr * g[j];
+  }
+  return w;
+}
+function fitPlatt(logits, labels, { lr = 0.01, epochs = 1200, l2 = 0.01 } = {}) {
+  let a = 1;
+  let b = 0;
+  const n = logits.length;
+  if (n === 0) return { a, b };
+  for (let e = 0; e < epochs; e++) {
+    let ga = 0;
+    let gb = 0;
+    for (let i = 0; i < n; i++) {
+      const p = sigmoid(a * logits[i] + b);
+      const err = p - labels[i];
+      ga += err * logits[i];
+      gb += err;
+    }
+    ga = ga / n + 2 * l2 * a;
+    gb = gb / n + 2 * l2 * b;
+    a -= lr * ga;
+    b -= lr * gb;
+  }
+  return { a, b };
+}
+
+const { values: args } = parseArgs({ options: { ...FEATURE_ARG_OPTIONS } });
+let featureSelection;
+let labelsManifest;
+try {
+  featureSelection = resolveFeatureArgs(args, "survival");
+  labelsManifest = await readVerifiedManifest(inputPath, "labels:generate");
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+const rows = await loadRows();
+if (rows.length === 0) {
+  console.error(`No rows with survival labels in ${inputPath}; re-run labels:generate`);
+  process.exit(1);
+}
+const split = splitChronological(rows);
+const features = fitFeaturePipeline(split.train, featureSelection.numericKeys);
+const { schema, vector } = loadFeaturePipeline(features);
+const leakageAudit = auditLeakage(schema, rows);
+if (leakageAudit.violations.length > 0) {
+  console.error(leakageError("train:survival", leakageAudit).message);
+  process.exit(1);
+}
+const targetKeys = Object.keys(rows[0]._targets);
+
+const labeled = (rowsIn, key) => rowsIn.filter((r) => typeof r._targets[key] === "boolean");
+const targetOf = (row, key) => (row._targets[key] ? 1 : 0);
+
+const models = {};
+const targetArtifacts = {};
+for (const key of targetKeys) {
+  const train = labeled(split.train, key);
+  const valid = labeled(split.valid, key);
+  const test = labeled(split.test, key);
+  const trainY = train.map((r) => targetOf(r, key));
+  // A target that never (or always) happens in training has nothing to learn;
+  // the base rate is the model.
+  const degenerate = trainY.length === 0 || trainY.every((y) => y === trainY[0]);
+  const weights = degenerate ? null : logisticTrain(train.map(vector), trainY);
+  const baseRate = mean(trainY) ?? 0;
+  const logit = (r) => dot(weights, vector(r));
+  const platt = degenerate
+    ? null
+    : fitPlatt(
+        valid.map(logit),
+        valid.map((r) => targetOf(r, key))
+      );
+  const predict = (r) => (degenerate ? baseRate : sigmoid(platt.a * logit(r) + platt.b));
+  const evaluate = (rowsIn) =>
+    probabilityMetrics(
+      rowsIn.map((r) => targetOf(r, key)),
+      rowsIn.map(predict)
+    );
+
+  models[key] = {
+    target: `survival.vanishedWithin.${key}`,
+    degenerate,
+    rows: { train: train.length, valid: valid.length, test: test.length },
+    train: evaluate(train),
+    valid: evaluate(valid),
+    test: evaluate(test),
+    byPhaseOnTest: Object.fromEntries(
+      [...new Set(test.map((r) => r._phaseNow))]
+        .sort()
+        .map((phase) => [phase, evaluate(test.filter((r) => r._phaseNow === phase))])
+    ),
+  };
+  targetArtifacts[key] = { weights, platt, baseRate };
+}
+
+const lineage = createLineage({
+  stage: "train:survival",
+  labelSpecVersion: labelsManifest.labelSpecVersion,
+  inputs: { labels: manifestInput(labelsManifest) },
+  params: { featureFamilies: featureSelection.families },
+  upstream: { labels: labelsManifest },
+});
+
+const report = {
+  generatedAt: new Date().toISOString(),
+  lineage,
+  sample: {
+    totalRows: rows.length,
+    train: split.train.length,
+    valid: split.valid.length,
+    test: split.test.length,
+  },
+  setup: {
+    model: "logistic regression per horizon, Platt-calibrated on validation",
+    targets: targetKeys,
+  },
+  models,
+  leakageAudit,
+};
+
+const artifacts = {
+  generatedAt: report.generatedAt,
+  lineage,
+  ...features,
+  targets: targetArtifacts,
+};
+
+await fs.writeFile(reportPath, `${JSON.stringify(report, null, 2)}\n`, "utf8");
+await fs.writeFile(artifactsPath, `${JSON.stringify(artifacts, null, 2)}\n`, "utf8");
+console.log(`Wrote survival model report: ${reportPath}`);
+console.log(`Wrote survival model artifacts: ${artifactsPath}`);
+console.log(JSON.stringify(report, null, 2));
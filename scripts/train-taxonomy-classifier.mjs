@@ -0,0 +1,191 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { readJsonl } from "./lib/jsonl.mjs";
+import { createLineage, fileRef, manifestInput, readVerifiedManifest } from "./lib/lineage.mjs";
+import {
+  classifyByRules,
+  classifyTaxonomy,
+  createTaxonomyPredictor,
+  DEFAULT_TAXONOMY_MODEL_PATH,
+  DEFAULT_TAXONOMY_RULES_PATH,
+  loadTaxonomyRules,
+  taxonomyFields,
+  taxonomyLabelKey,
+  taxonomyTokens,
+  trainTaxonomyModel,
+} from "./lib/taxonomy.mjs";
+
+const reportPath = path.resolve("data", "taxonomy_eval_report.json");
+
+const { values: args } = parseArgs({
+  options: {
+    input: { type: "string", default: path.join("data", "training_dataset.validated.jsonl") },
+    rules: { type: "string", default: DEFAULT_TAXONOMY_RULES_PATH },
+    "eval-set": { type: "string", default: path.join("config", "taxonomy-eval-set.jsonl") },
+    "model-out": { type: "string", default: DEFAULT_TAXONOMY_MODEL_PATH },
+  },
+});
+
+// The classifier learns from markets the keyword rules label (weak
+// supervision), one example per distinct market text, so it can label markets
+// whose wording the rules miss. It is evaluated, together with the rules, on
+// the hand-labeled markets in the eval set, which are never trained on.
+
+let rules;
+let datasetManifest;
+try {
+  rules = await loadTaxonomyRules(args.rules);
+  datasetManifest = await readVerifiedManifest(path.resolve(args.input), "validate:dataset");
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+// Eval set lines are flat market records; as a one-leg row they go through
+// exactly the same feature extraction as dataset rows.
+function evalItemRow(item) {
+  return {
+    legs: [
+      {
+        marketTitle: item.marketTitle ?? null,
+        eventTitle: item.eventTitle ?? null,
+        marketCategory: item.category ?? null,
+        marketSubcategory: item.subcategory ?? null,
+        marketTags: item.tags ?? [],
+      },
+    ],
+  };
+}
+
+function accuracy(items, pick, field) {
+  if (items.length === 0) return null;
+  return items.filter((item) => pick(item)?.[field] === item.expected[field]).length / items.length;
+}
+
+function methodMetrics(items, pick) {
+  const labeled = items.filter((item) => pick(item) !== null);
+  const exact = (item) =>
+    pick(item) !== null && taxonomyLabelKey(pick(item)) === taxonomyLabelKey(item.expected);
+  return {
+    coverage: items.length === 0 ? null : labeled.length / items.length,
+    domainAccuracy: accuracy(items, pick, "domain"),
+    subdomainAccuracy: accuracy(items, pick, "subdomain"),
+    topicAccuracy: accuracy(items, pick, "topic"),
+    exactAccuracy: items.length === 0 ? null : items.filter(exact).length / items.length,
+    domainAccuracyWhenLabeled: accuracy(labeled, pick, "domain"),
+  };
+}
+
+const examples = new Map();
+let datasetRows = 0;
+for await (const row of readJsonl(path.resolve(args.input))) {
+  datasetRows++;
+  const fields = taxonomyFields(row);
+  const label = classifyByRules(rules, fields);
+  if (label?.method !== "rules") continue;
+  const tokens = taxonomyTokens(fields);
+  const text = tokens.join(" ");
+  if (tokens.length > 0 && !examples.has(text)) examples.set(text, { tokens, label });
+}
+if (examples.size === 0) {
+  console.error(`No rule-labeled markets in ${args.input}; run extract:dataset first`);
+  process.exit(1);
+}
+
+const model = trainTaxonomyModel([...examples.values()]);
+const predict = createTaxonomyPredictor(model);
+
+const evalItems = [];
+for await (const item of readJsonl(path.resolve(args["eval-set"]))) {
+  const row = evalItemRow(item);
+  const fields = taxonomyFields(row);
+  const byRules = classifyByRules(rules, fields);
+  const tokens = taxonomyTokens(fields);
+  evalItems.push({
+    ...item,
+    seenInTraining: examples.has(tokens.join(" ")),
+    rules: byRules?.method === "rules" ? byRules : null,
+    classifier: predict(tokens),
+    combined: classifyTaxonomy(row, { rules, predict }),
+  });
+}
+
+const confident = evalItems.filter((item) => item.classifier?.confidence >= rules.minConfidence);
+const evalSetPath = path.resolve(args["eval-set"]);
+const report = {
+  generatedAt: new Date().toISOString(),
+  lineage: createLineage({
+    stage: "taxonomy:train",
+    labelSpecVersion: datasetManifest.labelSpecVersion,
+    inputs: {
+      dataset: manifestInput(datasetManifest),
+      taxonomyRules: await fileRef(rules.path, { version: rules.version }),
+      evalSet: await fileRef(evalSetPath),
+    },
+    upstream: { dataset: datasetManifest },
+  }),
+  rules: { path: rules.path, version: rules.version, minConfidence: rules.minConfidence },
+  training: {
+    input: path.resolve(args.input),
+    datasetRows,
+    distinctMarkets: examples.size,
+    classes: model.classes.map(({ domain, subdomain, topic, docCount }) => ({
+      domain,
+      subdomain,
+      topic,
+      docCount,
+    })),
+    vocabularySize: model.vocabulary.length,
+  },
+  evaluation: {
+    evalSet: evalSetPath,
+    items: evalItems.length,
+    itemsSeenInTraining: evalItems.filter((item) => item.seenInTraining).length,
+    rules: methodMetrics(evalItems, (item) => item.rules),
+    classifier: methodMetrics(evalItems, (item) => item.classifier),
+    classifierAboveMinConfidence: {
+      items: confident.length,
+      ...methodMetrics(confident, (item) => item.classifier),
+    },
+    combined: methodMetrics(evalItems, (item) => item.combined),
+    combinedByMethod: Object.fromEntries(
+      [...new Set(evalItems.map((item) => item.combined.method))].sort().map((method) => {
+        const items = evalItems.filter((item) => item.combined.method === method);
+        return [method, { items: items.length, ...methodMetrics(items, (i) => i.combined) }];
+      })
+    ),
+    misses: evalItems
+      .filter((item) => taxonomyLabelKey(item.combined) !== taxonomyLabelKey(item.expected))
+      .map((item) => ({
+        id: item.id,
+        marketTitle: item.marketTitle,
+        expected: item.expected,
+        predicted: {
+          domain: item.combined.domain,
+          subdomain: item.combined.subdomain,
+          topic: item.combined.topic,
+          method: item.combined.method,
+          ruleId: item.combined.ruleId,
+          confidence: item.combined.confidence,
+        },
+      })),
+  },
+};
+
+const modelOut = path.resolve(args["model-out"]);
+await fs.mkdir(path.dirname(modelOut), { recursive: true });
+await fs.writeFile(
+  modelOut,
+  `${JSON.stringify({
+    trainedAt: report.generatedAt,
+    rulesVersion: rules.version,
+    lineage: report.lineage,
+    ...model,
+  })}\n`,
+  "utf8"
+);
+await fs.writeFile(reportPath, `${JSON.stringify(report, null, 2)}\n`, "utf8");
+console.log(`Wrote taxonomy model: ${modelOut}`);
+console.log(`Wrote taxonomy evaluation report: ${reportPath}`);
+console.log(JSON.stringify(report.evaluation, null, 2));
@@ -0,0 +1,135 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { createJsonlWriter, readJsonlLines } from "./lib/jsonl.mjs";
+import {
+  createLineage,
+  manifestInput,
+  manifestPath,
+  readVerifiedManifest,
+  writeManifest,
+} from "./lib/lineage.mjs";
+import { createRowValidator, thresholdBreaches } from "./lib/row-schema.mjs";
+
+const datasetPath = path.resolve("data", "training_dataset.jsonl");
+const validatedPath = path.resolve("data", "training_dataset.validated.jsonl");
+const quarantinePath = path.resolve("data", "training_dataset.quarantine.jsonl");
+const reportPath = path.resolve("data", "data_quality_report.json");
+
+const { values: args } = parseArgs({
+  options: {
+    "max-quarantine-rate": { type: "string", default: "0.05" },
+    "max-null-rate": { type: "string", multiple: true, default: [] },
+    "warn-only": { type: "boolean", default: false },
+  },
+});
+
+const maxQuarantineRate = Number(args["max-quarantine-rate"]);
+if (!Number.isFinite(maxQuarantineRate) || maxQuarantineRate < 0) {
+  console.error(`Invalid --max-quarantine-rate value: ${args["max-quarantine-rate"]}`);
+  process.exit(1);
+}
+const maxNullRates = {};
+for (const spec of args["max-null-rate"]) {
+  const [field, rate] = spec.split("=");
+  if (!field || !Number.isFinite(Number(rate))) {
+    console.error(`Invalid --max-null-rate value: ${spec} (expected <field>=<rate>)`);
+    process.exit(1);
+  }
+  maxNullRates[field] = Number(rate);
+}
+
+let extractManifest;
+try {
+  extractManifest = await readVerifiedManifest(datasetPath, "extract:dataset");
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+const validator = createRowValidator();
+const validWriter = createJsonlWriter(validatedPath);
+const quarantineWriter = createJsonlWriter(quarantinePath);
+let unparseableLines = 0;
+
+// The extracted dataset is left as it is, so every run validates all of it and
+// quarantined rows come back once they pass. Valid rows go to a separate file
+// that labeling reads; the rejects keep their issues for inspection.
+try {
+  for await (const { lineNumber, line, row } of readJsonlLines(datasetPath, {
+    parseErrors: "skip",
+  })) {
+    if (row === undefined) {
+      unparseableLines++;
+      await quarantineWriter.write({
+        line: lineNumber,
+        issues: [{ field: null, code: "invalid_json" }],
+        raw: line,
+      });
+      continue;
+    }
+    const issues = validator.validate(row);
+    if (issues.length > 0) {
+      await quarantineWriter.write({ line: lineNumber, issues, row });
+    } else {
+      await validWriter.write(row);
+    }
+  }
+} catch (err) {
+  await validWriter.abort();
+  await quarantineWriter.abort();
+  throw err;
+}
+await quarantineWriter.close();
+
+const quality = validator.report();
+quality.totalRows += unparseableLines;
+quality.quarantinedRows += unparseableLines;
+if (unparseableLines > 0) {
+  quality.issueCounts["row:invalid_json"] = unparseableLines;
+}
+const breaches = thresholdBreaches(quality, { maxQuarantineRate, maxNullRates });
+const passed = breaches.length === 0 || args["warn-only"];
+
+const lineage = createLineage({
+  stage: "validate:dataset",
+  inputs: { dataset: manifestInput(extractManifest) },
+  params: { maxQuarantineRate, maxNullRates },
+  upstream: { dataset: extractManifest },
+});
+await writeManifest(quarantinePath, lineage, { rows: quarantineWriter.count });
+// A breach leaves no validated dataset behind, not even an earlier run's, so
+// labeling cannot go ahead on rows the gate rejected.
+if (passed) {
+  await validWriter.close();
+  await writeManifest(validatedPath, lineage, { rows: validWriter.count });
+} else {
+  await validWriter.abort();
+  await fs.rm(validatedPath, { force: true });
+  await fs.rm(manifestPath(validatedPath), { force: true });
+}
+
+const report = {
+  generatedAt: new Date().toISOString(),
+  input: datasetPath,
+  validRows: validWriter.count,
+  ...quality,
+  thresholds: { maxQuarantineRate, maxNullRates },
+  breaches,
+  passed: breaches.length === 0,
+  lineage,
+};
+await fs.writeFile(reportPath, `${JSON.stringify(report, null, 2)}\n`, "utf8");
+
+console.log(`Rows checked: ${quality.totalRows}`);
+console.log(`Valid rows: ${validWriter.count}${passed ? ` -> ${validatedPath}` : ""}`);
+console.log(`Quarantined rows: ${quarantineWriter.count} -> ${quarantinePath}`);
+console.log(`Data quality report: ${reportPath}`);
+if (breaches.length > 0) {
+  for (const b of breaches) {
+    console.error(`Threshold breached: ${b.check} = ${b.value.toFixed(4)} > ${b.limit}`);
+  }
+  if (!args["warn-only"]) {
+    process.exit(1);
+  }
+}
@@ -0,0 +1,166 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  applyCensoring,
+  censoringCounts,
+  censoringStatus,
+  fitIpcwModel,
+  imputedTargets,
+  resolveCensoringArgs,
+} from "../scripts/lib/censoring.mjs";
+import { prepareRows } from "../scripts/lib/features.mjs";
+
+// One labeled sighting of its own series. `status` picks the policy-window
+// outcome: observed, no_entry (window seen, nothing came back) or censored.
+function labeledRow(i, { status = "observed", phase = "T_3d_1d", knownAtDecision = true } = {}) {
+  const censored = status !== "observed";
+  return {
+    opportunityId: `opp-${i}`,
+    strategyType: "cross_venue_binary",
+    dedupeKey: `series-${i}`,
+    decisionTs: new Date(Date.UTC(2026, 1, 1, 0, i)).toISOString(),
+    expectedEdgeAtDecision: 0.03,
+    legs: [{ venue: "KALSHI", marketId: "M", orderIntent: "TAKER", contracts: 10 }],
+    labels: {
+      taxonomy: { domain: "crypto" },
+      resolutionTime: { knownAtDecision },
+      resolutionAnchored: {
+        phaseNow: phase,
+        timeToResolutionHoursNow: 30,
+        policyWindowHours: 12,
+        labelCensoredPolicyWindow: censored,
+        netPnlBuyNowAtNowSize: 0.5,
+        deltaNetPnlPolicyWindowAtNowSize: censored ? null : -0.2,
+        buyNowBeatsWaitWindow: censored ? null : true,
+      },
+      survival: { vanishedWithin: { policyWindow: status === "censored" ? null : true } },
+    },
+  };
+}
+
+test("censoring status separates observed, no-entry and censored windows", () => {
+  assert.equal(censoringStatus(labeledRow(0).labels), "observed");
+  assert.equal(censoringStatus(labeledRow(0, { status: "no_entry" }).labels), "no_entry");
+  assert.equal(censoringStatus(labeledRow(0, { status: "censored" }).labels), "censored");
+  assert.equal(censoringStatus({}), "observed");
+});
+
+test("imputed targets follow --censored-wait", () => {
+  assert.deepEqual(imputedTargets({ netPnlBuyNowAtNowSize: 0.5 }, "zero_uplift"), {
+    regTarget: 0,
+    clsTarget: 1,
+  });
+  assert.deepEqual(imputedTargets({ netPnlBuyNowAtNowSize: 0.5 }, "no_trade"), {
+    regTarget: -0.5,
+    clsTarget: 1,
+  });
+  assert.deepEqual(imputedTargets({ netPnlBuyNowAtNowSize: -0.5 }, "no_trade"), {
+    regTarget: 0.5,
+    clsTarget: 0,
+  });
+  assert.deepEqual(imputedTargets({ netPnlBuyNowAtNowSize: null }, "no_trade"), {
+    regTarget: null,
+    clsTarget: null,
+  });
+});
+
+test("invalid censoring arguments are rejected", () => {
+  assert.deepEqual(resolveCensoringArgs({ censoring: "ipcw", "censored-wait": "no_trade" }), {
+    mode: "ipcw",
+    censoredWait: "no_trade",
+  });
+  assert.throws(() => resolveCensoringArgs({ censoring: "keep", "censored-wait": "no_trade" }));
+  assert.throws(() => resolveCensoringArgs({ censoring: "drop", "censored-wait": "maybe" }));
+});
+
+test("each mode keeps, imputes or drops censored rows", () => {
+  const rows = prepareRows(
+    [labeledRow(0), labeledRow(1, { status: "no_entry" }), labeledRow(2, { status: "censored" })],
+    { targets: true }
+  );
+  assert.deepEqual(censoringCounts(rows), { observed: 1, no_entry: 1, censored: 1 });
+
+  const drop = applyCensoring(rows, { mode: "drop", censoredWait: "no_trade" });
+  assert.deepEqual(
+    drop.map((r) => r.opportunityId),
+    ["opp-0"]
+  );
+
+  const impute = applyCensoring(rows, { mode: "impute", censoredWait: "no_trade" });
+  assert.deepEqual(
+    impute.map((r) => [r.opportunityId, r._imputed, r._regTarget, r._weight]),
+    [
+      ["opp-0", false, -0.2, 1],
+      ["opp-1", true, -0.5, 1],
+      ["opp-2", true, -0.5, 1],
+    ]
+  );
+  // Inputs are copied, not mutated.
+  assert.equal(rows[1]._regTarget, null);
+});
+
+test("ipcw strata use the decision-time phase, so hindsight rows share one", () => {
+  const raw = [];
+  let i = 0;
+  // Resolution time known at the decision: 4 rows in T_3d_1d, 1 censored.
+  for (const status of ["observed", "observed", "no_entry", "censored"]) {
+    raw.push(labeledRow(i++, { status }));
+  }
+  // Hindsight resolution time (e.g. the market's current close): the labels
+  // carry a phase, but the features mask it, and so does the censoring model.
+  for (const [status, phase] of [
+    ["observed", "T_3d_1d"],
+    ["censored", "T_24h_6h"],
+    ["censored", "T_7d_3d"],
+    ["observed", "T_6h_1h"],
+  ]) {
+    raw.push(labeledRow(i++, { status, phase, knownAtDecision: false }));
+  }
+  const rows = prepareRows(raw, { targets: true });
+  assert.deepEqual(
+    rows.map((r) => r._phaseNow),
+    ["T_3d_1d", "T_3d_1d", "T_3d_1d", "T_3d_1d", "unknown", "unknown", "unknown", "unknown"]
+  );
+
+  const model = fitIpcwModel(rows);
+  assert.equal(model.overall, 5 / 8);
+  assert.deepEqual(model.byPhase, {
+    T_3d_1d: { rows: 4, known: 3, observedRate: 0.75 },
+    unknown: { rows: 4, known: 2, observedRate: 0.5 },
+  });
+
+  const kept = applyCensoring(rows, { mode: "ipcw", censoredWait: "no_trade" }, model);
+  assert.deepEqual(
+    kept.map((r) => [r.opportunityId, r._weight]),
+    [
+      ["opp-0", 1 / 0.75],
+      ["opp-1", 1 / 0.75],
+      ["opp-2", 1 / 0.75],
+      ["opp-4", 2],
+      ["opp-7", 2],
+    ]
+  );
+});
+
+test("ipcw weights are capped and unseen phases use the overall rate", () => {
+  const rows = prepareRows(
+    [
+      labeledRow(0),
+      ...Array.from({ length: 19 }, (_, k) => labeledRow(k + 1, { status: "censored" })),
+    ],
+    { targets: true }
+  );
+  const model = fitIpcwModel(rows);
+  assert.equal(model.byPhase.T_3d_1d.observedRate, 1 / 20);
+  const [kept] = applyCensoring(rows, { mode: "ipcw", censoredWait: "no_trade" }, model);
+  assert.equal(kept._weight, 10);
+
+  const halfKnown = fitIpcwModel(
+    prepareRows([labeledRow(20), labeledRow(21, { status: "censored" })], { targets: true })
+  );
+  const other = prepareRows([labeledRow(30, { phase: "T_1h_close" })], { targets: true });
+  const [unseen] = applyCensoring(other, { mode: "ipcw", censoredWait: "no_trade" }, halfKnown);
+  assert.equal(unseen._weight, 2);
+  assert.equal(fitIpcwModel([]).overall, 1);
+});
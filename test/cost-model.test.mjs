@@ -0,0 +1,130 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createCostModel, validateCostModel } from "../scripts/lib/cost-model.mjs";
+
+const COST_MODEL = {
+  feeSchedules: {
+    kalshi_standard: {
+      formula: "price_variance",
+      takerRate: 0.07,
+      makerRate: 0.0175,
+      roundUpToCent: true,
+    },
+    polymarket_fee: { formula: "min_price", takerRate: 0.02, makerRate: 0 },
+    polymarket_standard: { formula: "none" },
+  },
+  defaultFeeClassByVenue: { KALSHI: "kalshi_standard", POLYMARKET: "polymarket_standard" },
+  slippage: { useOrderBook: true, fixedPerLegPerContract: 0.002 },
+};
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual}`);
+
+function row({ orderBook = null, targetContracts = 100, edge = 0.05 } = {}) {
+  return {
+    expectedEdgeAtDecision: edge,
+    targetContractsAtDecision: targetContracts,
+    legs: [
+      { venue: "KALSHI", price: 0.4, orderIntent: "TAKER" },
+      { venue: "POLYMARKET", price: 0.55 },
+    ],
+    orderBook,
+  };
+}
+
+const BOOK = {
+  complete: true,
+  totalSlippageAtHalfTargetSize: 0.004,
+  totalSlippageAtTargetSize: 0.01,
+};
+
+test("the default spec's cost model validates and a broken one does not", () => {
+  assert.deepEqual(validateCostModel(COST_MODEL), []);
+  const errors = validateCostModel({
+    ...COST_MODEL,
+    defaultFeeClassByVenue: { KALSHI: "missing" },
+    slippage: { useOrderBook: "yes", fixedPerLegPerContract: -1 },
+  });
+  assert.equal(errors.length, 3);
+});
+
+test("fees follow each leg's schedule and round Kalshi fees up to the cent", () => {
+  const model = createCostModel(COST_MODEL);
+  // 0.07 * 100 * 0.25 is 1.7500000000000002 in floating point.
+  assert.deepEqual(model.legFee({ venue: "KALSHI", price: 0.5 }, 100), {
+    feeUsd: 1.75,
+    complete: true,
+  });
+  assert.deepEqual(model.legFee({ venue: "KALSHI", price: 0.4 }, 10), {
+    feeUsd: 0.17,
+    complete: true,
+  });
+  close(model.legFee({ feeClass: "polymarket_fee", price: 0.7 }, 10).feeUsd, 0.06);
+  assert.deepEqual(model.legFee({ venue: "POLYMARKET" }, 10), { feeUsd: 0, complete: true });
+  // No price: charged at 0.5 and flagged.
+  assert.deepEqual(model.legFee({ venue: "KALSHI" }, 100), { feeUsd: 1.75, complete: false });
+  assert.deepEqual(model.legFee({ venue: "OTHER", price: 0.5 }, 100), {
+    feeUsd: 0,
+    complete: false,
+  });
+});
+
+test("without a usable book every size pays the fixed per-leg slippage", () => {
+  const model = createCostModel(COST_MODEL);
+  for (const orderBook of [
+    null,
+    { ...BOOK, complete: false },
+    { ...BOOK, totalSlippageAtTargetSize: null },
+  ]) {
+    close(model.rowCosts(row({ orderBook }), 10).slippageUsd, 10 * 2 * 0.002);
+    close(model.rowCosts(row({ orderBook }), 100).slippageUsd, 100 * 2 * 0.002);
+  }
+  const noBook = createCostModel({
+    ...COST_MODEL,
+    slippage: { useOrderBook: false, fixedPerLegPerContract: 0.002 },
+  });
+  close(noBook.rowCosts(row({ orderBook: BOOK }), 100).slippageUsd, 100 * 2 * 0.002);
+});
+
+test("book slippage is charged at the size bought", () => {
+  const model = createCostModel(COST_MODEL);
+  const booked = row({ orderBook: BOOK });
+  close(model.rowCosts(booked, 100).slippageUsd, 100 * 0.01);
+  close(model.rowCosts(booked, 50).slippageUsd, 50 * 0.004);
+  close(model.rowCosts(booked, 25).slippageUsd, 25 * 0.002);
+  close(model.rowCosts(booked, 75).slippageUsd, 75 * 0.007);
+  // Past the target the half-to-full slope carries on.
+  close(model.rowCosts(booked, 150).slippageUsd, 150 * 0.016);
+  close(model.rowCosts(booked, 0).slippageUsd, 0);
+});
+
+test("net PnL and capital add up from edge, fees and slippage", () => {
+  const model = createCostModel(COST_MODEL);
+  const costs = model.rowCosts(row({ orderBook: BOOK }), 50);
+  close(costs.grossPnl, 50 * 0.05);
+  close(costs.feesUsd, 0.84);
+  close(costs.netPnl, 2.5 - 0.84 - 0.2);
+  close(costs.capitalUsd, 50 * 0.95 + 0.84 + 0.2);
+  assert.equal(costs.complete, true);
+  assert.equal(model.rowCosts(row({ edge: null }), 50).netPnl, null);
+});
+
+test("unit costs bound row costs at every size", () => {
+  const model = createCostModel(COST_MODEL);
+  for (const orderBook of [null, BOOK]) {
+    const r = row({ orderBook });
+    const unit = model.unitCosts(r);
+    assert.deepEqual(
+      unit.slippageCurve,
+      orderBook === null ? null : { half: 0.004, full: 0.01, target: 100 }
+    );
+    for (const contracts of [1, 7, 25, 50, 80, 100, 130]) {
+      const costs = model.rowCosts(r, contracts);
+      assert.ok(costs.netPnl <= contracts * unit.netPerContract + 1e-9, `net at ${contracts}`);
+      assert.ok(
+        costs.capitalUsd >= contracts * unit.capitalPerContract - 1e-9,
+        `capital at ${contracts}`
+      );
+    }
+  }
+});
@@ -0,0 +1,197 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createRowPreparer,
+  createSeriesHistory,
+  deriveFeatures,
+} from "../scripts/lib/features.mjs";
+import { createResolutionResolver } from "../scripts/lib/resolution-time.mjs";
+
+const MINUTE = 60 * 1000;
+const T0 = Date.UTC(2026, 1, 1);
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual}`);
+
+// One sighting `minute` minutes into the series. Capacity is the smaller of
+// the target and the smallest kernel leg.
+function sighting(minute, edge, { series = "s1", target = 100, minKernel = 100 } = {}) {
+  return {
+    strategyType: "cross_venue_binary",
+    dedupeKey: series,
+    decisionTs: new Date(T0 + minute * MINUTE).toISOString(),
+    expectedEdgeAtDecision: edge,
+    targetContractsAtDecision: target,
+    minKernelContractsAtDecision: minKernel,
+  };
+}
+
+function run(rows) {
+  const history = createSeriesHistory();
+  return rows.map((row) => history.next(row, new Date(row.decisionTs).getTime()));
+}
+
+// The windowed features from the earlier sightings, by a forward scan.
+function scanWindow(rows, i, minutes) {
+  const tsMs = (r) => new Date(r.decisionTs).getTime();
+  const now = tsMs(rows[i]);
+  const inside = rows.slice(0, i + 1).filter((r) => tsMs(r) >= now - minutes * MINUTE);
+  const edges = inside.map((r) => r.expectedEdgeAtDecision).filter((e) => e !== null);
+  const mean = edges.reduce((a, b) => a + b, 0) / edges.length;
+  const volatility =
+    edges.length < 2
+      ? null
+      : Math.sqrt(edges.reduce((a, e) => a + (e - mean) ** 2, 0) / edges.length);
+  const edge = rows[i].expectedEdgeAtDecision;
+  const oldest = inside.slice(0, -1).find((r) => r.expectedEdgeAtDecision !== null);
+  const momentum =
+    edge === null || oldest === undefined || tsMs(oldest) === now
+      ? null
+      : (edge - oldest.expectedEdgeAtDecision) / ((now - tsMs(oldest)) / MINUTE);
+  return { momentum, volatility };
+}
+
+test("the first sighting has no earlier history", () => {
+  const [first] = run([sighting(0, 0.03)]);
+  assert.deepEqual(first, {
+    _minutesSinceFirstSeen: 0,
+    _minutesSincePrevSighting: null,
+    _priorSightings: 0,
+    _edgeLag1: null,
+    _capacityLag1: null,
+    _edgeChangeSincePrev: null,
+    _capacityChangeSincePrev: null,
+    _runningMaxEdge: 0.03,
+    _edgeBelowRunningMax: 0,
+    _edgeMomentum15m: null,
+    _edgeVolatility15m: null,
+    _capacityRefill15m: null,
+    _edgeMomentum60m: null,
+    _edgeVolatility60m: null,
+    _capacityRefill60m: null,
+  });
+});
+
+test("lags, changes and the running max follow the earlier sightings", () => {
+  const out = run([
+    sighting(0, 0.03, { minKernel: 40 }),
+    sighting(20, 0.05, { minKernel: 60 }),
+    sighting(30, 0.02, { minKernel: 80 }),
+  ]);
+  assert.equal(out[2]._priorSightings, 2);
+  assert.equal(out[2]._minutesSinceFirstSeen, 30);
+  assert.equal(out[2]._minutesSincePrevSighting, 10);
+  assert.equal(out[2]._edgeLag1, 0.05);
+  assert.equal(out[2]._capacityLag1, 60);
+  close(out[2]._edgeChangeSincePrev, -0.03);
+  assert.equal(out[2]._capacityChangeSincePrev, 20);
+  assert.equal(out[2]._runningMaxEdge, 0.05);
+  close(out[2]._edgeBelowRunningMax, 0.03);
+  // Of the earlier sightings, only the 20-minute one is in the last 15 minutes.
+  close(out[2]._edgeMomentum15m, -0.03 / 10);
+  assert.equal(out[2]._capacityRefill15m, 2);
+  close(out[2]._edgeMomentum60m, -0.01 / 30);
+  close(out[2]._capacityRefill60m, 40 / 30);
+});
+
+test("missing edges are skipped, not read as zero", () => {
+  const out = run([sighting(0, 0.03), sighting(5, null), sighting(10, 0.05)]);
+  assert.equal(out[1]._edgeLag1, 0.03);
+  assert.equal(out[1]._edgeChangeSincePrev, null);
+  assert.equal(out[1]._edgeMomentum15m, null);
+  assert.equal(out[1]._edgeBelowRunningMax, null);
+  assert.equal(out[2]._edgeLag1, null);
+  close(out[2]._edgeMomentum15m, 0.02 / 10);
+  close(out[2]._edgeVolatility15m, 0.01);
+});
+
+test("a new series starts its history over", () => {
+  const out = run([sighting(0, 0.03), sighting(5, 0.04), sighting(6, 0.01, { series: "s2" })]);
+  assert.equal(out[2]._priorSightings, 0);
+  assert.equal(out[2]._edgeLag1, null);
+  assert.equal(out[2]._runningMaxEdge, 0.01);
+});
+
+test("windowed features match a forward scan", () => {
+  let seed = 7;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+  for (let trial = 0; trial < 20; trial++) {
+    const rows = [];
+    let minute = 0;
+    for (let i = 0; i < 40; i++) {
+      minute += Math.floor(random() * 12);
+      rows.push(sighting(minute, random() < 0.15 ? null : 0.5 + random() * 0.1));
+    }
+    const out = run(rows);
+    for (let i = 0; i < rows.length; i++) {
+      for (const minutes of [15, 60]) {
+        const { momentum, volatility } = scanWindow(rows, i, minutes);
+        for (const [key, expected] of [
+          [`_edgeMomentum${minutes}m`, momentum],
+          [`_edgeVolatility${minutes}m`, volatility],
+        ]) {
+          const actual = out[i][key];
+          if (expected === null) assert.equal(actual, null, `${key} at ${i}`);
+          else close(actual, expected);
+        }
+      }
+    }
+  }
+});
+
+test("a split series or one going back in time is rejected", () => {
+  assert.throws(
+    () => run([sighting(0, 0.03), sighting(1, 0.03, { series: "s2" }), sighting(2, 0.03)]),
+    /not contiguous/
+  );
+  assert.throws(() => run([sighting(10, 0.03), sighting(5, 0.03)]), /goes back in time/);
+});
+
+test("rows without labels still count as sightings of their series", () => {
+  const prepare = createRowPreparer();
+  const labels = { taxonomy: { domain: "crypto" }, resolutionAnchored: {} };
+  assert.equal(prepare(sighting(0, 0.03)), null);
+  const prepared = prepare({ ...sighting(5, 0.04), labels });
+  assert.equal(prepared._priorSightings, 1);
+  assert.equal(prepared._edgeLag1, 0.03);
+  assert.equal(prepared._decisionTsMs, T0 + 5 * MINUTE);
+});
+
+test("a market close resolution is hindsight and masks the resolution-time features", () => {
+  const resolver = createResolutionResolver({
+    sources: ["leg_expiry", "market_close", "settlement", "event_schedule"],
+    legDisagreementToleranceHours: 24,
+    scheduleTimeZone: "America/New_York",
+  });
+  const leg = (fields) => ({ venue: "KALSHI", marketId: "M", ...fields });
+  const closeAt = new Date(T0 + 30 * 60 * MINUTE).toISOString();
+  const row = (legFields) => ({ ...sighting(0, 0.03), legs: [leg(legFields)] });
+  const expiry = resolver.resolve(row({ expiresAt: closeAt }));
+  const marketClose = resolver.resolve(row({ marketCloseAt: closeAt }));
+  assert.deepEqual([expiry.source, expiry.knownAtDecision], ["leg_expiry", true]);
+  assert.deepEqual([marketClose.source, marketClose.knownAtDecision], ["market_close", false]);
+
+  const resolutionAnchored = {
+    phaseNow: "T_3d_1d",
+    timeToResolutionHoursNow: 30,
+    policyWindowHours: 12,
+  };
+  const features = (resolutionTime) =>
+    deriveFeatures({
+      ...sighting(0, 0.03),
+      labels: { taxonomy: { domain: "crypto" }, resolutionTime, resolutionAnchored },
+    });
+  const known = features(expiry);
+  assert.deepEqual(
+    [known._phaseNow, known._ttrHours, known._policyWindowHours, known._segmentKey],
+    ["T_3d_1d", 30, 12, "crypto::T_3d_1d"]
+  );
+  const masked = features(marketClose);
+  assert.deepEqual(
+    [masked._phaseNow, masked._ttrHours, masked._policyWindowHours, masked._segmentKey],
+    ["unknown", null, null, "crypto::unknown"]
+  );
+});
@@ -0,0 +1,105 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createRangeMaxIndex,
+  firstIndexWhere,
+  lastIndexAtOrBefore,
+} from "../scripts/lib/range-max.mjs";
+
+// Lowest price in lo..hi the way label generation searches for it.
+function lowestPrice(index, lo, hi, uniformKey) {
+  const price = index.prices;
+  const best = index.argmax(lo, hi, {
+    score: (j) => (Number.isNaN(price[j]) ? null : -price[j]),
+    bound: (k) => -index.min.price[k],
+    uniformKey,
+  });
+  return best === null ? null : { index: best.index, value: -best.value };
+}
+
+function priceIndex(values) {
+  const prices = Float64Array.from(values);
+  return { ...createRangeMaxIndex({ price: prices }), prices };
+}
+
+// First strictly lower price in a forward scan.
+function scanLowest(values, lo, hi) {
+  let best = null;
+  for (let j = lo; j <= Math.min(hi, values.length - 1); j++) {
+    if (Number.isNaN(values[j])) continue;
+    if (best === null || values[j] < best.value) best = { index: j, value: values[j] };
+  }
+  return best;
+}
+
+// Small deterministic generator so failures reproduce.
+function seeded(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 2 ** 32;
+  };
+}
+
+test("a node mixing a missing price with one real price is not uniform", () => {
+  const index = priceIndex([0.6, 0.7, NaN, 0.5]);
+  assert.deepEqual(lowestPrice(index, 1, 3, "price"), { index: 3, value: 0.5 });
+  assert.deepEqual(lowestPrice(index, 1, 3, null), { index: 3, value: 0.5 });
+});
+
+test("a node of only missing prices scores nothing", () => {
+  const index = priceIndex([NaN, NaN, NaN, 0.4]);
+  assert.equal(lowestPrice(index, 0, 2, "price"), null);
+  assert.deepEqual(lowestPrice(index, 0, 3, "price"), { index: 3, value: 0.4 });
+});
+
+test("repeated prices tie to the earliest index", () => {
+  const index = priceIndex([0.5, 0.4, 0.4, 0.4, 0.4, 0.6]);
+  assert.deepEqual(lowestPrice(index, 0, 5, "price"), { index: 1, value: 0.4 });
+  assert.deepEqual(lowestPrice(index, 3, 5, "price"), { index: 3, value: 0.4 });
+});
+
+test("empty and out-of-range windows return null", () => {
+  const index = priceIndex([0.5, 0.4]);
+  assert.equal(lowestPrice(index, 1, 0, "price"), null);
+  assert.equal(lowestPrice(index, 2, 5, "price"), null);
+});
+
+test("argmax matches a forward scan on series with gaps and repeats", () => {
+  const random = seeded(20);
+  for (let trial = 0; trial < 200; trial++) {
+    const n = 1 + Math.floor(random() * 40);
+    const values = [];
+    for (let i = 0; i < n; i++) {
+      const r = random();
+      if (r < 0.25) values.push(NaN);
+      else if (r < 0.6 && i > 0) values.push(values[i - 1]);
+      else values.push(Math.round(random() * 10) / 10);
+    }
+    const index = priceIndex(values);
+    for (let q = 0; q < 10; q++) {
+      const lo = Math.floor(random() * n);
+      const hi = lo + Math.floor(random() * (n - lo));
+      const expected = scanLowest(values, lo, hi);
+      assert.deepEqual(lowestPrice(index, lo, hi, "price"), expected, `${values} ${lo}..${hi}`);
+      assert.deepEqual(lowestPrice(index, lo, hi, null), expected, `${values} ${lo}..${hi}`);
+    }
+  }
+});
+
+test("lastIndexAtOrBefore and firstIndexWhere search ascending timestamps", () => {
+  const ts = [10, 20, 20, 30, 40];
+  assert.equal(lastIndexAtOrBefore(ts, 0, 20), 2);
+  assert.equal(lastIndexAtOrBefore(ts, 3, 20), 2);
+  assert.equal(lastIndexAtOrBefore(ts, 0, 5), -1);
+  assert.equal(lastIndexAtOrBefore(ts, 0, 100), 4);
+  assert.equal(
+    firstIndexWhere(0, 4, (j) => ts[j] >= 25),
+    3
+  );
+  assert.equal(
+    firstIndexWhere(0, 4, (j) => ts[j] >= 100),
+    5
+  );
+});